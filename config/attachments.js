@@ -0,0 +1,33 @@
+// Attachment configuration shared by quotations, purchase orders and receivings
+const path = require('path');
+
+const maxSizeMb = parseFloat(process.env.ATTACHMENT_MAX_MB);
+
+// File types that may be attached, by MIME type, with the extensions each may have
+const ALLOWED_TYPES = {
+  'application/pdf': ['.pdf'],
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'image/gif': ['.gif'],
+  'image/webp': ['.webp'],
+  'application/msword': ['.doc'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'application/vnd.ms-excel': ['.xls'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+  'text/csv': ['.csv'],
+  'text/plain': ['.txt'],
+  // CAD drawings; browsers rarely know their type, hence octet-stream
+  'image/vnd.dwg': ['.dwg'],
+  'image/vnd.dxf': ['.dxf'],
+  'application/octet-stream': ['.dwg', '.dxf']
+};
+
+module.exports = {
+  // Largest file that can be uploaded, in bytes
+  maxSize: (Number.isFinite(maxSizeMb) && maxSizeMb > 0 ? maxSizeMb : 10) * 1024 * 1024,
+  // Storage backend files are kept in (see utils/attachmentStorage)
+  storage: process.env.ATTACHMENT_STORAGE || 'local',
+  // Directory the local backend writes to
+  directory: path.resolve(process.env.ATTACHMENT_DIR || 'uploads'),
+  ALLOWED_TYPES
+};
@@ -0,0 +1,21 @@
+// Delivery scheduling configuration
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DEFAULT_SLOTS = '08:00-12:00,13:00-17:00';
+
+// Parse "08:00-12:00,13:00-17:00" into time windows; invalid windows are dropped
+const parseSlots = (value) => value
+  .split(',')
+  .map(slot => slot.trim().split('-'))
+  .filter(([start, end]) => TIME.test(start) && TIME.test(end) && start < end)
+  .map(([start, end]) => ({ start, end }));
+
+const configuredSlots = parseSlots(process.env.DELIVERY_SLOTS || '');
+const dailyCapacity = parseInt(process.env.DELIVERY_DAILY_CAPACITY, 10);
+
+module.exports = {
+  // Time windows (UTC) a delivery can be booked in, every day
+  slots: configuredSlots.length > 0 ? configuredSlots : parseSlots(DEFAULT_SLOTS),
+  // Deliveries a driver can take per day unless their own capacity is set
+  dailyCapacity: Number.isInteger(dailyCapacity) && dailyCapacity > 0 ? dailyCapacity : 8
+};
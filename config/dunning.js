@@ -0,0 +1,9 @@
+// Dunning (overdue payment reminder) configuration
+const path = require('path');
+
+module.exports = {
+  // Channel reminders are delivered through (see utils/dunningChannels)
+  channel: process.env.DUNNING_CHANNEL || 'outbox',
+  // Directory the outbox channel writes reminders to
+  outboxDirectory: path.resolve(process.env.DUNNING_OUTBOX_DIR || 'outbox')
+};
@@ -0,0 +1,7 @@
+// Invoice configuration
+const paymentTermsDays = parseInt(process.env.INVOICE_PAYMENT_TERMS_DAYS, 10);
+
+module.exports = {
+  // Days after the issue date an invoice is due unless other terms are given
+  paymentTermsDays: Number.isInteger(paymentTermsDays) && paymentTermsDays >= 0 ? paymentTermsDays : 30
+};
@@ -0,0 +1,9 @@
+// Point of sale (counter sale) configuration
+const taxRate = parseFloat(process.env.POS_TAX_RATE);
+
+module.exports = {
+  // Customer record counter sales are made to when no customer is picked
+  walkInCustomer: process.env.POS_WALK_IN_CUSTOMER_ID || null,
+  // Tax rate in percent charged on counter sale lines
+  taxRate: Number.isFinite(taxRate) && taxRate >= 0 ? taxRate : 0
+};
@@ -0,0 +1,23 @@
+// Pricing configuration shared by quotations, sales and purchase orders
+const ROUNDING_MODES = ['half_up', 'half_even', 'up', 'down'];
+
+const decimals = parseInt(process.env.PRICE_DECIMALS, 10);
+const rounding = process.env.PRICE_ROUNDING;
+const minMarginPercent = parseFloat(process.env.MIN_MARGIN_PERCENT);
+const baseCurrency = (process.env.BASE_CURRENCY || '').trim().toUpperCase();
+
+// ISO 4217 style currency code, e.g. PHP or USD
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+module.exports = {
+  // Decimal places amounts are rounded to (2 = centavos)
+  decimals: Number.isInteger(decimals) && decimals >= 0 && decimals <= 6 ? decimals : 2,
+  // How amounts are rounded: half_up (away from zero), half_even (banker's), up or down
+  rounding: ROUNDING_MODES.includes(rounding) ? rounding : 'half_up',
+  // Quotation margin below which approval is needed, until set in the margin settings
+  minMarginPercent: Number.isFinite(minMarginPercent) ? minMarginPercent : 0,
+  // Currency costs are kept in and reports are totalled in
+  baseCurrency: CURRENCY_CODE.test(baseCurrency) ? baseCurrency : 'PHP',
+  ROUNDING_MODES,
+  CURRENCY_CODE
+};
@@ -0,0 +1,95 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const ApprovalRule = require('../models/ApprovalRule');
+
+// @desc    Get all approval rules, highest priority first
+// @route   GET /api/v1/approval-rules
+// @access  Private (Superadmin only)
+exports.getApprovalRules = asyncHandler(async (req, res, next) => {
+  const rules = await ApprovalRule.find().sort('-priority createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: rules.length,
+    data: rules
+  });
+});
+
+// @desc    Get single approval rule
+// @route   GET /api/v1/approval-rules/:id
+// @access  Private (Superadmin only)
+exports.getApprovalRule = asyncHandler(async (req, res, next) => {
+  const rule = await ApprovalRule.findById(req.params.id);
+
+  if (!rule) {
+    return next(
+      new ErrorResponse(`Approval rule not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: rule
+  });
+});
+
+// @desc    Create new approval rule
+// @route   POST /api/v1/approval-rules
+// @access  Private (Superadmin only)
+exports.createApprovalRule = asyncHandler(async (req, res, next) => {
+  // Add user to req.body
+  req.body.createdBy = req.user.id;
+
+  const rule = await ApprovalRule.create(req.body);
+
+  res.status(201).json({
+    success: true,
+    data: rule
+  });
+});
+
+// @desc    Update approval rule. Quotations keep the chain they already have.
+// @route   PUT /api/v1/approval-rules/:id
+// @access  Private (Superadmin only)
+exports.updateApprovalRule = asyncHandler(async (req, res, next) => {
+  let rule = await ApprovalRule.findById(req.params.id);
+
+  if (!rule) {
+    return next(
+      new ErrorResponse(`Approval rule not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  delete req.body.createdBy;
+  req.body.updatedAt = Date.now();
+
+  rule = await ApprovalRule.findByIdAndUpdate(req.params.id, req.body, {
+    new: true,
+    runValidators: true
+  });
+
+  res.status(200).json({
+    success: true,
+    data: rule
+  });
+});
+
+// @desc    Delete approval rule
+// @route   DELETE /api/v1/approval-rules/:id
+// @access  Private (Superadmin only)
+exports.deleteApprovalRule = asyncHandler(async (req, res, next) => {
+  const rule = await ApprovalRule.findById(req.params.id);
+
+  if (!rule) {
+    return next(
+      new ErrorResponse(`Approval rule not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  await rule.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
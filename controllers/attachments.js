@@ -0,0 +1,155 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const Attachment = require('../models/Attachment');
+const Quotation = require('../models/Quotation');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const PurchaseReceiving = require('../models/PurchaseReceiving');
+const {
+  storeAttachment,
+  readAttachment,
+  removeAttachment
+} = require('../utils/attachmentStorage');
+const { canViewQuotation, canEditQuotation } = require('../utils/quotationAccess');
+
+// Who may see and change the attachments of each kind of document. They
+// follow the document itself: users only get to their own quotations and
+// delivery staff to the ones assigned to them, read-only.
+const PARENTS = {
+  quotationId: {
+    type: 'Quotation',
+    label: 'Quotation',
+    model: Quotation,
+    canView: canViewQuotation,
+    canEdit: canEditQuotation
+  },
+  purchaseOrderId: {
+    type: 'PurchaseOrder',
+    label: 'Purchase order',
+    model: PurchaseOrder,
+    canView: () => true,
+    canEdit: user => ['admin', 'superadmin', 'user'].includes(user.role)
+  },
+  purchaseReceivingId: {
+    type: 'PurchaseReceiving',
+    label: 'Purchase receiving',
+    model: PurchaseReceiving,
+    canView: () => true,
+    canEdit: user => ['admin', 'superadmin', 'user'].includes(user.role)
+  }
+};
+
+// Load the document named in the route and check the user may access it
+const findParent = async (req, access) => {
+  const param = Object.keys(PARENTS).find(name => req.params[name]);
+  const parent = PARENTS[param];
+  const id = req.params[param];
+
+  const document = await parent.model.findById(id);
+
+  if (!document || !parent.canView(req.user, document)) {
+    throw new ErrorResponse(`${parent.label} not found with id of ${id}`, 404);
+  }
+
+  if (access === 'edit' && !parent.canEdit(req.user, document)) {
+    throw new ErrorResponse(
+      `User ${req.user.id} is not authorized to change the attachments of this ${parent.label.toLowerCase()}`,
+      403
+    );
+  }
+
+  return { type: parent.type, id: document._id };
+};
+
+const findAttachment = async (req, parent) => {
+  const attachment = await Attachment.findOne({
+    _id: req.params.attachmentId,
+    parentType: parent.type,
+    parentId: parent.id
+  });
+
+  if (!attachment) {
+    throw new ErrorResponse(`Attachment not found with id of ${req.params.attachmentId}`, 404);
+  }
+
+  return attachment;
+};
+
+// @desc    Get the attachments of a document
+// @route   GET /api/v1/quotations/:quotationId/attachments
+// @route   GET /api/v1/purchase-orders/:purchaseOrderId/attachments
+// @route   GET /api/v1/purchase-receiving/:purchaseReceivingId/attachments
+// @access  Private
+exports.getAttachments = asyncHandler(async (req, res, next) => {
+  const parent = await findParent(req, 'view');
+
+  const attachments = await Attachment.find({ parentType: parent.type, parentId: parent.id })
+    .populate({ path: 'uploadedBy', select: 'name email' })
+    .sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: attachments.length,
+    data: attachments
+  });
+});
+
+// @desc    Upload an attachment (multipart field "file", optional "description")
+// @route   POST /api/v1/quotations/:quotationId/attachments
+// @route   POST /api/v1/purchase-orders/:purchaseOrderId/attachments
+// @route   POST /api/v1/purchase-receiving/:purchaseReceivingId/attachments
+// @access  Private
+exports.uploadAttachment = asyncHandler(async (req, res, next) => {
+  const parent = await findParent(req, 'edit');
+
+  if (!req.file) {
+    return next(new ErrorResponse('Please upload a file', 400));
+  }
+
+  const attachment = await storeAttachment(parent, req.file, {
+    description: req.body.description,
+    user: req.user
+  });
+
+  res.status(201).json({
+    success: true,
+    data: attachment
+  });
+});
+
+// @desc    Download an attachment
+// @route   GET /api/v1/quotations/:quotationId/attachments/:attachmentId
+// @route   GET /api/v1/purchase-orders/:purchaseOrderId/attachments/:attachmentId
+// @route   GET /api/v1/purchase-receiving/:purchaseReceivingId/attachments/:attachmentId
+// @access  Private
+exports.downloadAttachment = asyncHandler(async (req, res, next) => {
+  const parent = await findParent(req, 'view');
+  const attachment = await findAttachment(req, parent);
+  const stream = await readAttachment(attachment);
+
+  res.attachment(attachment.originalName);
+  res.set({
+    'Content-Type': attachment.mimeType,
+    'Content-Length': attachment.size,
+    'X-Content-Type-Options': 'nosniff'
+  });
+
+  stream.on('error', next);
+  stream.pipe(res);
+});
+
+// @desc    Delete an attachment
+// @route   DELETE /api/v1/quotations/:quotationId/attachments/:attachmentId
+// @route   DELETE /api/v1/purchase-orders/:purchaseOrderId/attachments/:attachmentId
+// @route   DELETE /api/v1/purchase-receiving/:purchaseReceivingId/attachments/:attachmentId
+// @access  Private
+exports.deleteAttachment = asyncHandler(async (req, res, next) => {
+  const parent = await findParent(req, 'edit');
+  const attachment = await findAttachment(req, parent);
+
+  await removeAttachment(attachment);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -0,0 +1,80 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const CreditNote = require('../models/CreditNote');
+const Sale = require('../models/Sale');
+const { createReturn } = require('../utils/salesReturns');
+
+// @desc    Get credit notes, or those of a sale (?customer=&branch=&settlement= to filter)
+// @route   GET /api/v1/credit-notes
+// @route   GET /api/v1/sales/:saleId/returns
+// @access  Private
+exports.getCreditNotes = asyncHandler(async (req, res, next) => {
+  const filter = {};
+
+  if (req.params.saleId) {
+    const sale = await Sale.findById(req.params.saleId);
+
+    if (!sale) {
+      return next(
+        new ErrorResponse(`Sale not found with id of ${req.params.saleId}`, 404)
+      );
+    }
+    filter.sale = sale._id;
+  }
+
+  ['customer', 'branch', 'settlement'].forEach(field => {
+    if (req.query[field]) {
+      filter[field] = req.query[field];
+    }
+  });
+
+  const creditNotes = await CreditNote.find(filter)
+    .populate({ path: 'sale', select: 'saleNumber total currency' })
+    .sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: creditNotes.length,
+    data: creditNotes
+  });
+});
+
+// @desc    Get single credit note
+// @route   GET /api/v1/credit-notes/:id
+// @access  Private
+exports.getCreditNote = asyncHandler(async (req, res, next) => {
+  const creditNote = await CreditNote.findById(req.params.id)
+    .populate({ path: 'sale', select: 'saleNumber total balance currency status' })
+    .populate({ path: 'branch', select: 'name' })
+    .populate({ path: 'createdBy', select: 'name' });
+
+  if (!creditNote) {
+    return next(
+      new ErrorResponse(`Credit note not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: creditNote
+  });
+});
+
+// @desc    Take a return on a sale and issue a credit note
+// @route   POST /api/v1/sales/:saleId/returns
+// @access  Private (Admin, User)
+exports.createCreditNote = asyncHandler(async (req, res, next) => {
+  if (!req.params.saleId) {
+    return next(new ErrorResponse('Returns are taken on a sale', 400));
+  }
+
+  const { creditNote, sale } = await createReturn(req.params.saleId, req.body, req.user);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      creditNote,
+      sale
+    }
+  });
+});
@@ -1,8 +1,10 @@
 const Inventory = require('../models/Inventory');
+const StockLevel = require('../models/StockLevel');
 const Sale = require('../models/Sale');
 const Quotation = require('../models/Quotation');
 const Customer = require('../models/Customer');
 const User = require('../models/User');
+const { baseCurrency, baseAmount } = require('../utils/exchangeRates');
 
 /**
  * @desc    Get dashboard summary
@@ -41,14 +43,14 @@ exports.getDashboardSummary = async (req, res) => {
     
     const saleCount = await Sale.countDocuments();
 
-    // Get sales total
+    // Get sales total in the base currency, using each sale's locked rate
     const salesAggregate = await Sale.aggregate([
       {
         $group: {
           _id: null,
-          totalSales: { $sum: '$total' },
-          totalPaid: { $sum: '$amountPaid' },
-          totalOutstanding: { $sum: '$balance' }
+          totalSales: { $sum: baseAmount('$total') },
+          totalPaid: { $sum: baseAmount('$amountPaid') },
+          totalOutstanding: { $sum: baseAmount('$balance') }
         }
       }
     ]);
@@ -74,7 +76,7 @@ exports.getDashboardSummary = async (req, res) => {
       {
         $group: {
           _id: { month: { $month: '$createdAt' } },
-          total: { $sum: '$total' },
+          total: { $sum: baseAmount('$total') },
           count: { $sum: 1 }
         }
       },
@@ -105,6 +107,7 @@ exports.getDashboardSummary = async (req, res) => {
           sales: saleCount
         },
         sales: {
+          currency: baseCurrency,
           total: salesTotal,
           paid: paidTotal,
           outstanding: outstandingTotal
@@ -165,7 +168,7 @@ exports.getTopSellingItems = async (req, res) => {
         $group: {
           _id: '$items.inventory',
           totalQuantitySold: { $sum: '$items.quantity' },
-          totalRevenue: { $sum: '$items.total' },
+          totalRevenue: { $sum: baseAmount('$items.total') },
           salesCount: { $sum: 1 }
         }
       },
@@ -189,13 +192,23 @@ exports.getTopSellingItems = async (req, res) => {
       // Unwind inventory details
       { $unwind: '$inventoryDetails' },
       
+      // Lookup branch stock levels
+      {
+        $lookup: {
+          from: 'stocklevels',
+          localField: '_id',
+          foreignField: 'inventory',
+          as: 'stockLevels'
+        }
+      },
+      
       // Project the final structure
       {
         $project: {
           _id: '$inventoryDetails._id',
           name: '$inventoryDetails.name',
           itemCode: '$inventoryDetails.itemCode',
-          currentStock: '$inventoryDetails.quantity',
+          currentStock: { $sum: '$stockLevels.quantity' },
           totalQuantitySold: 1,
           totalRevenue: 1,
           salesCount: 1
@@ -223,11 +236,15 @@ exports.getTopSellingItems = async (req, res) => {
  */
 exports.getLowStockItems = async (req, res) => {
   try {
-    const items = await Inventory.find({
+    // Low stock is tracked per branch
+    const items = await StockLevel.find({
       $expr: {
         $lte: ['$quantity', '$reorderLevel']
       }
-    }).sort('quantity');
+    })
+      .populate('inventory', 'name itemcode unit')
+      .populate('branch', 'name')
+      .sort('quantity');
 
     res.status(200).json({
       success: true,
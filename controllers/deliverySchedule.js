@@ -0,0 +1,53 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const User = require('../models/User');
+const config = require('../config/delivery');
+const { getDriverSchedule } = require('../utils/deliveryScheduling');
+
+// @desc    Get the delivery time windows and the default daily capacity
+// @route   GET /api/v1/delivery-schedule/slots
+// @access  Private
+exports.getDeliverySlots = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      slots: config.slots,
+      dailyCapacity: config.dailyCapacity
+    }
+  });
+});
+
+// @desc    Get a delivery user's bookings and remaining capacity per day (?from=&to=)
+// @route   GET /api/v1/delivery-schedule/:driverId
+// @access  Private (delivery users only see their own)
+exports.getDeliverySchedule = asyncHandler(async (req, res, next) => {
+  if (req.user.role === 'delivery' && req.params.driverId !== req.user.id) {
+    return next(
+      new ErrorResponse(`User ${req.user.id} is not authorized to see another driver's schedule`, 403)
+    );
+  }
+
+  const driver = await User.findById(req.params.driverId);
+
+  if (!driver || driver.role !== 'delivery') {
+    return next(
+      new ErrorResponse(`Delivery user not found with id of ${req.params.driverId}`, 404)
+    );
+  }
+
+  const schedule = await getDriverSchedule(driver, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      driver: {
+        _id: driver._id,
+        name: driver.name,
+        email: driver.email,
+        phone: driver.phone,
+        isActive: driver.isActive
+      },
+      ...schedule
+    }
+  });
+});
@@ -0,0 +1,87 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const DocumentTemplate = require('../models/DocumentTemplate');
+const { TEMPLATE_TYPES, getTemplate } = require('../utils/documentTemplates');
+
+// Fields admins may change on a template
+const EDITABLE_FIELDS = [
+  'company',
+  'title',
+  'accentColor',
+  'paperSize',
+  'fontSize',
+  'columns',
+  'showNotes',
+  'showTerms',
+  'defaultTerms',
+  'footerText'
+];
+
+// @desc    Get PDF templates for all document types
+// @route   GET /api/v1/document-templates
+// @access  Private/Admin
+exports.getDocumentTemplates = asyncHandler(async (req, res, next) => {
+  const templates = [];
+
+  for (const documentType of TEMPLATE_TYPES) {
+    templates.push(await getTemplate(documentType));
+  }
+
+  res.status(200).json({
+    success: true,
+    count: templates.length,
+    data: templates
+  });
+});
+
+// @desc    Get the PDF template for a document type
+// @route   GET /api/v1/document-templates/:documentType
+// @access  Private/Admin
+exports.getDocumentTemplate = asyncHandler(async (req, res, next) => {
+  const { documentType } = req.params;
+
+  if (!TEMPLATE_TYPES.includes(documentType)) {
+    return next(
+      new ErrorResponse(`Unknown document type: ${documentType}`, 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await getTemplate(documentType)
+  });
+});
+
+// @desc    Update the PDF template for a document type
+// @route   PUT /api/v1/document-templates/:documentType
+// @access  Private/Admin
+exports.updateDocumentTemplate = asyncHandler(async (req, res, next) => {
+  const { documentType } = req.params;
+
+  if (!TEMPLATE_TYPES.includes(documentType)) {
+    return next(
+      new ErrorResponse(`Unknown document type: ${documentType}`, 404)
+    );
+  }
+
+  const template = await getTemplate(documentType);
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      // Company details can be updated one field at a time
+      if (field === 'company') {
+        template.company = { ...template.toObject().company, ...req.body.company };
+      } else {
+        template[field] = req.body[field];
+      }
+    }
+  });
+
+  template.updatedBy = req.user.id;
+  await template.save();
+
+  res.status(200).json({
+    success: true,
+    data: template
+  });
+});
@@ -0,0 +1,120 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const DunningStage = require('../models/DunningStage');
+const DunningReminder = require('../models/DunningReminder');
+const { DEFAULT_STAGES, runDunning } = require('../utils/dunning');
+
+// Stage fields an administrator sets
+const STAGE_FIELDS = ['daysPastDue', 'name', 'subject', 'message', 'isActive'];
+
+const stageInput = body => STAGE_FIELDS.reduce((input, field) => (
+  body[field] === undefined ? input : { ...input, [field]: body[field] }
+), {});
+
+// @desc    Get the dunning stages; the defaults in use when none are set up
+// @route   GET /api/v1/dunning/stages
+// @access  Private/Admin
+exports.getDunningStages = asyncHandler(async (req, res, next) => {
+  const stages = await DunningStage.find().sort('daysPastDue');
+
+  res.status(200).json({
+    success: true,
+    usingDefaults: stages.length === 0,
+    count: stages.length || DEFAULT_STAGES.length,
+    data: stages.length > 0 ? stages : DEFAULT_STAGES
+  });
+});
+
+// @desc    Add a dunning stage. Once one is added, the defaults no longer apply.
+// @route   POST /api/v1/dunning/stages
+// @access  Private/Admin
+exports.createDunningStage = asyncHandler(async (req, res, next) => {
+  const stage = await DunningStage.create({
+    ...stageInput(req.body),
+    updatedBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: stage
+  });
+});
+
+// @desc    Update a dunning stage
+// @route   PUT /api/v1/dunning/stages/:id
+// @access  Private/Admin
+exports.updateDunningStage = asyncHandler(async (req, res, next) => {
+  const stage = await DunningStage.findByIdAndUpdate(
+    req.params.id,
+    {
+      ...stageInput(req.body),
+      updatedBy: req.user.id,
+      updatedAt: Date.now()
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!stage) {
+    return next(
+      new ErrorResponse(`Dunning stage not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: stage
+  });
+});
+
+// @desc    Delete a dunning stage
+// @route   DELETE /api/v1/dunning/stages/:id
+// @access  Private/Admin
+exports.deleteDunningStage = asyncHandler(async (req, res, next) => {
+  const stage = await DunningStage.findByIdAndDelete(req.params.id);
+
+  if (!stage) {
+    return next(
+      new ErrorResponse(`Dunning stage not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Get dunning reminders (?sale=&customer=&status= to filter)
+// @route   GET /api/v1/dunning/reminders
+// @access  Private/Admin
+exports.getDunningReminders = asyncHandler(async (req, res, next) => {
+  const filter = {};
+
+  ['sale', 'customer', 'status'].forEach(field => {
+    if (req.query[field]) {
+      filter[field] = req.query[field];
+    }
+  });
+
+  const reminders = await DunningReminder.find(filter)
+    .populate({ path: 'sale', select: 'saleNumber balance status dueDate' })
+    .populate({ path: 'customer', select: 'name contactPerson phone' })
+    .sort('-createdAt')
+    .limit(500);
+
+  res.status(200).json({
+    success: true,
+    count: reminders.length,
+    data: reminders
+  });
+});
+
+// @desc    Run the dunning job now rather than waiting for the scheduler
+// @route   POST /api/v1/dunning/run
+// @access  Private/Admin
+exports.runDunningNow = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: await runDunning()
+  });
+});
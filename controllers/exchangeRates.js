@@ -0,0 +1,114 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const ExchangeRate = require('../models/ExchangeRate');
+const { baseCurrency, normaliseCurrency, getRate } = require('../utils/exchangeRates');
+
+// @desc    Get exchange rates, newest first
+// @route   GET /api/v1/exchange-rates
+// @access  Private
+exports.getExchangeRates = asyncHandler(async (req, res, next) => {
+  const query = req.query.currency ? { currency: normaliseCurrency(req.query.currency) } : {};
+  const rates = await ExchangeRate.find(query).sort('currency -effectiveDate');
+
+  res.status(200).json({
+    success: true,
+    count: rates.length,
+    baseCurrency,
+    data: rates
+  });
+});
+
+// @desc    Get the rate in force for a currency on a date (today by default)
+// @route   GET /api/v1/exchange-rates/lookup?currency=&date=
+// @access  Private
+exports.lookupExchangeRate = asyncHandler(async (req, res, next) => {
+  if (!req.query.currency) {
+    return next(new ErrorResponse('Please provide a currency', 400));
+  }
+
+  const currency = normaliseCurrency(req.query.currency);
+  const date = req.query.date ? new Date(req.query.date) : new Date();
+
+  if (Number.isNaN(date.getTime())) {
+    return next(new ErrorResponse(`Invalid date: ${req.query.date}`, 400));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      currency,
+      baseCurrency,
+      date,
+      rate: await getRate(currency, date)
+    }
+  });
+});
+
+// @desc    Add an exchange rate
+// @route   POST /api/v1/exchange-rates
+// @access  Private/Admin
+exports.createExchangeRate = asyncHandler(async (req, res, next) => {
+  if (req.body.currency && normaliseCurrency(req.body.currency) === baseCurrency) {
+    return next(new ErrorResponse(`${baseCurrency} is the base currency; its rate is always 1`, 400));
+  }
+
+  req.body.createdBy = req.user.id;
+
+  const rate = await ExchangeRate.create(req.body);
+
+  res.status(201).json({
+    success: true,
+    data: rate
+  });
+});
+
+// @desc    Update an exchange rate. Documents keep the rate they were created with.
+// @route   PUT /api/v1/exchange-rates/:id
+// @access  Private/Admin
+exports.updateExchangeRate = asyncHandler(async (req, res, next) => {
+  let rate = await ExchangeRate.findById(req.params.id);
+
+  if (!rate) {
+    return next(
+      new ErrorResponse(`Exchange rate not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Only allow updating the rate, its effective date and notes
+  const allowedUpdates = {
+    rate: req.body.rate !== undefined ? req.body.rate : rate.rate,
+    effectiveDate: req.body.effectiveDate !== undefined ? req.body.effectiveDate : rate.effectiveDate,
+    notes: req.body.notes !== undefined ? req.body.notes : rate.notes,
+    updatedAt: Date.now()
+  };
+
+  rate = await ExchangeRate.findByIdAndUpdate(req.params.id, allowedUpdates, {
+    new: true,
+    runValidators: true
+  });
+
+  res.status(200).json({
+    success: true,
+    data: rate
+  });
+});
+
+// @desc    Delete an exchange rate
+// @route   DELETE /api/v1/exchange-rates/:id
+// @access  Private/Admin
+exports.deleteExchangeRate = asyncHandler(async (req, res, next) => {
+  const rate = await ExchangeRate.findById(req.params.id);
+
+  if (!rate) {
+    return next(
+      new ErrorResponse(`Exchange rate not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  await rate.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
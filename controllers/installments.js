@@ -0,0 +1,104 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const Sale = require('../models/Sale');
+const Quotation = require('../models/Quotation');
+const runInTransaction = require('../utils/transaction');
+const { applyPayments } = require('../utils/payments');
+const { PLAN_TEMPLATES, buildSchedule, scheduleOf } = require('../utils/installments');
+
+// Sales in these statuses cannot be put on a plan
+const CLOSED_STATUSES = ['cancelled', 'refunded', 'paid'];
+
+// The plan of a sale with where each installment stands
+const planOf = sale => ({
+  sale: {
+    _id: sale._id,
+    saleNumber: sale.saleNumber,
+    total: sale.total,
+    balance: sale.balance,
+    currency: sale.currency,
+    status: sale.status,
+    dueDate: sale.dueDate
+  },
+  installments: scheduleOf(sale)
+});
+
+// @desc    Get the installment plan of a sale
+// @route   GET /api/v1/sales/:saleId/installments
+// @access  Private
+exports.getInstallments = asyncHandler(async (req, res, next) => {
+  const sale = await Sale.findById(req.params.saleId);
+
+  if (!sale) {
+    return next(
+      new ErrorResponse(`Sale not found with id of ${req.params.saleId}`, 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    templates: Object.keys(PLAN_TEMPLATES),
+    data: planOf(sale)
+  });
+});
+
+// @desc    Put a sale on an installment plan, replacing any plan it has
+// @route   PUT /api/v1/sales/:saleId/installments
+// @access  Private (Admin, User)
+exports.setInstallments = asyncHandler(async (req, res, next) => {
+  const sale = await runInTransaction(async (session) => {
+    const found = await Sale.findById(req.params.saleId).session(session);
+
+    if (!found) {
+      throw new ErrorResponse(`Sale not found with id of ${req.params.saleId}`, 404);
+    }
+    if (CLOSED_STATUSES.includes(found.status)) {
+      throw new ErrorResponse(`Sale ${found.saleNumber} is ${found.status}; it cannot be put on a plan`, 409);
+    }
+
+    // Deliveries add lines to the sale, so its total is only final once they are done
+    if (found.quotation) {
+      const quotation = await Quotation.findById(found.quotation).select('status quotationNumber').session(session);
+      if (quotation && quotation.status === 'partially_delivered') {
+        throw new ErrorResponse(
+          `Quotation ${quotation.quotationNumber} is still being delivered; plan sale ${found.saleNumber} once delivery is complete`,
+          409
+        );
+      }
+    }
+
+    found.installments = buildSchedule(found.total, req.body);
+    return applyPayments(found, { session });
+  });
+
+  res.status(200).json({
+    success: true,
+    data: planOf(sale)
+  });
+});
+
+// @desc    Take a sale off its installment plan; it stays due on its current due date
+// @route   DELETE /api/v1/sales/:saleId/installments
+// @access  Private (Admin, User)
+exports.deleteInstallments = asyncHandler(async (req, res, next) => {
+  const sale = await Sale.findById(req.params.saleId);
+
+  if (!sale) {
+    return next(
+      new ErrorResponse(`Sale not found with id of ${req.params.saleId}`, 404)
+    );
+  }
+  if (sale.installments.length === 0) {
+    return next(
+      new ErrorResponse(`Sale ${sale.saleNumber} is not on an installment plan`, 404)
+    );
+  }
+
+  sale.installments = [];
+  await sale.save();
+
+  res.status(200).json({
+    success: true,
+    data: planOf(sale)
+  });
+});
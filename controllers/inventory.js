@@ -1,4 +1,8 @@
 const Inventory = require('../models/Inventory');
+const StockLevel = require('../models/StockLevel');
+const Branch = require('../models/Branch');
+const runInTransaction = require('../utils/transaction');
+const { recordMovement, getQuantity } = require('../utils/stockService');
 const XLSX = require('xlsx');
 
 /**
@@ -232,6 +236,7 @@ exports.deleteInventoryItem = async (req, res) => {
     }
 
     await item.deleteOne();
+    await StockLevel.deleteMany({ inventory: item._id });
 
     res.status(200).json({
       success: true,
@@ -245,6 +250,93 @@ exports.deleteInventoryItem = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Adjust stock of an inventory item at a branch
+ * @route   POST /api/v1/inventory/:id/stock/adjustments
+ * @access  Private/Admin
+ */
+exports.adjustItemStock = async (req, res) => {
+  try {
+    const { branch: branchId, quantity, countedQuantity, notes } = req.body;
+
+    const item = await Inventory.findById(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: `Inventory item not found with id of ${req.params.id}`
+      });
+    }
+
+    const branch = branchId && await Branch.findById(branchId);
+
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: `Branch not found with id of ${branchId}`
+      });
+    }
+
+    // Either a signed change or a physical count to reconcile against
+    const counting = countedQuantity !== undefined;
+    const counted = parseFloat(countedQuantity);
+    const change = parseFloat(quantity);
+
+    if (counting && (isNaN(counted) || counted < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Counted quantity must be zero or more'
+      });
+    }
+
+    if (!counting && isNaN(change)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a quantity or a counted quantity'
+      });
+    }
+
+    // The count is compared with the level in the same transaction as the
+    // adjustment, so a sale in between is not overwritten
+    const movement = await runInTransaction(async (session) => {
+      const delta = counting
+        ? counted - await getQuantity(item._id, branch._id, { session })
+        : change;
+
+      if (delta === 0) {
+        return null;
+      }
+
+      return recordMovement({
+        inventory: item._id,
+        branch: branch._id,
+        quantity: delta,
+        reason: 'adjustment',
+        user: req.user.id,
+        notes
+      }, { session });
+    });
+
+    if (!movement) {
+      return res.status(200).json({
+        success: true,
+        message: 'Stock already matches, no adjustment posted',
+        data: null
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: movement
+    });
+  } catch (err) {
+    res.status(err.statusCode || 400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
 /**
  * @desc    Import inventory items from Excel file with chunked processing for Vercel
  * @route   POST /api/v1/inventory/import-excel-batch
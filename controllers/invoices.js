@@ -0,0 +1,101 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const Invoice = require('../models/Invoice');
+const Sale = require('../models/Sale');
+const { issueInvoice } = require('../utils/invoices');
+const { getTemplate } = require('../utils/documentTemplates');
+const { renderInvoicePdf } = require('../utils/invoicePdf');
+
+// @desc    Get invoices, or the invoice of a sale (?customer=&branch= to filter)
+// @route   GET /api/v1/invoices
+// @route   GET /api/v1/sales/:saleId/invoices
+// @access  Private
+exports.getInvoices = asyncHandler(async (req, res, next) => {
+  const filter = {};
+
+  if (req.params.saleId) {
+    const sale = await Sale.findById(req.params.saleId);
+
+    if (!sale) {
+      return next(
+        new ErrorResponse(`Sale not found with id of ${req.params.saleId}`, 404)
+      );
+    }
+    filter.sale = sale._id;
+  }
+
+  ['customer', 'branch'].forEach(field => {
+    if (req.query[field]) {
+      filter[field] = req.query[field];
+    }
+  });
+
+  const invoices = await Invoice.find(filter)
+    .populate({ path: 'sale', select: 'saleNumber balance status' })
+    .sort('-issueDate');
+
+  res.status(200).json({
+    success: true,
+    count: invoices.length,
+    data: invoices
+  });
+});
+
+// @desc    Get single invoice
+// @route   GET /api/v1/invoices/:id
+// @access  Private
+exports.getInvoice = asyncHandler(async (req, res, next) => {
+  const invoice = await Invoice.findById(req.params.id)
+    .populate({ path: 'sale', select: 'saleNumber balance status' })
+    .populate({ path: 'issuedBy', select: 'name' });
+
+  if (!invoice) {
+    return next(
+      new ErrorResponse(`Invoice not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: invoice
+  });
+});
+
+// @desc    Issue the invoice of a sale
+// @route   POST /api/v1/sales/:saleId/invoices
+// @access  Private (Admin, User)
+exports.createInvoice = asyncHandler(async (req, res, next) => {
+  if (!req.params.saleId) {
+    return next(new ErrorResponse('Invoices are issued from a sale', 400));
+  }
+
+  const invoice = await issueInvoice(req.params.saleId, req.body, req.user);
+
+  res.status(201).json({
+    success: true,
+    data: invoice
+  });
+});
+
+// @desc    Download an invoice as PDF
+// @route   GET /api/v1/invoices/:id/pdf
+// @access  Private
+exports.getInvoicePdf = asyncHandler(async (req, res, next) => {
+  const invoice = await Invoice.findById(req.params.id);
+
+  if (!invoice) {
+    return next(
+      new ErrorResponse(`Invoice not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const template = await getTemplate('invoice');
+  const pdf = await renderInvoicePdf(invoice, { template });
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${invoice.invoiceNumber}.pdf"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+});
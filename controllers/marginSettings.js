@@ -0,0 +1,75 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const MarginSetting = require('../models/MarginSetting');
+const { getMarginSettings } = require('../utils/quotationMargins');
+
+// @desc    Get the global and per-category minimum margins
+// @route   GET /api/v1/margin-settings
+// @access  Private/Admin
+exports.getMarginSettings = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: await getMarginSettings()
+  });
+});
+
+// @desc    Set the global minimum margin
+// @route   PUT /api/v1/margin-settings/global
+// @access  Private/Admin
+exports.updateGlobalMargin = asyncHandler(async (req, res, next) => {
+  await MarginSetting.findOneAndUpdate(
+    { scope: 'global' },
+    {
+      minMarginPercent: req.body.minMarginPercent,
+      updatedBy: req.user.id,
+      updatedAt: Date.now()
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: await getMarginSettings()
+  });
+});
+
+// @desc    Set the minimum margin of an inventory category
+// @route   PUT /api/v1/margin-settings/categories/:category
+// @access  Private/Admin
+exports.updateCategoryMargin = asyncHandler(async (req, res, next) => {
+  await MarginSetting.findOneAndUpdate(
+    { scope: 'category', category: req.params.category },
+    {
+      minMarginPercent: req.body.minMarginPercent,
+      updatedBy: req.user.id,
+      updatedAt: Date.now()
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: await getMarginSettings()
+  });
+});
+
+// @desc    Remove the minimum margin of an inventory category (the global one applies)
+// @route   DELETE /api/v1/margin-settings/categories/:category
+// @access  Private/Admin
+exports.deleteCategoryMargin = asyncHandler(async (req, res, next) => {
+  const setting = await MarginSetting.findOneAndDelete({
+    scope: 'category',
+    category: req.params.category
+  });
+
+  if (!setting) {
+    return next(
+      new ErrorResponse(`No minimum margin set for category ${req.params.category}`, 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await getMarginSettings()
+  });
+});
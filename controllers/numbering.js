@@ -0,0 +1,67 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const NumberingSetting = require('../models/NumberingSetting');
+const {
+  DOCUMENT_TYPES,
+  getSettings,
+  previewNextNumber
+} = require('../utils/numberingService');
+
+// @desc    Get numbering settings for all document types
+// @route   GET /api/v1/numbering
+// @access  Private/Admin
+exports.getNumberingSettings = asyncHandler(async (req, res, next) => {
+  const settings = [];
+
+  for (const documentType of DOCUMENT_TYPES) {
+    settings.push({
+      ...(await getSettings(documentType)),
+      nextNumber: await previewNextNumber(documentType)
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    count: settings.length,
+    data: settings
+  });
+});
+
+// @desc    Update numbering settings for a document type
+// @route   PUT /api/v1/numbering/:documentType
+// @access  Private/Admin
+exports.updateNumberingSetting = asyncHandler(async (req, res, next) => {
+  const { documentType } = req.params;
+
+  if (!DOCUMENT_TYPES.includes(documentType)) {
+    return next(
+      new ErrorResponse(`Unknown document type: ${documentType}`, 404)
+    );
+  }
+
+  const current = await getSettings(documentType);
+
+  // Only allow updating prefix, reset period and padding
+  const allowedUpdates = {
+    prefix: req.body.prefix !== undefined ? req.body.prefix : current.prefix,
+    resetPeriod: req.body.resetPeriod !== undefined ? req.body.resetPeriod : current.resetPeriod,
+    padding: req.body.padding !== undefined ? req.body.padding : current.padding,
+    updatedBy: req.user.id,
+    updatedAt: Date.now()
+  };
+
+  await NumberingSetting.findOneAndUpdate({ documentType }, allowedUpdates, {
+    new: true,
+    upsert: true,
+    runValidators: true,
+    setDefaultsOnInsert: true
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...(await getSettings(documentType)),
+      nextNumber: await previewNextNumber(documentType)
+    }
+  });
+});
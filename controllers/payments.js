@@ -0,0 +1,107 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const Payment = require('../models/Payment');
+const Sale = require('../models/Sale');
+const {
+  getCreditBalances,
+  recordPayment,
+  voidPayment
+} = require('../utils/payments');
+
+// @desc    Get payments, of a sale or of a customer (?status=&method= to filter)
+// @route   GET /api/v1/payments
+// @route   GET /api/v1/sales/:saleId/payments
+// @route   GET /api/v1/customers/:customerId/payments
+// @access  Private
+exports.getPayments = asyncHandler(async (req, res, next) => {
+  const filter = {};
+
+  if (req.params.saleId) {
+    const sale = await Sale.findById(req.params.saleId);
+
+    if (!sale) {
+      return next(
+        new ErrorResponse(`Sale not found with id of ${req.params.saleId}`, 404)
+      );
+    }
+    filter.sale = sale._id;
+  }
+
+  if (req.params.customerId) {
+    filter.customer = req.params.customerId;
+  }
+
+  ['status', 'method'].forEach(field => {
+    if (req.query[field]) {
+      filter[field] = req.query[field];
+    }
+  });
+
+  const payments = await Payment.find(filter)
+    .populate({ path: 'sale', select: 'saleNumber total currency' })
+    .sort('-paymentDate');
+
+  res.status(200).json({
+    success: true,
+    count: payments.length,
+    // What the customer has left from overpayments, per currency
+    credit: req.params.customerId ? await getCreditBalances(req.params.customerId) : undefined,
+    data: payments
+  });
+});
+
+// @desc    Get single payment
+// @route   GET /api/v1/payments/:id
+// @access  Private
+exports.getPayment = asyncHandler(async (req, res, next) => {
+  const payment = await Payment.findById(req.params.id)
+    .populate({ path: 'sale', select: 'saleNumber total balance currency status' });
+
+  if (!payment) {
+    return next(
+      new ErrorResponse(`Payment not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: payment
+  });
+});
+
+// @desc    Record a payment on a sale
+// @route   POST /api/v1/sales/:saleId/payments
+// @access  Private
+exports.createPayment = asyncHandler(async (req, res, next) => {
+  if (!req.params.saleId) {
+    return next(new ErrorResponse('Payments are recorded on a sale', 400));
+  }
+
+  const { payment, sale } = await recordPayment(req.params.saleId, req.body, req.user);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      payment,
+      sale
+    }
+  });
+});
+
+// @desc    Void a payment
+// @route   POST /api/v1/payments/:id/void
+// @access  Private (Admin only)
+exports.voidPayment = asyncHandler(async (req, res, next) => {
+  const { payment, sale } = await voidPayment(req.params.id, {
+    user: req.user,
+    reason: req.body.reason
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      payment,
+      sale
+    }
+  });
+});
@@ -0,0 +1,95 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const HeldCart = require('../models/HeldCart');
+const {
+  priceCart,
+  checkout,
+  holdCart,
+  resumeCart
+} = require('../utils/pointOfSale');
+
+// @desc    Price scanned items without selling them
+// @route   POST /api/v1/pos/price
+// @access  Private (Admin, User)
+exports.priceItems = asyncHandler(async (req, res, next) => {
+  const cart = await priceCart(req.body);
+
+  res.status(200).json({
+    success: true,
+    data: cart
+  });
+});
+
+// @desc    Ring up a paid counter sale and get its receipt
+// @route   POST /api/v1/pos/sales
+// @access  Private (Admin, User)
+exports.createPosSale = asyncHandler(async (req, res, next) => {
+  const { sale, payments, receipt } = await checkout(req.body, req.user);
+
+  res.status(201).json({
+    success: true,
+    data: sale,
+    payments,
+    receipt
+  });
+});
+
+// @desc    Get the cashier's held carts, newest first
+// @route   GET /api/v1/pos/carts
+// @access  Private (Admin, User)
+exports.getHeldCarts = asyncHandler(async (req, res, next) => {
+  const carts = await HeldCart.find({ cashier: req.user.id })
+    .populate({ path: 'customer', select: 'name contactPerson phone' })
+    .populate({ path: 'items.inventory', select: 'name itemcode barcode price' })
+    .sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: carts.length,
+    data: carts
+  });
+});
+
+// @desc    Hold a cart to serve another customer, or hold a resumed one again
+// @route   POST /api/v1/pos/carts
+// @access  Private (Admin, User)
+exports.holdCart = asyncHandler(async (req, res, next) => {
+  const { cart, ...priced } = await holdCart(req.body, req.user);
+
+  res.status(201).json({
+    success: true,
+    data: cart,
+    cart: priced
+  });
+});
+
+// @desc    Resume a held cart at today's prices; it stays held until sold or discarded
+// @route   POST /api/v1/pos/carts/:id/resume
+// @access  Private (Admin, User)
+exports.resumeCart = asyncHandler(async (req, res, next) => {
+  const { cart, ...priced } = await resumeCart(req.params.id, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: cart,
+    cart: priced
+  });
+});
+
+// @desc    Discard a held cart
+// @route   DELETE /api/v1/pos/carts/:id
+// @access  Private (Admin, User)
+exports.deleteHeldCart = asyncHandler(async (req, res, next) => {
+  const cart = await HeldCart.findOneAndDelete({ _id: req.params.id, cashier: req.user.id });
+
+  if (!cart) {
+    return next(
+      new ErrorResponse(`Held cart not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -0,0 +1,164 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const Quotation = require('../models/Quotation');
+const Customer = require('../models/Customer');
+const Branch = require('../models/Branch');
+const webSocketService = require('../utils/websocketService');
+const { verifyShareToken } = require('../utils/shareTokens');
+const { getTemplate } = require('../utils/documentTemplates');
+const { renderQuotationPdf } = require('../utils/quotationPdf');
+const { transitionQuotation, CUSTOMER } = require('../utils/quotationStateMachine');
+
+// Load the quotation a share token points to. Only the latest link issued for
+// the quotation works, so creating or revoking a link disables older ones.
+const findSharedQuotation = async (token) => {
+  const { quotationId, tokenId } = verifyShareToken(token);
+  const quotation = await Quotation.findById(quotationId);
+
+  if (!quotation || !quotation.shareLink || quotation.shareLink.tokenId !== tokenId) {
+    throw new ErrorResponse('This quotation link is invalid or has expired', 401);
+  }
+
+  return quotation;
+};
+
+// The quotation's customer record. The find hook does not populate it;
+// populated() still gives back the stored id.
+const customerNameOf = async (quotation) => {
+  const customerId = quotation.populated('customer') || quotation.customer;
+  const customer = customerId
+    ? await Customer.findById(customerId).select('name contactPerson')
+    : null;
+
+  return customer ? customer.name || customer.contactPerson : undefined;
+};
+
+// What the customer gets to see: no internal users, history or notes on cancellation
+const publicView = async (quotation) => {
+  const customerName = await customerNameOf(quotation);
+
+  return {
+    quotationNumber: quotation.displayNumber,
+    customer: customerName ? { name: customerName } : undefined,
+    items: quotation.items.map(item => ({
+      description: item.description || (item.inventory && item.inventory.name),
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      discountAmount: item.discountAmount,
+      tax: item.tax,
+      total: item.total
+    })),
+    subtotal: quotation.subtotal,
+    discountAmount: quotation.discountAmount,
+    taxAmount: quotation.taxAmount,
+    total: quotation.total,
+    currency: quotation.currency,
+    status: quotation.status,
+    validUntil: quotation.validUntil,
+    terms: quotation.terms,
+    notes: quotation.notes,
+    customerResponse: quotation.customerResponse && quotation.customerResponse.decision
+      ? {
+        decision: quotation.customerResponse.decision,
+        name: quotation.customerResponse.name,
+        respondedAt: quotation.customerResponse.respondedAt
+      }
+      : undefined,
+    createdAt: quotation.createdAt
+  };
+};
+
+// Record the customer's decision through the state machine and tell staff about it
+const respond = async (req, action) => {
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+
+  if (!name) {
+    throw new ErrorResponse('Please add your name', 400);
+  }
+
+  const quotation = await findSharedQuotation(req.params.token);
+  const forwarded = req.headers['x-forwarded-for'];
+  const decision = action === 'accept' ? 'accepted' : 'declined';
+
+  const updated = await transitionQuotation(quotation, action, {
+    user: CUSTOMER,
+    reason: `${action === 'accept' ? 'Accepted' : 'Declined'} by ${name} via share link${comment ? `: ${comment}` : ''}`,
+    customerResponse: {
+      decision,
+      name,
+      comment: comment || undefined,
+      ip: forwarded ? forwarded.split(',')[0].trim() : req.ip,
+      userAgent: req.get('user-agent'),
+      respondedAt: new Date()
+    }
+  });
+
+  webSocketService.notifyQuotationStatusChanged({
+    quotationId: updated._id,
+    quotationNumber: updated.quotationNumber,
+    customer: updated.customer,
+    status: updated.status,
+    previousStatus: quotation.status,
+    respondedBy: name,
+    updatedAt: new Date()
+  });
+
+  return updated;
+};
+
+// @desc    View a shared quotation
+// @route   GET /api/v1/public/quotations/:token
+// @access  Public (share token)
+exports.getSharedQuotation = asyncHandler(async (req, res, next) => {
+  const quotation = await findSharedQuotation(req.params.token);
+
+  res.status(200).json({
+    success: true,
+    data: await publicView(quotation)
+  });
+});
+
+// @desc    Download a shared quotation as PDF
+// @route   GET /api/v1/public/quotations/:token/pdf
+// @access  Public (share token)
+exports.getSharedQuotationPdf = asyncHandler(async (req, res, next) => {
+  const quotation = await findSharedQuotation(req.params.token);
+
+  const template = await getTemplate('quotation');
+  const branch = quotation.branch ? await Branch.findById(quotation.branch) : null;
+
+  const pdf = await renderQuotationPdf(quotation, { template, branch });
+  const filename = `${quotation.displayNumber || quotation._id}.pdf`.replace(/\s+/g, '-');
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+});
+
+// @desc    Accept a shared quotation
+// @route   POST /api/v1/public/quotations/:token/accept
+// @access  Public (share token)
+exports.acceptSharedQuotation = asyncHandler(async (req, res, next) => {
+  const quotation = await respond(req, 'accept');
+
+  res.status(200).json({
+    success: true,
+    data: await publicView(quotation)
+  });
+});
+
+// @desc    Decline a shared quotation
+// @route   POST /api/v1/public/quotations/:token/decline
+// @access  Public (share token)
+exports.declineSharedQuotation = asyncHandler(async (req, res, next) => {
+  const quotation = await respond(req, 'decline');
+
+  res.status(200).json({
+    success: true,
+    data: await publicView(quotation)
+  });
+});
@@ -3,6 +3,29 @@ const asyncHandler = require('../middleware/async');
 const PurchaseOrder = require('../models/PurchaseOrder');
 const Supplier = require('../models/Supplier');
 const Inventory = require('../models/Inventory');
+const runInTransaction = require('../utils/transaction');
+const { nextNumber } = require('../utils/numberingService');
+const { removeAttachmentsOf } = require('../utils/attachmentStorage');
+const { priceDocument } = require('../utils/pricingEngine');
+const { lockExchangeRate } = require('../utils/exchangeRates');
+
+// Price the order's lines with the shared pricing engine and set its totals.
+// Purchase orders call their document total totalAmount, and may carry a tax
+// or discount on the whole order on top of the lines' own.
+const applyPricing = (body) => {
+  const totals = priceDocument(body.items, {
+    subtotal: body.subtotal,
+    discountAmount: body.discountAmount,
+    taxAmount: body.taxAmount,
+    total: body.totalAmount
+  }, { documentAdjustments: true });
+
+  body.items = totals.items;
+  body.subtotal = totals.subtotal;
+  body.discountAmount = totals.discountAmount;
+  body.taxAmount = totals.taxAmount;
+  body.totalAmount = totals.total;
+};
 
 // @desc    Get all purchase orders
 // @route   GET /api/v1/purchase-orders
@@ -94,29 +117,7 @@ exports.createPurchaseOrder = asyncHandler(async (req, res, next) => {
     }
   }
 
-  // Generate order number if not provided
-  if (!req.body.orderNumber) {
-    const date = new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    
-    // Get the latest purchase order to increment the number
-    const latestPO = await PurchaseOrder.findOne().sort('-createdAt');
-    let nextNumber = 1;
-    
-    if (latestPO && latestPO.orderNumber) {
-      // Extract the number part from the latest PO number (assuming format PO-YYYY-MM-XXXX)
-      const parts = latestPO.orderNumber.split('-');
-      if (parts.length === 4) {
-        nextNumber = parseInt(parts[3]) + 1;
-      }
-    }
-    
-    req.body.orderNumber = `PO-${year}-${month}-${String(nextNumber).padStart(4, '0')}`;
-  }
-
-  // Process inventory items and calculate totals
-  let subtotal = 0;
+  // Process inventory items
   if (req.body.items && req.body.items.length > 0) {
     // Process each item
     for (let i = 0; i < req.body.items.length; i++) {
@@ -222,30 +223,23 @@ exports.createPurchaseOrder = asyncHandler(async (req, res, next) => {
       // Convert to numbers to ensure proper calculation
       req.body.items[i].unitPrice = parseFloat(req.body.items[i].unitPrice);
       req.body.items[i].quantity = parseFloat(req.body.items[i].quantity);
-      
-      // Calculate item total
-      req.body.items[i].total = req.body.items[i].quantity * req.body.items[i].unitPrice;
-      subtotal += req.body.items[i].total;
     }
   }
 
-  // Ensure taxAmount and discountAmount are numbers
-  if (req.body.taxAmount) {
-    req.body.taxAmount = parseFloat(req.body.taxAmount) || 0;
-  } else {
-    req.body.taxAmount = 0;
-  }
-  
-  if (req.body.discountAmount) {
-    req.body.discountAmount = parseFloat(req.body.discountAmount) || 0;
-  } else {
-    req.body.discountAmount = 0;
-  }
-  
-  req.body.subtotal = subtotal;
-  req.body.totalAmount = subtotal + req.body.taxAmount - req.body.discountAmount;
+  // Line and document totals are calculated on the server; mismatched
+  // totals from the client are rejected
+  applyPricing(req.body);
 
-  const purchaseOrder = await PurchaseOrder.create(req.body);
+  // The exchange rate in force today stays with the order
+  Object.assign(req.body, await lockExchangeRate(req.body.currency));
+
+  // Allocate the order number in the same transaction as the insert
+  const purchaseOrder = await runInTransaction(async (session) => {
+    req.body.orderNumber = await nextNumber('purchase_order', { session });
+
+    const [created] = await PurchaseOrder.create([req.body], { session });
+    return created;
+  });
 
   res.status(201).json({
     success: true,
@@ -271,6 +265,11 @@ exports.updatePurchaseOrder = asyncHandler(async (req, res, next) => {
     });
   }
 
+  // Order numbers, currency and exchange rate are fixed once the order is created
+  delete req.body.orderNumber;
+  delete req.body.currency;
+  delete req.body.exchangeRate;
+
   let purchaseOrder = await PurchaseOrder.findById(req.params.id);
 
   if (!purchaseOrder) {
@@ -330,8 +329,6 @@ exports.updatePurchaseOrder = asyncHandler(async (req, res, next) => {
 
   // Process inventory items and recalculate totals if items are being updated
   if (req.body.items && req.body.items.length > 0) {
-    let subtotal = 0;
-    
     // Process each item
     for (let i = 0; i < req.body.items.length; i++) {
       const item = req.body.items[i];
@@ -439,31 +436,12 @@ exports.updatePurchaseOrder = asyncHandler(async (req, res, next) => {
       // Convert to numbers to ensure proper calculation
       req.body.items[i].unitPrice = parseFloat(req.body.items[i].unitPrice);
       req.body.items[i].quantity = parseFloat(req.body.items[i].quantity);
-      
-      // Calculate item total
-      req.body.items[i].total = req.body.items[i].quantity * req.body.items[i].unitPrice;
-      subtotal += req.body.items[i].total;
     }
     
-    // Ensure taxAmount and discountAmount are numbers
-    if (req.body.hasOwnProperty('taxAmount')) {
-      req.body.taxAmount = parseFloat(req.body.taxAmount) || 0;
-    } else if (purchaseOrder.taxAmount) {
-      req.body.taxAmount = purchaseOrder.taxAmount;
-    } else {
-      req.body.taxAmount = 0;
-    }
-    
-    if (req.body.hasOwnProperty('discountAmount')) {
-      req.body.discountAmount = parseFloat(req.body.discountAmount) || 0;
-    } else if (purchaseOrder.discountAmount) {
-      req.body.discountAmount = purchaseOrder.discountAmount;
-    } else {
-      req.body.discountAmount = 0;
-    }
-    
-    req.body.subtotal = subtotal;
-    req.body.totalAmount = subtotal + req.body.taxAmount - req.body.discountAmount;
+    applyPricing(req.body);
+  } else {
+    // Without new items the stored totals stay as they are
+    ['subtotal', 'discountAmount', 'taxAmount', 'totalAmount'].forEach(field => delete req.body[field]);
   }
 
   purchaseOrder = await PurchaseOrder.findByIdAndUpdate(req.params.id, req.body, {
@@ -497,6 +475,7 @@ exports.deletePurchaseOrder = asyncHandler(async (req, res, next) => {
   }
 
   await purchaseOrder.deleteOne();
+  await removeAttachmentsOf('PurchaseOrder', purchaseOrder._id);
 
   res.status(200).json({
     success: true,
@@ -3,7 +3,22 @@ const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
 const PurchaseReceiving = require('../models/PurchaseReceiving');
 const PurchaseOrder = require('../models/PurchaseOrder');
-const Inventory = require('../models/Inventory');
+const StockMovement = require('../models/StockMovement');
+const runInTransaction = require('../utils/transaction');
+const { nextNumber } = require('../utils/numberingService');
+const { removeAttachmentsOf } = require('../utils/attachmentStorage');
+const { recordMovement } = require('../utils/stockService');
+
+// Populated references are compared by id
+const idOf = value => (value && value._id) || value;
+
+// Whether sent items would receive other goods or quantities than the receiving did
+const changesStock = (current, items) =>
+  items.length !== current.length ||
+  items.some((item, index) =>
+    String(item.purchaseOrderItem) !== String(current[index].purchaseOrderItem) ||
+    Number(item.quantityReceived) !== current[index].quantityReceived ||
+    (item.inventory !== undefined && String(idOf(item.inventory)) !== String(idOf(current[index].inventory))));
 
 // @desc    Get all purchase receivings
 // @route   GET /api/v1/purchase-receiving
@@ -77,44 +92,6 @@ exports.createPurchaseReceiving = asyncHandler(async (req, res, next) => {
   // Set supplier from purchase order
   req.body.supplier = purchaseOrder.supplier;
 
-  // Generate receiving number if not provided
-  if (!req.body.receivingNumber) {
-    const date = new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    
-    // Use a more robust approach to generate a unique receiving number
-    // Find the highest number for the current year and month
-    const regex = new RegExp(`^GR-${year}-${month}-\\d{4}$`);
-    const existingReceivings = await PurchaseReceiving.find({ 
-      receivingNumber: regex 
-    }).sort('-receivingNumber');
-    
-    let nextNumber = 1;
-    
-    if (existingReceivings.length > 0) {
-      // Extract the number part from the highest receiving number
-      const parts = existingReceivings[0].receivingNumber.split('-');
-      if (parts.length === 4) {
-        nextNumber = parseInt(parts[3]) + 1;
-      }
-    }
-    
-    req.body.receivingNumber = `GR-${year}-${month}-${String(nextNumber).padStart(4, '0')}`;
-    
-    // Double-check that this receiving number doesn't already exist
-    // This handles edge cases in case of concurrent requests
-    const duplicateCheck = await PurchaseReceiving.findOne({ 
-      receivingNumber: req.body.receivingNumber 
-    });
-    
-    if (duplicateCheck) {
-      // If we found a duplicate, increment the number and try again
-      nextNumber++;
-      req.body.receivingNumber = `GR-${year}-${month}-${String(nextNumber).padStart(4, '0')}`;
-    }
-  }
-
   // Validate items
   if (!req.body.items || req.body.items.length === 0) {
     return next(new ErrorResponse('Please add at least one item to receive', 400));
@@ -164,35 +141,49 @@ exports.createPurchaseReceiving = asyncHandler(async (req, res, next) => {
     }
   }
 
-  // Create the purchase receiving
-  const purchaseReceiving = await PurchaseReceiving.create(req.body);
+  // Number, save the receiving, update the purchase order and stock atomically
+  const purchaseReceiving = await runInTransaction(async (session) => {
+    req.body.receivingNumber = await nextNumber('purchase_receiving', { session });
 
-  // Update the purchase order with received quantities
-  for (const item of req.body.items) {
-    const poItem = purchaseOrder.items.find(
-      i => i._id.toString() === item.purchaseOrderItem.toString()
-    );
-    
-    if (poItem) {
-      poItem.receivedQuantity = (poItem.receivedQuantity || 0) + item.quantityReceived;
-    }
-  }
-
-  // Always set purchase order status to Completed when receiving
-  purchaseOrder.status = 'Completed';
+    // Create the purchase receiving
+    const [created] = await PurchaseReceiving.create([req.body], { session });
 
-  await purchaseOrder.save();
+    // Update the purchase order with received quantities
+    for (const item of req.body.items) {
+      const poItem = purchaseOrder.items.find(
+        i => i._id.toString() === item.purchaseOrderItem.toString()
+      );
+      
+      if (poItem) {
+        poItem.receivedQuantity = (poItem.receivedQuantity || 0) + item.quantityReceived;
+      }
+    }
 
-  // Update inventory quantities
-  for (const item of req.body.items) {
-    if (item.inventory) {
-      const inventory = await Inventory.findById(item.inventory);
-      if (inventory) {
-        inventory.quantity += item.quantityReceived;
-        await inventory.save();
+    // Always set purchase order status to Completed when receiving
+    purchaseOrder.status = 'Completed';
+
+    await purchaseOrder.save({ session });
+
+    // Add received quantities to the receiving branch's stock
+    for (const item of req.body.items) {
+      if (item.inventory) {
+        await recordMovement({
+          inventory: item.inventory,
+          branch: created.branch,
+          quantity: item.quantityReceived,
+          reason: 'receiving',
+          source: {
+            type: 'PurchaseReceiving',
+            id: created._id,
+            number: created.receivingNumber
+          },
+          user: req.user.id
+        }, { session });
       }
     }
-  }
+
+    return created;
+  });
 
   res.status(201).json({
     success: true,
@@ -251,6 +242,20 @@ exports.updatePurchaseReceiving = asyncHandler(async (req, res, next) => {
     allowedUpdates.receivingDate = req.body.receivingDate;
   }
 
+  // Received stock is in the ledger, so what was received and where is fixed
+  const movesStock =
+    (allowedUpdates.branch && String(allowedUpdates.branch) !== String(purchaseReceiving.branch)) ||
+    (allowedUpdates.items && changesStock(purchaseReceiving.items, allowedUpdates.items));
+
+  if (movesStock && await StockMovement.exists({ sourceType: 'PurchaseReceiving', sourceId: purchaseReceiving._id })) {
+    return next(
+      new ErrorResponse(
+        `Receiving ${purchaseReceiving.receivingNumber} has been posted to stock; its items and branch can no longer be changed`,
+        400
+      )
+    );
+  }
+
   purchaseReceiving = await PurchaseReceiving.findByIdAndUpdate(
     req.params.id,
     allowedUpdates,
@@ -289,6 +294,7 @@ exports.deletePurchaseReceiving = asyncHandler(async (req, res, next) => {
   }
 
   await purchaseReceiving.deleteOne();
+  await removeAttachmentsOf('PurchaseReceiving', purchaseReceiving._id);
 
   res.status(200).json({
     success: true,
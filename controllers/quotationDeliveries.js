@@ -0,0 +1,145 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const Quotation = require('../models/Quotation');
+const Delivery = require('../models/Delivery');
+const ProofOfDelivery = require('../models/ProofOfDelivery');
+const Attachment = require('../models/Attachment');
+const webSocketService = require('../utils/websocketService');
+const { getBackorder, cancelBackorder } = require('../utils/quotationDeliveries');
+const { readAttachment } = require('../utils/attachmentStorage');
+const { assignDelivery } = require('../utils/deliveryScheduling');
+const { canViewQuotation } = require('../utils/quotationAccess');
+
+// Proofs carry signatures, so only those who can see the quotation get them
+const findVisibleQuotation = async (req) => {
+  const quotation = await Quotation.findById(req.params.id);
+
+  if (!quotation || !canViewQuotation(req.user, quotation)) {
+    throw new ErrorResponse(`Quotation not found with id of ${req.params.id}`, 404);
+  }
+
+  return quotation;
+};
+
+// @desc    List the deliveries of a quotation and what is still on backorder
+// @route   GET /api/v1/quotations/:id/deliveries
+// @access  Private
+exports.getQuotationDeliveries = asyncHandler(async (req, res, next) => {
+  const quotation = await Quotation.findById(req.params.id);
+
+  if (!quotation) {
+    return next(
+      new ErrorResponse(`Quotation not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const deliveries = await Delivery.find({ quotation: quotation._id }).sort('createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: deliveries.length,
+    status: quotation.status,
+    backorder: getBackorder(quotation),
+    data: deliveries
+  });
+});
+
+// @desc    Get the proof of delivery of each delivery of a quotation
+// @route   GET /api/v1/quotations/:id/proof-of-delivery
+// @access  Private
+exports.getProofOfDelivery = asyncHandler(async (req, res, next) => {
+  const quotation = await findVisibleQuotation(req);
+
+  const proofs = await ProofOfDelivery.find({ quotation: quotation._id })
+    .populate({ path: 'delivery', select: 'deliveryNumber deliveryDate items' })
+    .sort('deliveredAt');
+
+  res.status(200).json({
+    success: true,
+    count: proofs.length,
+    data: proofs
+  });
+});
+
+// @desc    Download the signature or a photo of a proof of delivery
+// @route   GET /api/v1/quotations/:id/proof-of-delivery/files/:fileId
+// @access  Private
+exports.downloadProofOfDeliveryFile = asyncHandler(async (req, res, next) => {
+  const quotation = await findVisibleQuotation(req);
+  const proofs = await ProofOfDelivery.find({ quotation: quotation._id }).select('_id');
+
+  const file = await Attachment.findOne({
+    _id: req.params.fileId,
+    parentType: 'ProofOfDelivery',
+    parentId: { $in: proofs.map(proof => proof._id) }
+  });
+
+  if (!file) {
+    return next(
+      new ErrorResponse(`Proof of delivery file not found with id of ${req.params.fileId}`, 404)
+    );
+  }
+
+  const stream = await readAttachment(file);
+
+  res.attachment(file.originalName);
+  res.set({
+    'Content-Type': file.mimeType,
+    'Content-Length': file.size,
+    'X-Content-Type-Options': 'nosniff'
+  });
+
+  stream.on('error', next);
+  stream.pipe(res);
+});
+
+// @desc    Cancel what is still on backorder and complete the quotation
+// @route   POST /api/v1/quotations/:id/backorder/cancel
+// @access  Private (Admin only)
+exports.cancelQuotationBackorder = asyncHandler(async (req, res, next) => {
+  const { quotation, cancelled } = await cancelBackorder(req.params.id, {
+    user: req.user,
+    reason: req.body.reason
+  });
+
+  webSocketService.notifyQuotationStatusChanged({
+    quotationId: quotation._id,
+    quotationNumber: quotation.quotationNumber,
+    customer: quotation.customer,
+    status: quotation.status,
+    previousStatus: 'partially_delivered',
+    backorderCancelledBy: req.user.id,
+    updatedAt: new Date()
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      quotation,
+      cancelled
+    }
+  });
+});
+
+// @desc    Book, reschedule or reassign the delivery of an approved quotation.
+//          Takes assignedDelivery or autoAssign, a deliverySlot { date, start } and a reason.
+// @route   POST /api/v1/quotations/:id/assign-delivery
+// @access  Private (Admin only)
+exports.assignQuotationDelivery = asyncHandler(async (req, res, next) => {
+  const quotation = await Quotation.findById(req.params.id);
+
+  if (!quotation) {
+    return next(
+      new ErrorResponse(`Quotation not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const { quotation: updated, previousDriver, driver } = await assignDelivery(quotation, req.body, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: updated,
+    previousDriver,
+    driver
+  });
+});
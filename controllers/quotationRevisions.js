@@ -0,0 +1,187 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const Quotation = require('../models/Quotation');
+const QuotationRevision = require('../models/QuotationRevision');
+const webSocketService = require('../utils/websocketService');
+const runInTransaction = require('../utils/transaction');
+const { priceDocument } = require('../utils/pricingEngine');
+const { diffSnapshots, reviseQuotation } = require('../utils/quotationRevisions');
+const { calculateMargins, applyMarginGuard } = require('../utils/quotationMargins');
+const {
+  AWAITING_APPROVAL,
+  startApprovalChain,
+  notifyPendingApprovers
+} = require('../utils/quotationApprovals');
+
+const findQuotation = async (id, next) => {
+  const quotation = await Quotation.findById(id);
+
+  if (!quotation) {
+    next(new ErrorResponse(`Quotation not found with id of ${id}`, 404));
+  }
+
+  return quotation;
+};
+
+const findRevision = async (quotation, number, next) => {
+  const revision = Number(number);
+
+  if (!Number.isInteger(revision) || revision < 1) {
+    next(new ErrorResponse(`Invalid revision: ${number}`, 400));
+    return null;
+  }
+
+  const found = await QuotationRevision.findOne({ quotation: quotation._id, revision })
+    .populate('changedBy', 'name email');
+
+  if (!found) {
+    next(
+      new ErrorResponse(`Revision ${revision} not found for quotation ${quotation.quotationNumber}`, 404)
+    );
+  }
+
+  return found;
+};
+
+// @desc    List the revisions of a quotation
+// @route   GET /api/v1/quotations/:id/revisions
+// @access  Private
+exports.getQuotationRevisions = asyncHandler(async (req, res, next) => {
+  const quotation = await findQuotation(req.params.id, next);
+  if (!quotation) return;
+
+  const revisions = await QuotationRevision.find({ quotation: quotation._id })
+    .select('revision restoredFrom changedBy createdAt snapshot.total snapshot.validUntil')
+    .populate('changedBy', 'name email')
+    .sort('-revision');
+
+  res.status(200).json({
+    success: true,
+    count: revisions.length,
+    currentRevision: quotation.revision,
+    data: revisions
+  });
+});
+
+// @desc    Show the differences between two revisions of a quotation
+// @route   GET /api/v1/quotations/:id/revisions/diff?from=1&to=3
+// @access  Private
+exports.getQuotationRevisionDiff = asyncHandler(async (req, res, next) => {
+  const quotation = await findQuotation(req.params.id, next);
+  if (!quotation) return;
+
+  // Default to the latest change: previous revision against the current one
+  const to = req.query.to || quotation.revision;
+  const from = req.query.from || Number(to) - 1;
+
+  const fromRevision = await findRevision(quotation, from, next);
+  if (!fromRevision) return;
+
+  const toRevision = await findRevision(quotation, to, next);
+  if (!toRevision) return;
+
+  const diff = diffSnapshots(fromRevision.toObject().snapshot, toRevision.toObject().snapshot);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      quotation: quotation._id,
+      quotationNumber: quotation.quotationNumber,
+      from: {
+        revision: fromRevision.revision,
+        changedBy: fromRevision.changedBy,
+        createdAt: fromRevision.createdAt
+      },
+      to: {
+        revision: toRevision.revision,
+        changedBy: toRevision.changedBy,
+        createdAt: toRevision.createdAt
+      },
+      ...diff
+    }
+  });
+});
+
+// @desc    Get a single revision of a quotation
+// @route   GET /api/v1/quotations/:id/revisions/:revision
+// @access  Private
+exports.getQuotationRevision = asyncHandler(async (req, res, next) => {
+  const quotation = await findQuotation(req.params.id, next);
+  if (!quotation) return;
+
+  const revision = await findRevision(quotation, req.params.revision, next);
+  if (!revision) return;
+
+  res.status(200).json({
+    success: true,
+    data: revision
+  });
+});
+
+// @desc    Restore an earlier revision as the next revision of a quotation
+// @route   POST /api/v1/quotations/:id/revisions/:revision/restore
+// @access  Private
+exports.restoreQuotationRevision = asyncHandler(async (req, res, next) => {
+  const quotation = await findQuotation(req.params.id, next);
+  if (!quotation) return;
+
+  // Same roles that may update a quotation
+  if (!['admin', 'superadmin', 'user'].includes(req.user.role)) {
+    return next(
+      new ErrorResponse(`User ${req.user.id} is not authorized to update this quotation`, 403)
+    );
+  }
+
+  const revision = await findRevision(quotation, req.params.revision, next);
+  if (!revision) return;
+
+  const { items, validUntil, terms, notes } = revision.toObject().snapshot;
+
+  // Totals and margins are recalculated with the current pricing rules and costs
+  const totals = priceDocument(items.map(({ tax, total, ...line }) => line));
+  Object.assign(totals, await calculateMargins(totals.items, { exchangeRate: quotation.exchangeRate }));
+
+  const { quotation: restored, revised } = await runInTransaction(async (session) => {
+    const result = await reviseQuotation(quotation, {
+      ...totals,
+      validUntil,
+      terms,
+      notes
+    }, { user: req.user.id, session, restoredFrom: revision.revision });
+
+    // Restored content is checked for its margin and needs approving again
+    if (result.revised) {
+      result.quotation = await applyMarginGuard(result.quotation, { session });
+    }
+    if (result.revised && AWAITING_APPROVAL.includes(result.quotation.status)) {
+      result.quotation = await startApprovalChain(result.quotation, { session });
+    }
+
+    return result;
+  });
+
+  if (!revised) {
+    return res.status(200).json({
+      success: true,
+      message: `Revision ${revision.revision} matches the current quotation`,
+      data: restored
+    });
+  }
+
+  webSocketService.notifyQuotationUpdated({
+    quotationId: restored._id,
+    quotationNumber: restored.quotationNumber,
+    customer: restored.customer,
+    total: restored.total,
+    status: restored.status,
+    updatedBy: req.user.id,
+    updatedAt: new Date()
+  });
+  notifyPendingApprovers(restored);
+
+  res.status(201).json({
+    success: true,
+    message: `Revision ${revision.revision} restored as revision ${restored.revision}`,
+    data: restored
+  });
+});
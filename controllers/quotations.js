@@ -1,6 +1,126 @@
 const Quotation = require('../models/Quotation');
-const Inventory = require('../models/Inventory');
+const Sale = require('../models/Sale');
+const Branch = require('../models/Branch');
+const ErrorResponse = require('../utils/errorResponse');
 const webSocketService = require('../utils/websocketService');
+const runInTransaction = require('../utils/transaction');
+const { nextNumber } = require('../utils/numberingService');
+const { priceDocument } = require('../utils/pricingEngine');
+const { recordRevision, reviseQuotation } = require('../utils/quotationRevisions');
+const { getTemplate } = require('../utils/documentTemplates');
+const { renderQuotationPdf } = require('../utils/quotationPdf');
+const { defaultShareDays, createShareToken } = require('../utils/shareTokens');
+const { lockExchangeRate } = require('../utils/exchangeRates');
+const {
+  hasRole,
+  canTransition,
+  checkTransition,
+  transitionUpdate,
+  transitionQuotation,
+  findAction,
+  initialHistory,
+  expiryCutoff,
+  TRANSITIONS
+} = require('../utils/quotationStateMachine');
+const { resolveBranch, recordMovement } = require('../utils/stockService');
+const { deliverQuotation } = require('../utils/quotationDeliveries');
+const { removeAttachmentsOf } = require('../utils/attachmentStorage');
+const { readProofOfDelivery, storeProofFiles, discardProofFiles } = require('../utils/proofOfDelivery');
+const {
+  parseSlot,
+  bookingsOn,
+  capacityOf,
+  resolveAssignment,
+  notifyAssignedDriver
+} = require('../utils/deliveryScheduling');
+const { slots: deliverySlots } = require('../config/delivery');
+const { calculateMargins, getMarginBreakdown, applyMarginGuard } = require('../utils/quotationMargins');
+const {
+  AWAITING_APPROVAL,
+  startApprovalChain,
+  notifyPendingApprovers,
+  approveStep,
+  rejectStep
+} = require('../utils/quotationApprovals');
+
+// Delivered and cancelled quantities are only set by deliveries
+const withoutFulfilment = (items = []) =>
+  items.map(({ deliveredQuantity, cancelledQuantity, ...item }) => item);
+
+/**
+ * @desc    Complete an approved quotation and create its sale in one transaction.
+ *          The status is claimed with a conditional update, so of two concurrent
+ *          requests only one creates a sale; the other gets that sale back.
+ * @param   {Quotation} current - The quotation as read, in a status the action allows
+ * @param   {Object} options - { action: 'convert', branch, user, stockNote }
+ * @returns {Promise<Object>} - { quotation, sale, created }
+ */
+const completeQuotationAsSale = (current, { action, branch, user, stockNote }) =>
+  runInTransaction(async (session) => {
+    const quotation = await Quotation.findOneAndUpdate(
+      { _id: current._id, status: current.status },
+      transitionUpdate(current, action, { user }),
+      { new: true, session }
+    );
+
+    if (!quotation) {
+      const existingSale = await Sale.findOne({ quotation: current._id }).session(session);
+      if (existingSale) {
+        const completedQuotation = await Quotation.findById(current._id).session(session);
+        return { quotation: completedQuotation, sale: existingSale, created: false };
+      }
+      throw new ErrorResponse(
+        `Illegal status transition: quotation ${current.quotationNumber} changed status while it was being updated`,
+        409
+      );
+    }
+
+    // Filter out items with zero quantity for the sale
+    const validItems = quotation.items.filter(item => item.quantity > 0);
+    
+    // Recalculate totals based on valid items only (recomputed, not checked)
+    const totals = priceDocument(validItems.map(item => {
+      const { tax, total, ...line } = item.toObject();
+      return line;
+    }));
+    
+    const saleData = {
+      saleNumber: await nextNumber('sale', { session }),
+      quotation: quotation._id,
+      // The find hook populates customer records to null; populated() keeps the id
+      customer: quotation.populated('customer') || quotation.customer,
+      branch,
+      currency: quotation.currency,
+      exchangeRate: quotation.exchangeRate,
+      items: totals.items,
+      subtotal: totals.subtotal,
+      taxAmount: totals.taxAmount,
+      discountAmount: totals.discountAmount,
+      total: totals.total,
+      status: 'pending',
+      amountPaid: 0,
+      balance: totals.total,
+      dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days from now
+      createdBy: user.id
+    };
+
+    const [sale] = await Sale.create([saleData], { session });
+
+    // Deduct sold quantities from branch stock
+    for (const item of validItems) {
+      await recordMovement({
+        inventory: item.inventory,
+        branch,
+        quantity: -item.quantity,
+        reason: 'sale',
+        source: { type: 'Sale', id: sale._id, number: sale.saleNumber },
+        user: user.id,
+        notes: `${stockNote} ${quotation.quotationNumber}`
+      }, { session });
+    }
+
+    return { quotation, sale, created: true };
+  });
 
 /**
  * @desc    Get all quotations
@@ -117,7 +237,7 @@ exports.getQuotations = async (req, res) => {
 };
 
 /**
- * @desc    Get single quotation
+ * @desc    Get single quotation. Approvers also get its margin breakdown.
  * @route   GET /api/v1/quotations/:id
  * @access  Private
  */
@@ -132,9 +252,12 @@ exports.getQuotation = async (req, res) => {
       });
     }
 
+    const isApprover = req.user.role === 'admin' || req.user.role === 'superadmin';
+
     res.status(200).json({
       success: true,
-      data: quotation
+      data: quotation,
+      margin: isApprover ? getMarginBreakdown(quotation) : undefined
     });
   } catch (err) {
     res.status(400).json({
@@ -144,6 +267,42 @@ exports.getQuotation = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Download a quotation as PDF
+ * @route   GET /api/v1/quotations/:id/pdf
+ * @access  Private
+ */
+exports.getQuotationPdf = async (req, res) => {
+  try {
+    const quotation = await Quotation.findById(req.params.id);
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: `Quotation not found with id of ${req.params.id}`
+      });
+    }
+
+    const template = await getTemplate('quotation');
+    const branch = quotation.branch ? await Branch.findById(quotation.branch) : null;
+
+    const pdf = await renderQuotationPdf(quotation, { template, branch });
+    const filename = `${quotation.displayNumber || quotation._id}.pdf`.replace(/\s+/g, '-');
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${filename}"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
 /**
  * @desc    Create new quotation
  * @route   POST /api/v1/quotations
@@ -154,8 +313,41 @@ exports.createQuotation = async (req, res) => {
     // Add user to req.body
     req.body.createdBy = req.user.id;
 
-    // Create quotation
-    const quotation = await Quotation.create(req.body);
+    // If branch is not provided, use the user's branch
+    if (!req.body.branch && req.user.branch) {
+      req.body.branch = req.user.branch;
+    }
+
+    // New quotations start as draft or pending; later statuses are reached
+    // through the state machine
+    req.body.status = req.body.status || 'pending';
+    req.body.statusHistory = initialHistory(req.body.status, req.user);
+
+    // Delivery slots are booked when the quotation is approved
+    delete req.body.deliverySlot;
+
+    // Line and document totals are calculated on the server; mismatched
+    // totals from the client are rejected
+    Object.assign(req.body, priceDocument(withoutFulfilment(req.body.items), req.body));
+
+    // The exchange rate in force today stays with the quotation and the
+    // sale made from it
+    Object.assign(req.body, await lockExchangeRate(req.body.currency));
+    Object.assign(req.body, await calculateMargins(req.body.items, { exchangeRate: req.body.exchangeRate }));
+
+    // Create quotation with the next number from the quotation sequence
+    const quotation = await runInTransaction(async (session) => {
+      req.body.quotationNumber = await nextNumber('quotation', { session });
+      req.body.revision = 1;
+      const [created] = await Quotation.create([req.body], { session });
+      await recordRevision(created, req.user.id, { session });
+
+      // Quotes below the minimum margin wait in margin_review
+      const guarded = await applyMarginGuard(created, { session });
+      return AWAITING_APPROVAL.includes(guarded.status)
+        ? startApprovalChain(guarded, { session })
+        : guarded;
+    });
 
     // Notify admin users about new quotation via WebSocket
     webSocketService.notifyQuotationCreated({
@@ -171,13 +363,14 @@ exports.createQuotation = async (req, res) => {
       },
       createdAt: quotation.createdAt
     });
+    notifyPendingApprovers(quotation);
 
     res.status(201).json({
       success: true,
       data: quotation
     });
   } catch (err) {
-    res.status(400).json({
+    res.status(err.statusCode || 400).json({
       success: false,
       message: err.message
     });
@@ -211,9 +404,72 @@ exports.updateQuotation = async (req, res) => {
       });
     }
 
-    quotation = await Quotation.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
+    // Quotation numbers, currency and exchange rate are fixed once
+    // allocated, and revisions are numbered by the server
+    delete req.body.quotationNumber;
+    delete req.body.revision;
+    delete req.body.currency;
+    delete req.body.exchangeRate;
+
+    // A status change must be a transition of the state machine
+    const { status: requestedStatus, reason } = req.body;
+    delete req.body.status;
+    delete req.body.statusHistory;
+    delete req.body.shareLink;
+    delete req.body.customerResponse;
+    // Drivers and slots are assigned through the audited assign-delivery action
+    delete req.body.assignedDelivery;
+    delete req.body.deliverySlot;
+
+    let action;
+    if (requestedStatus && requestedStatus !== quotation.status) {
+      action = findAction(quotation, requestedStatus, req.user);
+
+      if (!action) {
+        throw new ErrorResponse(
+          `Illegal status transition: cannot change a quotation from '${quotation.status}' to '${requestedStatus}'`,
+          409
+        );
+      }
+
+      if (TRANSITIONS[action].direct === false) {
+        throw new ErrorResponse(
+          `Illegal status transition: '${action}' has its own action and cannot be done by setting the status`,
+          409
+        );
+      }
+
+      checkTransition(quotation, action, req.user);
+    }
+
+    // Totals and margins follow the items: re-price when they change,
+    // otherwise keep the stored ones
+    if (req.body.items) {
+      Object.assign(req.body, priceDocument(withoutFulfilment(req.body.items), req.body));
+      Object.assign(req.body, await calculateMargins(req.body.items, { exchangeRate: quotation.exchangeRate }));
+    } else {
+      ['subtotal', 'discountAmount', 'taxAmount', 'total', 'margin'].forEach(field => delete req.body[field]);
+    }
+
+    // Save the update, keeping the new content as the next revision if it
+    // changed, and apply the status transition with it
+    const before = quotation;
+    let approvalsRestarted = false;
+    quotation = await runInTransaction(async (session) => {
+      const result = await reviseQuotation(before, req.body, { user: req.user.id, session });
+
+      let updated = action
+        ? await transitionQuotation(result.quotation, action, { user: req.user, reason, session })
+        : result.quotation;
+
+      if (result.revised || action) {
+        updated = await applyMarginGuard(updated, { session });
+      }
+
+      // Approvals apply to the content they were given for: a submitted or
+      // changed quotation goes through its approval chain again
+      approvalsRestarted = AWAITING_APPROVAL.includes(updated.status) && (result.revised || Boolean(action));
+      return approvalsRestarted ? startApprovalChain(updated, { session }) : updated;
     });
 
     // Notify admin users about quotation update via WebSocket
@@ -226,13 +482,16 @@ exports.updateQuotation = async (req, res) => {
       updatedBy: req.user.id,
       updatedAt: new Date()
     });
+    if (approvalsRestarted) {
+      notifyPendingApprovers(quotation);
+    }
 
     res.status(200).json({
       success: true,
       data: quotation
     });
   } catch (err) {
-    res.status(400).json({
+    res.status(err.statusCode || 400).json({
       success: false,
       message: err.message
     });
@@ -264,6 +523,7 @@ exports.deleteQuotation = async (req, res) => {
     }
 
     await quotation.deleteOne();
+    await removeAttachmentsOf('Quotation', quotation._id);
 
     res.status(200).json({
       success: true,
@@ -283,14 +543,17 @@ exports.deleteQuotation = async (req, res) => {
  * @access  Private
  */
 /**
- * @desc    Approve quotation with delivery assignment
+ * @desc    Approve quotation with delivery assignment. Records the user's
+ *          approval on the quotation's approval chain; the quotation is
+ *          approved once every required approval is given. The last
+ *          approval takes an assignedDelivery or autoAssign, and a
+ *          deliverySlot { date, start }.
  * @route   POST /api/v1/quotations/:id/approve
  * @access  Private
  */
 exports.approveQuotation = async (req, res) => {
   try {
-    // Populate the quotation with createdBy user details
-    const quotation = await Quotation.findById(req.params.id).populate('createdBy', 'name email');
+    const quotation = await Quotation.findById(req.params.id);
 
     if (!quotation) {
       return res.status(404).json({
@@ -299,63 +562,60 @@ exports.approveQuotation = async (req, res) => {
       });
     }
 
-    // Check if quotation is pending
-    if (quotation.status !== 'pending' && quotation.status !== 'draft') {
-      return res.status(400).json({
-        success: false,
-        message: 'Only pending quotations can be approved'
+    // Only pending quotations can be approved, and only by administrators
+    checkTransition(quotation, 'approve', req.user);
+
+    const { quotation: approved, complete, nextStep } = await runInTransaction(async (session) => {
+      // Validate the delivery slot and driver if provided; with autoAssign
+      // the least-loaded driver with room on that day is picked
+      const { driver, deliverySlot } = await resolveAssignment(req.body, {
+        excludeQuotation: quotation._id,
+        session
       });
-    }
 
-    // Check if user is authorized to approve (only admin and superadmin can approve)
-    if (req.user.role !== 'admin' && req.user.role !== 'superadmin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only administrators can approve quotations'
+      // Sign the pending approval step, booking the delivery with the last one
+      return approveStep(quotation, req.user, {
+        reason: req.body.reason,
+        assignedDelivery: driver && driver._id,
+        deliverySlot,
+        session
       });
-    }
+    });
 
-    // Validate delivery assignment if provided
-    if (req.body.assignedDelivery) {
-      const User = require('../models/User');
-      const deliveryUser = await User.findById(req.body.assignedDelivery);
-      
-      if (!deliveryUser || deliveryUser.role !== 'delivery') {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid delivery user selected'
-        });
-      }
-      
-      quotation.assignedDelivery = req.body.assignedDelivery;
-    }
+    // More approvals needed: ask the next approvers
+    if (!complete) {
+      notifyPendingApprovers(approved);
 
-    // Update quotation status
-    quotation.status = 'approved';
-    await quotation.save();
+      return res.status(200).json({
+        success: true,
+        message: `Approval ${nextStep.index} of ${nextStep.total} recorded; waiting for a ${nextStep.role}`,
+        data: approved
+      });
+    }
 
     // Notify all users about quotation status change via WebSocket
     webSocketService.notifyQuotationStatusChanged({
       quotation: {
-        _id: quotation._id,
-        quotationNumber: quotation.quotationNumber,
-        customer: quotation.customer,
-        status: quotation.status,
-        assignedDelivery: quotation.assignedDelivery,
-        createdBy: quotation.createdBy // This will now include the populated user data
+        _id: approved._id,
+        quotationNumber: approved.quotationNumber,
+        customer: approved.customer,
+        status: approved.status,
+        assignedDelivery: approved.assignedDelivery,
+        createdBy: approved.createdBy // Populated with the creator's name and email
       },
-      previousStatus: 'pending',
-      newStatus: quotation.status,
+      previousStatus: quotation.status,
+      newStatus: approved.status,
       approvedBy: req.user.id,
       updatedAt: new Date()
     });
+    notifyAssignedDriver(approved);
 
     res.status(200).json({
       success: true,
-      data: quotation
+      data: approved
     });
   } catch (err) {
-    res.status(400).json({
+    res.status(err.statusCode || 400).json({
       success: false,
       message: err.message
     });
@@ -369,7 +629,7 @@ exports.approveQuotation = async (req, res) => {
  */
 exports.rejectQuotation = async (req, res) => {
   try {
-    const quotation = await Quotation.findById(req.params.id);
+    let quotation = await Quotation.findById(req.params.id);
 
     if (!quotation) {
       return res.status(404).json({
@@ -378,25 +638,10 @@ exports.rejectQuotation = async (req, res) => {
       });
     }
 
-    // Check if quotation is pending
-    if (quotation.status !== 'pending' && quotation.status !== 'draft') {
-      return res.status(400).json({
-        success: false,
-        message: 'Only pending quotations can be rejected'
-      });
-    }
-
-    // Check if user is authorized to reject (only admin role can reject)
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only administrators can reject quotations'
-      });
-    }
-
-    // Update quotation status
-    quotation.status = 'rejected';
-    await quotation.save();
+    // Only pending quotations can be rejected, and only by administrators
+    quotation = await rejectStep(quotation, req.user, {
+      reason: req.body.reason
+    });
 
     // Notify all users about quotation status change via WebSocket
     webSocketService.notifyQuotationStatusChanged({
@@ -413,7 +658,7 @@ exports.rejectQuotation = async (req, res) => {
       data: quotation
     });
   } catch (err) {
-    res.status(400).json({
+    res.status(err.statusCode || 400).json({
       success: false,
       message: err.message
     });
@@ -421,7 +666,11 @@ exports.rejectQuotation = async (req, res) => {
 };
 
 /**
- * @desc    Mark quotation as delivered
+ * @desc    Mark quotation as delivered, in full or in part. Without items
+ *          everything outstanding is delivered; with items only those
+ *          quantities are, and the rest stays on backorder. A proof of
+ *          delivery (recipientName, signature and photos files, latitude,
+ *          longitude, deliveredAt) can be sent as multipart form data.
  * @route   POST /api/v1/quotations/:id/deliver
  * @access  Private
  */
@@ -436,83 +685,116 @@ exports.markAsDelivered = async (req, res) => {
       });
     }
 
-    // Check if quotation is approved or accepted
-    if (quotation.status !== 'approved' && quotation.status !== 'accepted') {
-      return res.status(400).json({
-        success: false,
-        message: 'Only approved quotations can be marked as delivered'
-      });
-    }
-
     // Check if user is authorized (any delivery user can mark as delivered)
-    if (req.user.role !== 'delivery') {
+    if (!hasRole('deliver', req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Only delivery personnel can mark quotations as delivered'
       });
     }
 
-    // Update quotation status to completed
-    quotation.status = 'completed';
-    await quotation.save();
+    // A retry sends the Idempotency-Key of the first request, so a partial
+    // delivery is not shipped twice
+    const requestKey = req.get('Idempotency-Key');
+    if (requestKey !== undefined && (!requestKey.trim() || requestKey.length > 100)) {
+      throw new ErrorResponse('Idempotency-Key must be 1 to 100 characters', 400);
+    }
 
-    // Create sale from quotation data
-    const Sale = require('../models/Sale');
-    
-    // Filter out items with zero quantity for the sale
-    const validItems = quotation.items.filter(item => item.quantity > 0);
-    
-    // Recalculate totals based on valid items only
-    const validSubtotal = validItems.reduce((sum, item) => sum + item.total, 0);
-    const validTotal = validSubtotal + (quotation.taxAmount || 0) - (quotation.discountAmount || 0);
-    
-    const saleData = {
-      saleNumber: `S-${Date.now()}`,
-      quotation: quotation._id,
-      customer: quotation.customer, // This should be the customer ID from the quotation
-      items: validItems,
-      subtotal: validSubtotal,
-      taxAmount: quotation.taxAmount,
-      discountAmount: quotation.discountAmount,
-      total: validTotal,
-      status: 'pending',
-      amountPaid: 0,
-      balance: validTotal,
-      dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days from now
-      createdBy: req.user.id // Use the delivery user who marked it as delivered
-    };
+    // A repeated request (e.g. a double tap) gets the sale created the first time
+    if (quotation.status === 'completed') {
+      const existingSale = await Sale.findOne({ quotation: quotation._id });
+      if (existingSale) {
+        return res.status(200).json({
+          success: true,
+          message: 'Quotation has already been delivered',
+          data: {
+            quotation,
+            sale: existingSale
+          }
+        });
+      }
+    }
+
+    // Only approved, accepted or partially delivered quotations can be delivered
+    checkTransition(quotation, 'deliver', req.user);
 
-    const sale = await Sale.create(saleData);
+    // Stock leaves the quotation's branch (or the delivery user's branch)
+    const branch = resolveBranch(quotation.branch, req.body.branch, req.user.branch);
 
-    // Update inventory quantities
-    for (const item of quotation.items) {
-      const inventoryItem = await Inventory.findById(item.inventory);
-      if (inventoryItem) {
-        inventoryItem.quantity -= item.quantity;
-        await inventoryItem.save();
+    // With a proof of delivery the request is multipart, so the lines come as JSON text
+    let lines = req.body.items;
+    if (typeof lines === 'string') {
+      try {
+        lines = JSON.parse(lines);
+      } catch (err) {
+        throw new ErrorResponse('Items must be a JSON array of { item, quantity }', 400);
       }
     }
 
+    // Store the signature and photos first so the proof is saved with the delivery
+    const proofSent = readProofOfDelivery(req.body, req.files);
+    const proof = proofSent ? await storeProofFiles(proofSent, req.user) : undefined;
+
+    // Record the delivery, add it to the sale and deduct stock atomically
+    let result;
+    try {
+      result = await deliverQuotation(quotation._id, {
+        lines,
+        branch,
+        user: req.user, // The delivery user who marked it as delivered
+        notes: req.body.notes,
+        proof,
+        requestKey: requestKey && requestKey.trim()
+      });
+    } catch (err) {
+      if (proof) {
+        await discardProofFiles(proof._id);
+      }
+      throw err;
+    }
+
+    // A repeated request gets the delivery recorded the first time
+    if (!result.created) {
+      if (proof) {
+        await discardProofFiles(proof._id);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: `Delivery ${result.delivery.deliveryNumber} has already been recorded`,
+        data: {
+          quotation: result.quotation,
+          sale: result.sale,
+          delivery: result.delivery,
+          proofOfDelivery: result.proofOfDelivery
+        }
+      });
+    }
+
     // Notify all users about quotation status change via WebSocket
     webSocketService.notifyQuotationStatusChanged({
-      quotationId: quotation._id,
-      quotationNumber: quotation.quotationNumber,
-      customer: quotation.customer,
-      status: quotation.status,
+      quotationId: result.quotation._id,
+      quotationNumber: result.quotation.quotationNumber,
+      customer: result.quotation.customer,
+      status: result.quotation.status,
+      previousStatus: result.previousStatus,
       deliveredBy: req.user.id,
-      saleCreated: sale._id,
+      deliveryNumber: result.delivery.deliveryNumber,
+      saleCreated: result.saleCreated ? result.sale._id : undefined,
       updatedAt: new Date()
     });
 
     res.status(200).json({
       success: true,
       data: {
-        quotation,
-        sale
+        quotation: result.quotation,
+        sale: result.sale,
+        delivery: result.delivery,
+        proofOfDelivery: result.proofOfDelivery
       }
     });
   } catch (err) {
-    res.status(400).json({
+    res.status(err.statusCode || 400).json({
       success: false,
       message: err.message
     });
@@ -520,7 +802,7 @@ exports.markAsDelivered = async (req, res) => {
 };
 
 /**
- * @desc    Get delivery users
+ * @desc    Get delivery users, with their bookings on ?date= when given
  * @route   GET /api/v1/quotations/delivery-users
  * @access  Private
  */
@@ -535,14 +817,35 @@ exports.getDeliveryUsers = async (req, res) => {
     }
 
     const User = require('../models/User');
-    const deliveryUsers = await User.find({ role: 'delivery', isActive: true }).select('name email phone');
+    const deliveryUsers = await User.find({ role: 'delivery', isActive: true }).select('name email phone deliveryCapacity');
+
+    // With ?date= (and optionally ?start=), show how booked each driver is that day
+    if (req.query.date) {
+      const slot = parseSlot({ date: req.query.date, start: req.query.start || deliverySlots[0].start });
+      const bookings = await bookingsOn(slot.date);
+
+      return res.status(200).json({
+        success: true,
+        data: deliveryUsers.map(deliveryUser => {
+          const booking = bookings.get(String(deliveryUser._id)) || { total: 0, slots: {} };
+          const capacity = capacityOf(deliveryUser);
+          return {
+            ...deliveryUser.toObject(),
+            capacity,
+            booked: booking.total,
+            bookedInSlot: booking.slots[slot.start] || 0,
+            available: Math.max(capacity - booking.total, 0)
+          };
+        })
+      });
+    }
 
     res.status(200).json({
       success: true,
       data: deliveryUsers
     });
   } catch (err) {
-    res.status(400).json({
+    res.status(err.statusCode || 400).json({
       success: false,
       message: err.message
     });
@@ -556,7 +859,7 @@ exports.getDeliveryUsers = async (req, res) => {
  */
 exports.cancelQuotation = async (req, res) => {
   try {
-    const quotation = await Quotation.findById(req.params.id);
+    let quotation = await Quotation.findById(req.params.id);
 
     if (!quotation) {
       return res.status(404).json({
@@ -585,48 +888,17 @@ exports.cancelQuotation = async (req, res) => {
       });
     }
 
-    // Check if quotation can be cancelled
-    if (['cancelled', 'completed', 'delivered'].includes(quotation.status)) {
-      return res.status(400).json({
-        success: false,
-        message: `Cannot cancel quotation with status: ${quotation.status}`
-      });
-    }
-
-    // Direct cancellation for early stages
-    if (['draft', 'pending'].includes(quotation.status) || isAdmin) {
-      quotation.status = 'cancelled';
-      quotation.cancelledAt = new Date();
-      quotation.cancelledBy = req.user.id;
-      quotation.cancellationReason = req.body.reason || 'No reason provided';
-      await quotation.save();
-
-      // Notify admin and related users
-      webSocketService.notifyQuotationStatusChanged({
-        quotationId: quotation._id,
-        quotationNumber: quotation.quotationNumber,
-        customer: quotation.customer,
-        status: quotation.status,
-        cancelledBy: req.user.id,
-        cancellationReason: quotation.cancellationReason,
-        updatedAt: new Date()
-      });
-
-      return res.status(200).json({
-        success: true,
-        message: 'Quotation cancelled successfully',
-        data: quotation
-      });
-    }
+    // Early stages (or any stage, for administrators) are cancelled directly;
+    // approved quotations need an administrator to approve the cancellation
+    const action = ['cancel', 'force_cancel'].find(name => canTransition(quotation, name, req.user)) ||
+      'request_cancellation';
 
-    // Request cancellation for later stages (approved/accepted)
-    if (['approved', 'accepted'].includes(quotation.status)) {
-      quotation.status = 'cancellation_requested';
-      quotation.cancellationRequestedAt = new Date();
-      quotation.cancellationRequestedBy = req.user.id;
-      quotation.cancellationReason = req.body.reason || 'No reason provided';
-      await quotation.save();
+    quotation = await transitionQuotation(quotation, action, {
+      user: req.user,
+      reason: req.body.reason
+    });
 
+    if (action === 'request_cancellation') {
       // Notify admin for approval
       webSocketService.notifyQuotationStatusChanged({
         quotationId: quotation._id,
@@ -645,13 +917,24 @@ exports.cancelQuotation = async (req, res) => {
       });
     }
 
-    // Cannot cancel
-    return res.status(400).json({
-      success: false,
-      message: `Cannot cancel quotation with status: ${quotation.status}`
+    // Notify admin and related users
+    webSocketService.notifyQuotationStatusChanged({
+      quotationId: quotation._id,
+      quotationNumber: quotation.quotationNumber,
+      customer: quotation.customer,
+      status: quotation.status,
+      cancelledBy: req.user.id,
+      cancellationReason: quotation.cancellationReason,
+      updatedAt: new Date()
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Quotation cancelled successfully',
+      data: quotation
     });
   } catch (err) {
-    res.status(400).json({
+    res.status(err.statusCode || 400).json({
       success: false,
       message: err.message
     });
@@ -666,14 +949,14 @@ exports.cancelQuotation = async (req, res) => {
 exports.approveCancellation = async (req, res) => {
   try {
     // Only admin can approve cancellations
-    if (req.user.role !== 'admin' && req.user.role !== 'superadmin') {
+    if (!hasRole('approve_cancellation', req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Only administrators can approve cancellations'
       });
     }
 
-    const quotation = await Quotation.findById(req.params.id);
+    let quotation = await Quotation.findById(req.params.id);
 
     if (!quotation) {
       return res.status(404).json({
@@ -682,23 +965,12 @@ exports.approveCancellation = async (req, res) => {
       });
     }
 
-    if (quotation.status !== 'cancellation_requested') {
-      return res.status(400).json({
-        success: false,
-        message: 'No cancellation request found for this quotation'
-      });
-    }
-
-    // Restore inventory if quotation was originally accepted (inventory was reserved)
-    // We need to check the original status before it became 'cancellation_requested'
-    // For now, we'll restore inventory for any cancellation request to be safe
-    // In a production system, you'd want to track the original status
-    await restoreInventoryQuantities(quotation.items);
-
-    quotation.status = 'cancelled';
-    quotation.cancelledAt = new Date();
-    quotation.cancelledBy = req.user.id;
-    await quotation.save();
+    // No stock to restore: stock is only deducted when a quotation is delivered
+    // or converted, and completed quotations cannot be cancelled
+    quotation = await transitionQuotation(quotation, 'approve_cancellation', {
+      user: req.user,
+      reason: req.body.reason
+    });
 
     // Notify user and delivery personnel
     webSocketService.notifyQuotationStatusChanged({
@@ -717,7 +989,7 @@ exports.approveCancellation = async (req, res) => {
       data: quotation
     });
   } catch (err) {
-    res.status(400).json({
+    res.status(err.statusCode || 400).json({
       success: false,
       message: err.message
     });
@@ -732,14 +1004,14 @@ exports.approveCancellation = async (req, res) => {
 exports.denyCancellation = async (req, res) => {
   try {
     // Only admin can deny cancellations
-    if (req.user.role !== 'admin' && req.user.role !== 'superadmin') {
+    if (!hasRole('deny_cancellation', req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Only administrators can deny cancellations'
       });
     }
 
-    const quotation = await Quotation.findById(req.params.id);
+    let quotation = await Quotation.findById(req.params.id);
 
     if (!quotation) {
       return res.status(404).json({
@@ -748,23 +1020,13 @@ exports.denyCancellation = async (req, res) => {
       });
     }
 
-    if (quotation.status !== 'cancellation_requested') {
-      return res.status(400).json({
-        success: false,
-        message: 'No cancellation request found for this quotation'
-      });
-    }
-
-    // Restore original status (should be approved or accepted)
-    const originalStatus = quotation.cancellationRequestedBy ? 'approved' : 'pending';
-    quotation.status = originalStatus;
-    
-    // Clear cancellation request fields
-    quotation.cancellationRequestedAt = undefined;
-    quotation.cancellationRequestedBy = undefined;
-    quotation.cancellationReason = undefined;
-    
-    await quotation.save();
+    // Restores the status the quotation had before cancellation was requested
+    // and clears the cancellation request fields
+    const denialReason = req.body.reason || 'Cancellation request denied';
+    quotation = await transitionQuotation(quotation, 'deny_cancellation', {
+      user: req.user,
+      reason: denialReason
+    });
 
     // Notify user that cancellation was denied
     webSocketService.notifyQuotationStatusChanged({
@@ -773,7 +1035,7 @@ exports.denyCancellation = async (req, res) => {
       customer: quotation.customer,
       status: quotation.status,
       cancellationDeniedBy: req.user.id,
-      denialReason: req.body.reason || 'Cancellation request denied',
+      denialReason,
       updatedAt: new Date()
     });
 
@@ -783,7 +1045,7 @@ exports.denyCancellation = async (req, res) => {
       data: quotation
     });
   } catch (err) {
-    res.status(400).json({
+    res.status(err.statusCode || 400).json({
       success: false,
       message: err.message
     });
@@ -791,25 +1053,88 @@ exports.denyCancellation = async (req, res) => {
 };
 
 /**
- * @desc    Helper function to restore inventory quantities
+ * @desc    Extend the validity of a quotation (reopens expired quotations)
+ * @route   POST /api/v1/quotations/:id/extend-validity
+ * @access  Private (Admin only)
  */
-const restoreInventoryQuantities = async (items) => {
-  for (const item of items) {
-    const inventoryItem = await Inventory.findById(item.inventory);
-    if (inventoryItem) {
-      inventoryItem.quantity += item.quantity;
-      await inventoryItem.save();
+exports.extendValidity = async (req, res) => {
+  try {
+    let quotation = await Quotation.findById(req.params.id);
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: `Quotation not found with id of ${req.params.id}`
+      });
     }
+
+    const validUntil = new Date(req.body.validUntil);
+
+    if (!req.body.validUntil || isNaN(validUntil.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid validUntil date'
+      });
+    }
+
+    if (validUntil < expiryCutoff()) {
+      return res.status(400).json({
+        success: false,
+        message: 'validUntil cannot be in the past'
+      });
+    }
+
+    // The old and new dates go in the status history with the reason
+    const previous = quotation.validUntil ? quotation.validUntil.toISOString().slice(0, 10) : 'none';
+    const change = `Validity extended from ${previous} to ${validUntil.toISOString().slice(0, 10)}`;
+    const previousStatus = quotation.status;
+
+    quotation = await transitionQuotation(quotation, 'extend_validity', {
+      user: req.user,
+      reason: req.body.reason ? `${change}: ${req.body.reason}` : change,
+      validUntil
+    });
+
+    if (quotation.status !== previousStatus) {
+      webSocketService.notifyQuotationStatusChanged({
+        quotationId: quotation._id,
+        quotationNumber: quotation.quotationNumber,
+        customer: quotation.customer,
+        status: quotation.status,
+        previousStatus,
+        validUntil: quotation.validUntil,
+        extendedBy: req.user.id,
+        updatedAt: new Date()
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: quotation
+    });
+  } catch (err) {
+    res.status(err.statusCode || 400).json({
+      success: false,
+      message: err.message
+    });
   }
 };
 
 /**
- * @desc    Convert quotation to sale
- * @route   POST /api/v1/quotations/:id/convert
- * @access  Private
+ * @desc    Create a public share link for the customer to view and answer a quotation.
+ *          Creating a new link revokes the previous one.
+ * @route   POST /api/v1/quotations/:id/share
+ * @access  Private (Admin only)
  */
-exports.convertToSale = async (req, res) => {
+exports.createShareLink = async (req, res) => {
   try {
+    if (req.user.role !== 'admin' && req.user.role !== 'superadmin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only administrators can share quotations'
+      });
+    }
+
     const quotation = await Quotation.findById(req.params.id);
 
     if (!quotation) {
@@ -819,83 +1144,164 @@ exports.convertToSale = async (req, res) => {
       });
     }
 
-    // Check if quotation is approved or accepted
-    if (quotation.status !== 'approved' && quotation.status !== 'accepted') {
+    if (!['approved', 'accepted'].includes(quotation.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Only approved quotations can be converted to a sale'
+        message: 'Only approved quotations can be shared with the customer'
       });
     }
 
-    // Check if user is authorized to convert (only user role can convert)
-    if (req.user.role !== 'user') {
+    const days = req.body.expiresInDays !== undefined ? Number(req.body.expiresInDays) : defaultShareDays();
+
+    if (!Number.isInteger(days) || days < 1 || days > 90) {
+      return res.status(400).json({
+        success: false,
+        message: 'expiresInDays must be a whole number between 1 and 90'
+      });
+    }
+
+    const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    const { token, tokenId } = createShareToken(quotation, expiresAt);
+
+    await Quotation.updateOne({ _id: quotation._id }, {
+      shareLink: {
+        tokenId,
+        expiresAt,
+        createdBy: req.user.id,
+        createdAt: new Date()
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        token,
+        url: `${req.protocol}://${req.get('host')}/api/v1/public/quotations/${token}`,
+        expiresAt
+      }
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Revoke the public share link of a quotation
+ * @route   DELETE /api/v1/quotations/:id/share
+ * @access  Private (Admin only)
+ */
+exports.revokeShareLink = async (req, res) => {
+  try {
+    if (req.user.role !== 'admin' && req.user.role !== 'superadmin') {
       return res.status(403).json({
         success: false,
-        message: 'Only users can convert quotations to sales'
+        message: 'Only administrators can revoke share links'
       });
     }
 
-    // Update quotation status
-    quotation.status = 'completed';
-    await quotation.save();
+    const quotation = await Quotation.findByIdAndUpdate(
+      req.params.id,
+      { $unset: { shareLink: '' } },
+      { new: true }
+    );
 
-    // Create sale from quotation data
-    const Sale = require('../models/Sale');
-    
-    // Filter out items with zero quantity for the sale
-    const validItems = quotation.items.filter(item => item.quantity > 0);
-    
-    // Recalculate totals based on valid items only
-    const validSubtotal = validItems.reduce((sum, item) => sum + item.total, 0);
-    const validTotal = validSubtotal + (quotation.taxAmount || 0) - (quotation.discountAmount || 0);
-    
-    const saleData = {
-      saleNumber: `S-${Date.now()}`,
-      quotation: quotation._id,
-      customer: quotation.customer,
-      items: validItems,
-      subtotal: validSubtotal,
-      taxAmount: quotation.taxAmount,
-      discountAmount: quotation.discountAmount,
-      total: validTotal,
-      status: 'pending',
-      amountPaid: 0,
-      balance: validTotal,
-      dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days from now
-      createdBy: req.user.id
-    };
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: `Quotation not found with id of ${req.params.id}`
+      });
+    }
 
-    const sale = await Sale.create(saleData);
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Convert quotation to sale
+ * @route   POST /api/v1/quotations/:id/convert
+ * @access  Private
+ */
+exports.convertToSale = async (req, res) => {
+  try {
+    const quotation = await Quotation.findById(req.params.id);
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: `Quotation not found with id of ${req.params.id}`
+      });
+    }
+
+    // Check if user is authorized to convert (only user role can convert)
+    if (!hasRole('convert', req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only users can convert quotations to sales'
+      });
+    }
 
-    // Update inventory quantities
-    for (const item of quotation.items) {
-      const inventoryItem = await Inventory.findById(item.inventory);
-      if (inventoryItem) {
-        inventoryItem.quantity -= item.quantity;
-        await inventoryItem.save();
+    // A repeated request gets the sale created the first time
+    if (quotation.status === 'completed') {
+      const existingSale = await Sale.findOne({ quotation: quotation._id });
+      if (existingSale) {
+        return res.status(200).json({
+          success: true,
+          message: 'Quotation has already been converted to a sale',
+          data: {
+            quotation,
+            sale: existingSale
+          }
+        });
       }
     }
 
-    // Notify all users about quotation status change via WebSocket
-    webSocketService.notifyQuotationStatusChanged({
-      quotationId: quotation._id,
-      quotationNumber: quotation.quotationNumber,
-      customer: quotation.customer,
-      status: quotation.status,
-      convertedBy: req.user.id,
-      saleCreated: sale._id,
-      updatedAt: new Date()
+    // Only approved or accepted quotations can be converted
+    checkTransition(quotation, 'convert', req.user);
+
+    // Stock leaves the quotation's branch (or the converting user's branch)
+    const branch = resolveBranch(quotation.branch, req.body.branch, req.user.branch);
+
+    // Complete the quotation, create the sale and deduct stock atomically
+    const result = await completeQuotationAsSale(quotation, {
+      action: 'convert',
+      branch,
+      user: req.user,
+      stockNote: 'Converted from quotation'
     });
 
+    if (result.created) {
+      // Notify all users about quotation status change via WebSocket
+      webSocketService.notifyQuotationStatusChanged({
+        quotationId: result.quotation._id,
+        quotationNumber: result.quotation.quotationNumber,
+        customer: result.quotation.customer,
+        status: result.quotation.status,
+        convertedBy: req.user.id,
+        saleCreated: result.sale._id,
+        updatedAt: new Date()
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: {
-        quotation,
-        sale
+        quotation: result.quotation,
+        sale: result.sale
       }
     });
   } catch (err) {
-    res.status(400).json({
+    res.status(err.statusCode || 400).json({
       success: false,
       message: err.message
     });
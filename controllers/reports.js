@@ -1,18 +1,29 @@
 const Sale = require('../models/Sale');
+const CreditNote = require('../models/CreditNote');
 const Inventory = require('../models/Inventory');
+const StockLevel = require('../models/StockLevel');
 const PurchaseOrder = require('../models/PurchaseOrder');
 const Customer = require('../models/Customer');
 const User = require('../models/User');
 const Quotation = require('../models/Quotation');
+const ProofOfDelivery = require('../models/ProofOfDelivery');
+const { roundAmount } = require('../utils/pricingEngine');
+const { baseCurrency, normaliseCurrency } = require('../utils/exchangeRates');
+const { AGING_BUCKETS, parseAsOf, getReceivablesAging } = require('../utils/receivables');
+const { sendWorkbook } = require('../utils/spreadsheet');
 
 /**
- * @desc    Get sales report
+ * @desc    Get sales report. Amounts are in the base currency, converted with
+ *          each sale's locked exchange rate, unless ?currency= names another
+ *          currency, which reports only the sales made in it. Credit notes
+ *          issued in the range are reported as returns and taken off revenue.
  * @route   GET /api/v1/reports/sales
  * @access  Private/Admin,User
  */
 exports.getSalesReport = async (req, res, next) => {
   try {
     const { startDate, endDate, branch } = req.query;
+    const currency = normaliseCurrency(req.query.currency);
     
     // Validate date range
     if (!startDate || !endDate) {
@@ -43,6 +54,16 @@ exports.getSalesReport = async (req, res, next) => {
     if (branch) {
       query.branch = branch;
     }
+
+    // Sales from before currencies were kept are in the base currency
+    if (currency !== baseCurrency) {
+      query.currency = currency;
+    }
+
+    // Also used for credit notes, which carry their sale's currency and rate
+    const amountOf = sale => (currency === baseCurrency
+      ? (sale.total || 0) * (sale.exchangeRate || 1)
+      : (sale.total || 0));
     
     // Get all sales first to check if there are any
     const allSales = await Sale.find({}).limit(5);
@@ -55,11 +76,18 @@ exports.getSalesReport = async (req, res, next) => {
       .sort({ createdAt: -1 });
     
     console.log('Sales Report - Filtered sales count:', sales.length);
+
+    // Returns count on the day the credit note was issued
+    const creditNotes = await CreditNote.find(query)
+      .populate({ path: 'sale', select: 'saleNumber' })
+      .sort({ createdAt: -1 });
     
     // Calculate summary statistics
     const totalSales = sales.length;
-    const totalRevenue = sales.reduce((sum, sale) => sum + (sale.total || 0), 0);
+    const totalRevenue = roundAmount(sales.reduce((sum, sale) => sum + amountOf(sale), 0));
     const averageSale = totalSales > 0 ? totalRevenue / totalSales : 0;
+    const totalReturns = roundAmount(creditNotes.reduce((sum, note) => sum + amountOf(note), 0));
+    const netRevenue = roundAmount(totalRevenue - totalReturns);
     
     // Group sales by day for chart data
     const salesByDay = {};
@@ -68,18 +96,33 @@ exports.getSalesReport = async (req, res, next) => {
       if (!salesByDay[date]) {
         salesByDay[date] = {
           count: 0,
-          revenue: 0
+          revenue: 0,
+          returns: 0
         };
       }
       salesByDay[date].count += 1;
-      salesByDay[date].revenue += (sale.total || 0);
+      salesByDay[date].revenue += amountOf(sale);
+    });
+    creditNotes.forEach(note => {
+      const date = note.createdAt.toISOString().split('T')[0];
+      if (!salesByDay[date]) {
+        salesByDay[date] = {
+          count: 0,
+          revenue: 0,
+          returns: 0
+        };
+      }
+      salesByDay[date].returns += amountOf(note);
     });
     
     // Convert to array format for frontend
-    const dailySalesData = Object.keys(salesByDay).map(date => ({
+    // Newest day first, like the sales
+    const dailySalesData = Object.keys(salesByDay).sort((a, b) => b.localeCompare(a)).map(date => ({
       date,
       count: salesByDay[date].count,
-      revenue: salesByDay[date].revenue
+      revenue: roundAmount(salesByDay[date].revenue),
+      returns: roundAmount(salesByDay[date].returns),
+      netRevenue: roundAmount(salesByDay[date].revenue - salesByDay[date].returns)
     }));
     
     console.log('Sales Report - Response data:', {
@@ -94,9 +137,14 @@ exports.getSalesReport = async (req, res, next) => {
       success: true,
       data: {
         sales,
+        currency,
         totalSales,
         totalRevenue,
         averageSale,
+        creditNotes,
+        returnCount: creditNotes.length,
+        totalReturns,
+        netRevenue,
         dailySalesData
       }
     });
@@ -160,6 +208,29 @@ exports.getDeliveryReport = async (req, res, next) => {
     
     console.log('Delivery Report - Deliveries found:', deliveries.length);
     
+    // Proof of delivery captured for each quotation, one per delivery drop
+    const proofs = await ProofOfDelivery.find({
+      quotation: { $in: deliveries.map(delivery => delivery._id) }
+    })
+      .populate('delivery', 'deliveryNumber')
+      .sort({ deliveredAt: 1 });
+    
+    const proofsByQuotation = {};
+    proofs.forEach(proof => {
+      const quotationId = proof.quotation.toString();
+      (proofsByQuotation[quotationId] = proofsByQuotation[quotationId] || []).push({
+        _id: proof._id,
+        deliveryNumber: proof.delivery?.deliveryNumber,
+        sale: proof.sale,
+        recipientName: proof.recipientName,
+        deliveredAt: proof.deliveredAt,
+        location: proof.location,
+        hasSignature: Boolean(proof.signature),
+        photoCount: proof.photos.length,
+        capturedBy: proof.capturedBy
+      });
+    });
+    
     // Get all delivery users for filtering
     const deliveryUsers = await User.find({ 
       role: 'delivery',
@@ -173,6 +244,7 @@ exports.getDeliveryReport = async (req, res, next) => {
     const completedDeliveries = deliveries.filter(d => d.status === 'delivered').length;
     const pendingDeliveries = deliveries.filter(d => d.status === 'approved' || d.status === 'pending').length;
     const totalDeliveryAccounts = deliveryUsers.length;
+    const deliveriesWithProof = deliveries.filter(d => proofsByQuotation[d._id.toString()]).length;
     
     // Group deliveries by delivery user
     const deliveriesByUser = {};
@@ -217,7 +289,8 @@ exports.getDeliveryReport = async (req, res, next) => {
       amount: delivery.total,
       items: delivery.items || [],
       deliveryAddress: delivery.deliveryAddress || `${delivery.customer?.name || 'Customer'} Address`,
-      notes: delivery.notes
+      notes: delivery.notes,
+      proofOfDelivery: proofsByQuotation[delivery._id.toString()] || []
     }));
     
     console.log('Delivery Report - Response data:', {
@@ -238,7 +311,8 @@ exports.getDeliveryReport = async (req, res, next) => {
         totalDeliveryAccounts,
         totalDeliveries,
         completedDeliveries,
-        pendingDeliveries
+        pendingDeliveries,
+        deliveriesWithProof
       }
     });
   } catch (err) {
@@ -256,22 +330,43 @@ exports.getInventoryReport = async (req, res, next) => {
   try {
     const { branch } = req.query;
     
-    // Build query
-    const query = {};
+    // Stock lives per branch; narrow to one branch if requested
+    const stockQuery = {};
     
     // Add branch filter if provided
     if (branch) {
-      query.branch = branch;
+      stockQuery.branch = branch;
     }
     
-    // Get inventory items
-    const products = await Inventory.find(query)
+    // Get inventory items and their branch stock levels
+    const items = await Inventory.find({})
       .sort({ name: 1 });
+    const stockLevels = await StockLevel.find(stockQuery);
+    
+    // Sum quantities and reorder levels per item
+    const stockByItem = {};
+    stockLevels.forEach(level => {
+      const itemId = level.inventory.toString();
+      if (!stockByItem[itemId]) {
+        stockByItem[itemId] = {
+          quantity: 0,
+          reorderLevel: 0
+        };
+      }
+      stockByItem[itemId].quantity += level.quantity;
+      stockByItem[itemId].reorderLevel += level.reorderLevel;
+    });
+    
+    const products = items.map(item => ({
+      ...item.toObject(),
+      quantity: stockByItem[item._id.toString()]?.quantity || 0,
+      reorderLevel: stockByItem[item._id.toString()]?.reorderLevel || 0
+    }));
     
     // Calculate summary statistics
     const totalProducts = products.length;
     const lowStockCount = products.filter(p => p.quantity < p.reorderLevel && p.quantity > 0).length;
-    const outOfStockCount = products.filter(p => p.quantity === 0).length;
+    const outOfStockCount = products.filter(p => p.quantity <= 0).length;
     const totalValue = products.reduce((sum, product) => sum + (product.price * product.quantity), 0);
     
     // Group products by category
@@ -494,3 +589,78 @@ exports.getCustomersReport = async (req, res, next) => {
     next(err);
   }
 };
+
+/**
+ * @desc    Get accounts receivable aging: what each customer still owes,
+ *          bucketed by days past due as of ?asOf= (today by default), with
+ *          the sales behind it, one row per unpaid installment on a
+ *          payment plan. ?branch= and ?customer= narrow it down,
+ *          ?currency= works as for the sales report and ?format=xlsx
+ *          downloads it as a workbook.
+ * @route   GET /api/v1/reports/receivables-aging
+ * @access  Private/Admin,User
+ */
+exports.getReceivablesAgingReport = async (req, res, next) => {
+  try {
+    const { branch, customer, format } = req.query;
+
+    const report = await getReceivablesAging({
+      asOf: parseAsOf(req.query.asOf),
+      currency: normaliseCurrency(req.query.currency),
+      branch,
+      customer
+    });
+
+    if (format === 'xlsx') {
+      const bucketColumns = row => AGING_BUCKETS.reduce(
+        (columns, bucket) => ({ ...columns, [bucket.label]: row[bucket.key] }),
+        {}
+      );
+      const customerName = row => (row.customer ? row.customer.name || row.customer.contactPerson || '' : 'No customer');
+
+      return sendWorkbook(res, `receivables-aging-${report.asOf.toISOString().split('T')[0]}`, [
+        {
+          name: 'Customers',
+          rows: [
+            ...report.customers.map(row => ({
+              Customer: customerName(row),
+              Phone: row.customer ? row.customer.phone : '',
+              ...bucketColumns(row),
+              [`Total (${report.currency})`]: row.total
+            })),
+            {
+              Customer: 'Total',
+              Phone: '',
+              ...bucketColumns(report.totals),
+              [`Total (${report.currency})`]: report.totals.total
+            }
+          ]
+        },
+        {
+          name: 'Sales',
+          rows: report.customers.flatMap(row => row.sales.map(sale => ({
+            Customer: customerName(row),
+            'Sale number': sale.saleNumber,
+            'Sale date': sale.saleDate.toISOString().split('T')[0],
+            Installment: sale.installment ? `${sale.installment} of ${sale.installments}` : '',
+            'Due date': sale.dueDate.toISOString().split('T')[0],
+            'Days past due': sale.daysPastDue,
+            Bucket: AGING_BUCKETS.find(bucket => bucket.key === sale.bucket).label,
+            Currency: sale.currency,
+            Total: sale.total,
+            Outstanding: sale.outstanding,
+            [`Amount (${report.currency})`]: sale.amount
+          })))
+        }
+      ]);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (err) {
+    console.error('Receivables Aging Report Error:', err);
+    next(err);
+  }
+};
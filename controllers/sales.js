@@ -1,5 +1,23 @@
 const Sale = require('../models/Sale');
-const Inventory = require('../models/Inventory');
+const Payment = require('../models/Payment');
+const CreditNote = require('../models/CreditNote');
+const Invoice = require('../models/Invoice');
+const runInTransaction = require('../utils/transaction');
+const { nextNumber } = require('../utils/numberingService');
+const { priceDocument } = require('../utils/pricingEngine');
+const { lockExchangeRate } = require('../utils/exchangeRates');
+const { resolveBranch, recordMovement } = require('../utils/stockService');
+const { applyPayments, recordPayment } = require('../utils/payments');
+
+// Derived from the sale's payments and credit notes (see utils/payments), never set directly
+const PAYMENT_FIELDS = ['amountPaid', 'balance', 'returnedAmount', 'refundedAmount'];
+const PAYMENT_STATUSES = ['pending', 'partially_paid', 'paid'];
+
+// Kept by the dunning job (see utils/dunning), never set directly
+const DUNNING_FIELDS = ['isOverdue', 'overdueSince', 'dunningStage'];
+
+// Payment plans are set through /api/v1/sales/:saleId/installments
+const PLAN_FIELDS = ['installments'];
 
 /**
  * @desc    Get all sales
@@ -125,30 +143,55 @@ exports.createSale = async (req, res) => {
   try {
     // Add user to req.body
     req.body.createdBy = req.user.id;
+    DUNNING_FIELDS.forEach(field => delete req.body[field]);
+    PLAN_FIELDS.forEach(field => delete req.body[field]);
     
     // If branch is not provided, use the user's branch
-    if (!req.body.branch && req.user.branch) {
-      req.body.branch = req.user.branch;
+    req.body.branch = resolveBranch(req.body.branch, req.user.branch);
+    
+    // Line and document totals are calculated on the server; mismatched
+    // totals from the client are rejected
+    Object.assign(req.body, priceDocument(req.body.items, req.body));
+
+    // The exchange rate in force today stays with the sale
+    Object.assign(req.body, await lockExchangeRate(req.body.currency));
+
+    // Nothing is paid or returned yet; payments and returns are recorded against the sale
+    req.body.amountPaid = 0;
+    req.body.returnedAmount = 0;
+    req.body.refundedAmount = 0;
+    req.body.balance = req.body.total;
+    req.body.items.forEach(item => { item.returnedQuantity = 0; });
+    if (PAYMENT_STATUSES.includes(req.body.status)) {
+      req.body.status = 'pending';
     }
     
-    // Create sale
-    const sale = await Sale.create(req.body);
-
-    // Update inventory quantities
-    for (const item of sale.items) {
-      const inventoryItem = await Inventory.findById(item.inventory);
-      if (inventoryItem) {
-        inventoryItem.quantity -= item.quantity;
-        await inventoryItem.save();
+    // Create sale with the next sale number and deduct stock atomically
+    const sale = await runInTransaction(async (session) => {
+      req.body.saleNumber = await nextNumber('sale', { session });
+      const [created] = await Sale.create([req.body], { session });
+
+      // Deduct sold quantities from branch stock
+      for (const item of created.items) {
+        await recordMovement({
+          inventory: item.inventory,
+          branch: created.branch,
+          quantity: -item.quantity,
+          reason: 'sale',
+          source: { type: 'Sale', id: created._id, number: created.saleNumber },
+          user: req.user.id
+        }, { session });
       }
-    }
+
+      return created;
+    });
 
     res.status(201).json({
       success: true,
       data: sale
     });
   } catch (err) {
-    res.status(400).json({
+    res.status(err.statusCode || 400).json({
       success: false,
       message: err.message
     });
@@ -179,30 +222,95 @@ exports.updateSale = async (req, res) => {
       });
     }
 
-    // If updating items, handle inventory changes
+    // Credit notes point at the sale's lines, so those are fixed once goods come back
+    if (req.body.items && sale.items.some(item => item.returnedQuantity > 0)) {
+      return res.status(409).json({
+        success: false,
+        message: `Sale ${sale.saleNumber} has returns; its items can no longer be changed`
+      });
+    }
+
+    // Invoiced lines are corrected with credit notes
+    if (req.body.items && await Invoice.exists({ sale: sale._id })) {
+      return res.status(409).json({
+        success: false,
+        message: `Sale ${sale.saleNumber} has been invoiced; its items can no longer be changed`
+      });
+    }
+
+    // The plan's installments add up to the sale total; remove the plan first
+    if (req.body.items && sale.installments && sale.installments.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Sale ${sale.saleNumber} is paid in installments; remove the plan before changing its items`
+      });
+    }
+
+    // Totals follow the items: re-price when they change, otherwise keep the stored ones
     if (req.body.items) {
-      // Restore original quantities
-      for (const item of sale.items) {
-        const inventoryItem = await Inventory.findById(item.inventory);
-        if (inventoryItem) {
-          inventoryItem.quantity += item.quantity;
-          await inventoryItem.save();
+      Object.assign(req.body, priceDocument(req.body.items, req.body));
+    } else {
+      ['subtotal', 'discountAmount', 'taxAmount', 'total'].forEach(field => delete req.body[field]);
+    }
+
+    // Sale numbers, currency and exchange rate are fixed once the sale is created
+    delete req.body.saleNumber;
+    delete req.body.currency;
+    delete req.body.exchangeRate;
+
+    // What is paid follows the payments; only cancelled or refunded can be set
+    PAYMENT_FIELDS.forEach(field => delete req.body[field]);
+    DUNNING_FIELDS.forEach(field => delete req.body[field]);
+    PLAN_FIELDS.forEach(field => delete req.body[field]);
+    if (PAYMENT_STATUSES.includes(req.body.status)) {
+      delete req.body.status;
+    }
+
+    if (req.body.items) {
+      req.body.branch = resolveBranch(req.body.branch, sale.branch, req.user.branch);
+    }
+
+    // Save the sale and move its stock together, so the ledger always matches it
+    const before = sale;
+    sale = await runInTransaction(async (session) => {
+      // If updating items, handle inventory changes
+      if (req.body.items) {
+        // Restore original quantities (sales without a branch never moved stock)
+        if (before.branch) {
+          for (const item of before.items) {
+            await recordMovement({
+              inventory: item.inventory,
+              branch: before.branch,
+              quantity: item.quantity,
+              reason: 'adjustment',
+              source: { type: 'Sale', id: before._id, number: before.saleNumber },
+              user: req.user.id,
+              notes: 'Reversed for sale update'
+            }, { session });
+          }
         }
-      }
 
-      // Deduct new quantities
-      for (const item of req.body.items) {
-        const inventoryItem = await Inventory.findById(item.inventory);
-        if (inventoryItem) {
-          inventoryItem.quantity -= item.quantity;
-          await inventoryItem.save();
+        // Deduct new quantities
+        for (const item of req.body.items) {
+          await recordMovement({
+            inventory: item.inventory,
+            branch: req.body.branch,
+            quantity: -item.quantity,
+            reason: 'sale',
+            source: { type: 'Sale', id: before._id, number: before.saleNumber },
+            user: req.user.id
+          }, { session });
         }
       }
-    }
 
-    sale = await Sale.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
+      const updated = await Sale.findByIdAndUpdate(req.params.id, req.body, {
+        new: true,
+        runValidators: true,
+        session
+      });
+
+      // The balance and status follow the new total
+      return applyPayments(updated, { session });
     });
 
     res.status(200).json({
@@ -210,7 +318,7 @@ exports.updateSale = async (req, res) => {
       data: sale
     });
   } catch (err) {
-    res.status(400).json({
+    res.status(err.statusCode || 400).json({
       success: false,
       message: err.message
     });
@@ -241,23 +349,59 @@ exports.deleteSale = async (req, res) => {
       });
     }
 
-    // Restore inventory quantities
-    for (const item of sale.items) {
-      const inventoryItem = await Inventory.findById(item.inventory);
-      if (inventoryItem) {
-        inventoryItem.quantity += item.quantity;
-        await inventoryItem.save();
-      }
+    // Payments must be voided first, so no payment is left without its sale
+    const payments = await Payment.countDocuments({ sale: sale._id, status: 'posted' });
+    if (payments > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Sale ${sale.saleNumber} has ${payments} payment(s); void them before deleting the sale`
+      });
     }
 
-    await sale.deleteOne();
+    // Invoices are never deleted, so neither is their sale
+    const invoice = await Invoice.findOne({ sale: sale._id });
+    if (invoice) {
+      return res.status(400).json({
+        success: false,
+        message: `Sale ${sale.saleNumber} has been invoiced as ${invoice.invoiceNumber} and cannot be deleted`
+      });
+    }
+
+    // Credit notes stay with their sale
+    const creditNotes = await CreditNote.countDocuments({ sale: sale._id });
+    if (creditNotes > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Sale ${sale.saleNumber} has ${creditNotes} credit note(s) and cannot be deleted`
+      });
+    }
+
+    // Restore inventory quantities and delete the sale together
+    await runInTransaction(async (session) => {
+      // Sales without a branch never moved stock
+      if (sale.branch) {
+        for (const item of sale.items) {
+          await recordMovement({
+            inventory: item.inventory,
+            branch: sale.branch,
+            quantity: item.quantity,
+            reason: 'adjustment',
+            source: { type: 'Sale', id: sale._id, number: sale.saleNumber },
+            user: req.user.id,
+            notes: 'Reversed for sale deletion'
+          }, { session });
+        }
+      }
+
+      await sale.deleteOne({ session });
+    });
 
     res.status(200).json({
       success: true,
       data: {}
     });
   } catch (err) {
-    res.status(400).json({
+    res.status(err.statusCode || 400).json({
       success: false,
       message: err.message
     });
@@ -265,7 +409,8 @@ exports.deleteSale = async (req, res) => {
 };
 
 /**
- * @desc    Update payment status
+ * @desc    Record a payment. Kept for older clients; new ones use
+ *          POST /api/v1/sales/:saleId/payments.
  * @route   PUT /api/v1/sales/:id/payment
  * @access  Private
  */
@@ -280,42 +425,20 @@ exports.updatePayment = async (req, res) => {
       });
     }
 
-    const sale = await Sale.findById(req.params.id);
-
-    if (!sale) {
-      return res.status(404).json({
-        success: false,
-        message: `Sale not found with id of ${req.params.id}`
-      });
-    }
-
-    // Update payment details
-    sale.amountPaid += parseFloat(amountPaid);
-    sale.balance = sale.total - sale.amountPaid;
-    
-    if (paymentMethod) {
-      sale.paymentMethod = paymentMethod;
-    }
-    
-    if (paymentDetails) {
-      sale.paymentDetails = paymentDetails;
-    }
-
-    // Update status based on payment
-    if (sale.balance <= 0) {
-      sale.status = 'paid';
-    } else if (sale.amountPaid > 0) {
-      sale.status = 'partially_paid';
-    }
-
-    await sale.save();
+    const { payment, sale } = await recordPayment(req.params.id, {
+      amount: amountPaid,
+      method: paymentMethod || 'cash',
+      referenceNumber: req.body.referenceNumber,
+      notes: typeof paymentDetails === 'string' ? paymentDetails : undefined
+    }, req.user);
 
     res.status(200).json({
       success: true,
-      data: sale
+      data: sale,
+      payment
     });
   } catch (err) {
-    res.status(400).json({
+    res.status(err.statusCode || 400).json({
       success: false,
       message: err.message
     });
@@ -0,0 +1,102 @@
+const asyncHandler = require('../middleware/async');
+const { parsePeriod, getStatement, getOpenStatements } = require('../utils/statements');
+const { getTemplate } = require('../utils/documentTemplates');
+const { renderStatementsPdf } = require('../utils/statementPdf');
+const { sendWorkbook } = require('../utils/spreadsheet');
+
+const dayOf = date => date.toISOString().split('T')[0];
+
+/**
+ * Send statements as JSON, or as a workbook or PDF when ?format= asks for one
+ */
+const sendStatements = async (req, res, statements, { period, filename, single }) => {
+  const { format } = req.query;
+
+  if (format === 'pdf') {
+    const template = await getTemplate('statement');
+    const pdf = await renderStatementsPdf(statements, { template, period });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${filename}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    return res.send(pdf);
+  }
+
+  if (format === 'xlsx') {
+    const nameOf = statement => (statement.customer ? statement.customer.name || statement.customer.contactPerson : '');
+
+    return sendWorkbook(res, filename, [
+      {
+        name: 'Summary',
+        rows: statements.flatMap(statement => statement.accounts.map(account => ({
+          Customer: nameOf(statement),
+          Currency: account.currency,
+          'Opening balance': account.openingBalance,
+          Debits: account.totalDebits,
+          Credits: account.totalCredits,
+          'Closing balance': account.closingBalance
+        })))
+      },
+      {
+        name: 'Entries',
+        rows: statements.flatMap(statement => statement.accounts.flatMap(account => [
+          {
+            Customer: nameOf(statement),
+            Currency: account.currency,
+            Date: dayOf(period.from),
+            Reference: '',
+            Description: 'Opening balance',
+            Debit: '',
+            Credit: '',
+            Balance: account.openingBalance
+          },
+          ...account.entries.map(entry => ({
+            Customer: nameOf(statement),
+            Currency: account.currency,
+            Date: dayOf(entry.date),
+            Reference: entry.reference,
+            Description: entry.description,
+            Debit: entry.debit || '',
+            Credit: entry.credit || '',
+            Balance: entry.balance
+          }))
+        ]))
+      }
+    ]);
+  }
+
+  res.status(200).json({
+    success: true,
+    count: single ? undefined : statements.length,
+    data: single ? statements[0] : statements
+  });
+};
+
+// @desc    Get a customer's statement of account (?from=&to=&format=pdf|xlsx)
+// @route   GET /api/v1/customers/:id/statement
+// @access  Private (Admin, User)
+exports.getCustomerStatement = asyncHandler(async (req, res, next) => {
+  const period = parsePeriod(req.query);
+  const statement = await getStatement(req.params.id, period);
+
+  await sendStatements(req, res, [statement], {
+    period,
+    filename: `statement-${statement.customer.name || statement.customer.contactPerson}-${dayOf(period.to)}`.replace(/[^\w.-]+/g, '-'),
+    single: true
+  });
+});
+
+// @desc    Get statements for every customer with a balance at the end of the period (?from=&to=&format=pdf|xlsx)
+// @route   GET /api/v1/customers/statements
+// @access  Private (Admin, User)
+exports.getCustomerStatements = asyncHandler(async (req, res, next) => {
+  const period = parsePeriod(req.query);
+  const statements = await getOpenStatements(period);
+
+  await sendStatements(req, res, statements, {
+    period,
+    filename: `statements-${dayOf(period.to)}`
+  });
+});
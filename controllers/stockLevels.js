@@ -0,0 +1,70 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const Inventory = require('../models/Inventory');
+const Branch = require('../models/Branch');
+const { getStockLevels, getQuantity } = require('../utils/stockService');
+
+// @desc    Get stock levels of an item across all branches
+// @route   GET /api/v1/inventory/:id/stock
+// @access  Private
+exports.getItemStock = asyncHandler(async (req, res, next) => {
+  const item = await Inventory.findById(req.params.id);
+
+  if (!item) {
+    return next(
+      new ErrorResponse(`Inventory item not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const stockLevels = await getStockLevels(item._id);
+  const totalQuantity = stockLevels.reduce((sum, level) => sum + level.quantity, 0);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      inventory: {
+        _id: item._id,
+        itemcode: item.itemcode,
+        name: item.name,
+        unit: item.unit
+      },
+      totalQuantity,
+      branches: stockLevels
+    }
+  });
+});
+
+// @desc    Get stock level of an item at a single branch
+// @route   GET /api/v1/inventory/:id/stock/:branchId
+// @access  Private
+exports.getItemBranchStock = asyncHandler(async (req, res, next) => {
+  const item = await Inventory.findById(req.params.id);
+
+  if (!item) {
+    return next(
+      new ErrorResponse(`Inventory item not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const branch = await Branch.findById(req.params.branchId);
+
+  if (!branch) {
+    return next(
+      new ErrorResponse(`Branch not found with id of ${req.params.branchId}`, 404)
+    );
+  }
+
+  const quantity = await getQuantity(item._id, branch._id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      inventory: item._id,
+      branch: {
+        _id: branch._id,
+        name: branch.name
+      },
+      quantity
+    }
+  });
+});
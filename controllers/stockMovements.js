@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const StockMovement = require('../models/StockMovement');
+const { getOnHandAsOf } = require('../utils/stockService');
+
+// @desc    Get stock movements
+// @route   GET /api/v1/stock-movements
+// @access  Private
+exports.getStockMovements = asyncHandler(async (req, res, next) => {
+  let query = {};
+
+  // Filter by item
+  if (req.query.inventory) {
+    query.inventory = req.query.inventory;
+  }
+
+  // Filter by branch
+  if (req.query.branch) {
+    query.branch = req.query.branch;
+  }
+
+  // Filter by reason
+  if (req.query.reason) {
+    query.reason = req.query.reason;
+  }
+
+  // Filter by source document
+  if (req.query.sourceType) {
+    query.sourceType = req.query.sourceType;
+  }
+
+  if (req.query.sourceId) {
+    query.sourceId = req.query.sourceId;
+  }
+
+  // Filter by date range
+  if (req.query.startDate || req.query.endDate) {
+    query.createdAt = {};
+    if (req.query.startDate) {
+      query.createdAt.$gte = new Date(req.query.startDate);
+    }
+    if (req.query.endDate) {
+      query.createdAt.$lte = new Date(req.query.endDate);
+    }
+  }
+
+  // Pagination
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 100;
+  const startIndex = (page - 1) * limit;
+
+  // Execute query
+  const total = await StockMovement.countDocuments(query);
+  const movements = await StockMovement.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .skip(startIndex)
+    .populate('inventory', 'name itemcode unit')
+    .populate('branch', 'name')
+    .populate('createdBy', 'name email');
+
+  // Pagination result
+  const pagination = {};
+
+  if (startIndex + limit < total) {
+    pagination.next = {
+      page: page + 1,
+      limit
+    };
+  }
+
+  if (startIndex > 0) {
+    pagination.prev = {
+      page: page - 1,
+      limit
+    };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: movements.length,
+    total,
+    pagination,
+    data: movements
+  });
+});
+
+// @desc    Rebuild on-hand stock from the ledger as of a date
+// @route   GET /api/v1/stock-movements/on-hand
+// @access  Private
+exports.getOnHand = asyncHandler(async (req, res, next) => {
+  const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+
+  if (isNaN(asOf.getTime())) {
+    return next(new ErrorResponse(`Invalid asOf date: ${req.query.asOf}`, 400));
+  }
+
+  for (const field of ['inventory', 'branch']) {
+    if (req.query[field] && !mongoose.Types.ObjectId.isValid(req.query[field])) {
+      return next(new ErrorResponse(`Invalid ${field} id: ${req.query[field]}`, 400));
+    }
+  }
+
+  const onHand = await getOnHandAsOf(asOf, {
+    inventory: req.query.inventory,
+    branch: req.query.branch
+  });
+
+  // Attach item and branch names
+  await StockMovement.populate(onHand, [
+    { path: 'inventory', select: 'name itemcode unit', model: 'Inventory' },
+    { path: 'branch', select: 'name', model: 'Branch' }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    asOf,
+    count: onHand.length,
+    data: onHand
+  });
+});
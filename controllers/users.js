@@ -57,7 +57,7 @@ exports.getUser = async (req, res) => {
  */
 exports.createUser = async (req, res) => {
   try {
-    const { name, email, phone, department, address, isActive, password, role, branch } = req.body;
+    const { name, email, phone, department, address, isActive, password, role, branch, deliveryCapacity } = req.body;
 
     // Check if user already exists
     const userExists = await User.findOne({ email });
@@ -100,7 +100,8 @@ exports.createUser = async (req, res) => {
       isActive: isActive !== undefined ? isActive : true,
       password,
       role: role || 'user',
-      branch: userBranch
+      branch: userBranch,
+      deliveryCapacity
     });
 
     res.status(201).json({
@@ -0,0 +1,23 @@
+const multer = require('multer');
+const ErrorResponse = require('../utils/errorResponse');
+const { maxSize } = require('../config/attachments');
+
+/**
+ * Run a multer middleware and turn its errors (e.g. a file that is too
+ * large) into API errors
+ * @param {Function} middleware - e.g. upload.single('file')
+ * @returns {Function} - Express middleware function
+ */
+const handleUpload = (middleware) => (req, res, next) => {
+  middleware(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `File is larger than the ${Math.round(maxSize / 1024 / 1024)}MB limit`
+        : err.message;
+      return next(new ErrorResponse(message, err.code === 'LIMIT_FILE_SIZE' ? 413 : 400));
+    }
+    next(err);
+  });
+};
+
+module.exports = handleUpload;
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load env vars
+dotenv.config();
+
+// Load models
+const Sale = require('./models/Sale');
+const Payment = require('./models/Payment');
+const { nextNumber } = require('./utils/numberingService');
+const runInTransaction = require('./utils/transaction');
+
+// Connect to DB
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/quotation-app', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+
+// Sales used to keep only a running amountPaid. Their balance and status now
+// follow their payments, so record what was already paid as one payment per
+// sale. Sales that already have payments are left alone; safe to run again.
+const migrateSalePayments = async () => {
+  try {
+    const sales = await Sale.find({ amountPaid: { $gt: 0 } });
+    let migrated = 0;
+
+    for (const sale of sales) {
+      const existing = await Payment.countDocuments({ sale: sale._id });
+      if (existing > 0) {
+        continue;
+      }
+
+      const payment = await runInTransaction(async (session) => {
+        const [created] = await Payment.create([{
+          paymentNumber: await nextNumber('payment', { session }),
+          sale: sale._id,
+          customer: sale.populated('customer') || sale.customer,
+          amount: sale.amountPaid,
+          currency: sale.currency,
+          method: 'other',
+          paymentDate: sale.updatedAt || sale.createdAt,
+          branch: sale.branch,
+          appliedAmount: sale.amountPaid,
+          creditAmount: 0,
+          notes: 'Paid before payments were recorded one by one',
+          receivedBy: sale.createdBy
+        }], { session });
+
+        return created;
+      });
+
+      console.log(`Sale ${sale.saleNumber}: recorded ${sale.amountPaid} as payment ${payment.paymentNumber}`);
+      migrated += 1;
+    }
+
+    console.log(`\nMigrated ${migrated} of ${sales.length} sales with payments`);
+  } catch (err) {
+    console.error('Error migrating sale payments:', err);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+migrateSalePayments();
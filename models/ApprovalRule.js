@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const ApprovalRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // When several rules match a quotation, the highest priority wins
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Conditions; a condition left empty matches every quotation.
+  // minTotal is in the base currency; quotations are converted at their rate.
+  minTotal: {
+    type: Number,
+    min: [0, 'Minimum total cannot be negative']
+  },
+  minDiscountPercent: {
+    type: Number,
+    min: [0, 'Minimum discount cannot be negative'],
+    max: [100, 'Minimum discount cannot be more than 100%']
+  },
+  customerTypes: [
+    {
+      type: String,
+      enum: ['individual', 'business', 'government']
+    }
+  ],
+  // Approvals required, in order. An admin step can also be signed by a superadmin.
+  steps: {
+    type: [
+      {
+        _id: false,
+        role: {
+          type: String,
+          enum: ['admin', 'superadmin'],
+          required: [true, 'Please add the approver role']
+        }
+      }
+    ],
+    validate: {
+      validator: steps => steps.length > 0,
+      message: 'Please add at least one approval step'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ApprovalRuleSchema.index({ isActive: 1, priority: -1 });
+
+// Update the updatedAt field on save
+ApprovalRuleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('ApprovalRule', ApprovalRuleSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const AttachmentSchema = new mongoose.Schema({
+  // Document the file is attached to
+  parentType: {
+    type: String,
+    enum: ['Quotation', 'PurchaseOrder', 'PurchaseReceiving', 'ProofOfDelivery'],
+    required: true
+  },
+  parentId: {
+    type: mongoose.Schema.ObjectId,
+    refPath: 'parentType',
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: [true, 'Please add a file name'],
+    trim: true,
+    maxlength: [255, 'File name cannot be more than 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  // Backend holding the file and its key there
+  storage: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AttachmentSchema.index({ parentType: 1, parentId: 1, createdAt: -1 });
+
+// Storage details stay on the server
+AttachmentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.storage;
+    delete ret.storageKey;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Attachment', AttachmentSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const CounterSchema = new mongoose.Schema({
+  // documentType plus the numbering period, e.g. "quotation:2026" or "purchase_order:2026-05"
+  key: {
+    type: String,
+    required: [true, 'Please add a counter key'],
+    unique: true
+  },
+  documentType: {
+    type: String,
+    required: [true, 'Please add a document type']
+  },
+  period: {
+    type: String,
+    default: ''
+  },
+  // Last number handed out
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const { baseCurrency, CURRENCY_CODE } = require('../config/pricing');
+
+// Issued when goods from a sale are returned
+const CreditNoteSchema = new mongoose.Schema({
+  creditNoteNumber: {
+    type: String,
+    required: [true, 'Please add a credit note number'],
+    unique: true,
+    trim: true
+  },
+  sale: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Sale',
+    required: [true, 'Please add a sale']
+  },
+  customer: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Please add a customer']
+  },
+  // Invoice the credit note corrects, when the sale had been invoiced
+  invoice: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Invoice'
+  },
+  // Branch the return was taken at; resellable goods go back into stock there
+  branch: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Branch'
+  },
+  items: [
+    {
+      saleItem: {
+        type: mongoose.Schema.ObjectId,
+        required: [true, 'Please add a sale item reference']
+      },
+      inventory: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Inventory',
+        required: [true, 'Please add an inventory item']
+      },
+      description: {
+        type: String,
+        required: [true, 'Please add a description']
+      },
+      quantity: {
+        type: Number,
+        required: [true, 'Please add a quantity'],
+        min: [1, 'Quantity must be at least 1']
+      },
+      unitPrice: {
+        type: Number,
+        required: [true, 'Please add a unit price']
+      },
+      // Share of the sale line's discount and tax for the returned quantity
+      discountAmount: {
+        type: Number,
+        default: 0
+      },
+      tax: {
+        type: Number,
+        default: 0
+      },
+      total: {
+        type: Number,
+        required: [true, 'Please add a total']
+      },
+      // Resellable goods go back into stock; damaged ones do not
+      condition: {
+        type: String,
+        enum: ['resellable', 'damaged'],
+        required: [true, 'Please add the condition of the returned goods']
+      }
+    }
+  ],
+  reason: {
+    type: String,
+    required: [true, 'Please add a reason for the return'],
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  subtotal: {
+    type: Number,
+    required: [true, 'Please add a subtotal']
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: [true, 'Please add a total']
+  },
+  // In the sale's currency and at its locked rate
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: baseCurrency,
+    match: [CURRENCY_CODE, 'Currency must be a three-letter code, e.g. USD']
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1,
+    min: [0.000001, 'Exchange rate must be more than zero']
+  },
+  // How the credit is settled: it is first taken off what is still owed on
+  // the sale, and the rest is paid back (refund) or kept as customer credit
+  settlement: {
+    type: String,
+    enum: ['refund', 'credit'],
+    required: [true, 'Please add how the credit is settled']
+  },
+  appliedAmount: {
+    type: Number,
+    default: 0
+  },
+  refundAmount: {
+    type: Number,
+    default: 0
+  },
+  creditAmount: {
+    type: Number,
+    default: 0
+  },
+  refundMethod: {
+    type: String,
+    enum: ['cash', 'bank_transfer', 'check', 'card', 'e_wallet']
+  },
+  refundReference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Refund reference cannot be more than 100 characters']
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Please add a user']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+CreditNoteSchema.index({ sale: 1, createdAt: 1 });
+CreditNoteSchema.index({ createdAt: -1 });
+
+// Populate the customer and inventory items when finding credit notes
+CreditNoteSchema.pre(/^find/, function(next) {
+  this.populate({
+    path: 'customer',
+    select: 'name contactPerson phone'
+  }).populate({
+    path: 'items.inventory',
+    select: 'name itemcode'
+  });
+
+  next();
+});
+
+module.exports = mongoose.model('CreditNote', CreditNoteSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const { CURRENCY_CODE } = require('../config/pricing');
+
+// A customer's credit balance in one currency, built up from overpayments and
+// spent by payments with the 'credit' method. The payments are its history.
+const CustomerCreditSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Please add a customer']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    required: [true, 'Please add a currency'],
+    match: [CURRENCY_CODE, 'Currency must be a three-letter code, e.g. USD']
+  },
+  balance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit balance cannot be negative']
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+CustomerCreditSchema.index({ customer: 1, currency: 1 }, { unique: true });
+
+module.exports = mongoose.model('CustomerCredit', CustomerCreditSchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const DeliverySchema = new mongoose.Schema({
+  deliveryNumber: {
+    type: String,
+    required: [true, 'Please add a delivery number'],
+    unique: true,
+    trim: true
+  },
+  quotation: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Quotation',
+    required: [true, 'Please add a quotation']
+  },
+  // The quotation's sale, which every delivery adds its lines to
+  sale: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Sale',
+    required: [true, 'Please add a sale']
+  },
+  branch: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Please add a branch']
+  },
+  deliveryDate: {
+    type: Date,
+    required: [true, 'Please add a delivery date'],
+    default: Date.now
+  },
+  items: [
+    {
+      quotationItem: {
+        type: mongoose.Schema.ObjectId,
+        required: [true, 'Please add a quotation item reference']
+      },
+      inventory: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Inventory',
+        required: [true, 'Please add an inventory item']
+      },
+      description: {
+        type: String,
+        required: [true, 'Please add a description']
+      },
+      quantityOrdered: {
+        type: Number,
+        required: [true, 'Please add quantity ordered']
+      },
+      quantityDelivered: {
+        type: Number,
+        required: [true, 'Please add quantity delivered'],
+        min: [1, 'Quantity delivered must be at least 1']
+      },
+      previouslyDelivered: {
+        type: Number,
+        default: 0
+      },
+      // Still owed on the line after this delivery
+      backordered: {
+        type: Number,
+        default: 0
+      }
+    }
+  ],
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Idempotency-Key of the request that recorded the delivery; a retry with
+  // the same key gets this delivery back instead of shipping the lines again
+  requestKey: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Idempotency key cannot be more than 100 characters']
+  },
+  deliveredBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Please add a user']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DeliverySchema.index({ quotation: 1, createdAt: 1 });
+DeliverySchema.index(
+  { quotation: 1, requestKey: 1 },
+  { unique: true, partialFilterExpression: { requestKey: { $type: 'string' } } }
+);
+
+// Populate the delivery user and items when finding deliveries
+DeliverySchema.pre(/^find/, function(next) {
+  this.populate({
+    path: 'deliveredBy',
+    select: 'name email'
+  }).populate({
+    path: 'items.inventory',
+    select: 'name itemcode'
+  });
+
+  next();
+});
+
+module.exports = mongoose.model('Delivery', DeliverySchema);
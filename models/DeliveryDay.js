@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// A delivery user's day, written by every booking for that day inside the
+// booking's transaction. Two bookings of the same driver and day then write
+// the same document, so they cannot both pass the capacity check.
+const DeliveryDaySchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Please add a delivery user']
+  },
+  // Start of the UTC day
+  date: {
+    type: Date,
+    required: [true, 'Please add a date']
+  },
+  lastBookedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DeliveryDaySchema.index({ driver: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('DeliveryDay', DeliveryDaySchema);
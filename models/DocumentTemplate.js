@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const LINE_COLUMNS = ['description', 'quantity', 'unitPrice', 'discount', 'tax', 'total'];
+
+// Layout used when rendering a document type to PDF
+const DocumentTemplateSchema = new mongoose.Schema({
+  documentType: {
+    type: String,
+    required: [true, 'Please add a document type'],
+    unique: true,
+    trim: true
+  },
+  company: {
+    name: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    address: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    phone: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    email: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    website: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    taxId: {
+      type: String,
+      trim: true,
+      default: ''
+    }
+  },
+  // Heading printed on the document, e.g. "QUOTATION"; defaults to the document type
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [40, 'Title cannot be more than 40 characters']
+  },
+  accentColor: {
+    type: String,
+    default: '#1f4e79',
+    match: [/^#[0-9a-fA-F]{6}$/, 'Accent color must be a hex color such as #1f4e79']
+  },
+  paperSize: {
+    type: String,
+    enum: ['A4', 'LETTER', 'LEGAL'],
+    default: 'A4'
+  },
+  fontSize: {
+    type: Number,
+    default: 9,
+    min: [7, 'Font size must be at least 7'],
+    max: [14, 'Font size cannot be more than 14']
+  },
+  // Line item columns, in print order
+  columns: {
+    type: [{
+      type: String,
+      enum: LINE_COLUMNS
+    }],
+    default: LINE_COLUMNS
+  },
+  showNotes: {
+    type: Boolean,
+    default: true
+  },
+  showTerms: {
+    type: Boolean,
+    default: true
+  },
+  // Printed when the document has no terms of its own
+  defaultTerms: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  footerText: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field on save
+DocumentTemplateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('DocumentTemplate', DocumentTemplateSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// A dunning reminder sent, or attempted, for an overdue sale
+const DunningReminderSchema = new mongoose.Schema({
+  sale: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Sale',
+    required: [true, 'Please add a sale']
+  },
+  customer: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Please add a customer']
+  },
+  // Days past due of the stage reached, and whether it is the last stage
+  stage: {
+    type: Number,
+    required: [true, 'Please add the stage']
+  },
+  stageName: {
+    type: String,
+    trim: true
+  },
+  finalStage: {
+    type: Boolean,
+    default: false
+  },
+  daysPastDue: {
+    type: Number,
+    required: [true, 'Please add the days past due']
+  },
+  balance: {
+    type: Number,
+    required: [true, 'Please add the balance']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  channel: {
+    type: String,
+    required: [true, 'Please add the channel']
+  },
+  recipient: {
+    type: String,
+    trim: true
+  },
+  subject: {
+    type: String,
+    trim: true
+  },
+  message: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: [true, 'Please add the status']
+  },
+  // What the channel reported: its reference for the message, or why it failed
+  channelReference: {
+    type: String
+  },
+  error: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DunningReminderSchema.index({ sale: 1, createdAt: -1 });
+DunningReminderSchema.index({ customer: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DunningReminder', DunningReminderSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A reminder sent when a sale is a number of days past due. The subject and
+// message may use {{customerName}}, {{saleNumber}}, {{balance}}, {{currency}},
+// {{dueDate}} and {{daysPastDue}}.
+const DunningStageSchema = new mongoose.Schema({
+  daysPastDue: {
+    type: Number,
+    required: [true, 'Please add the days past due'],
+    unique: true,
+    min: [1, 'Days past due must be at least 1'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Days past due must be a whole number'
+    }
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a name'],
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Please add a subject'],
+    trim: true,
+    maxlength: [200, 'Subject cannot be more than 200 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Please add a message'],
+    trim: true,
+    maxlength: [5000, 'Message cannot be more than 5000 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field on save
+DunningStageSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('DunningStage', DunningStageSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { CURRENCY_CODE } = require('../config/pricing');
+
+const ExchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Please add a currency'],
+    uppercase: true,
+    trim: true,
+    match: [CURRENCY_CODE, 'Currency must be a three-letter code, e.g. USD']
+  },
+  // Base currency units per one unit of currency
+  rate: {
+    type: Number,
+    required: [true, 'Please add a rate'],
+    min: [0.000001, 'Rate must be more than zero']
+  },
+  // The rate applies from this date until the next rate for the currency
+  effectiveDate: {
+    type: Date,
+    required: [true, 'Please add an effective date']
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One rate per currency per effective date
+ExchangeRateSchema.index({ currency: 1, effectiveDate: -1 }, { unique: true });
+
+// Update the updatedAt field on save
+ExchangeRateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('ExchangeRate', ExchangeRateSchema);
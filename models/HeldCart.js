@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// A counter sale cart a cashier has put aside to serve someone else; prices
+// are looked up again when it is resumed
+const HeldCartSchema = new mongoose.Schema({
+  cashier: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Please add a cashier']
+  },
+  branch: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Branch'
+  },
+  customer: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Customer'
+  },
+  // Shown in the cashier's list of held carts, e.g. the customer's name
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot be more than 100 characters']
+  },
+  items: [
+    {
+      inventory: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Inventory',
+        required: [true, 'Please add an inventory item']
+      },
+      // Barcode or item code as scanned
+      code: {
+        type: String,
+        trim: true
+      },
+      quantity: {
+        type: Number,
+        required: [true, 'Please add a quantity'],
+        min: [1, 'Quantity must be at least 1']
+      },
+      discount: {
+        type: Number,
+        default: 0
+      },
+      discountType: {
+        type: String,
+        enum: ['fixed', 'percentage'],
+        default: 'fixed'
+      }
+    }
+  ],
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+HeldCartSchema.index({ cashier: 1, createdAt: -1 });
+
+// Update the updatedAt field on save
+HeldCartSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('HeldCart', HeldCartSchema);
@@ -33,6 +33,15 @@ const InventorySchema = new mongoose.Schema({
     required: [true, 'Please add a price'],
     default: 0
   },
+  category: {
+    type: String,
+    trim: true
+  },
+  // Overrides the category and global minimum margin for quotations
+  minMarginPercent: {
+    type: Number,
+    max: [100, 'Minimum margin cannot be more than 100%']
+  },
   createdAt: {
     type: Date,
     default: Date.now
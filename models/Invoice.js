@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const { baseCurrency, CURRENCY_CODE } = require('../config/pricing');
+
+// Seller and buyer details as printed on the invoice
+const PartySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  address: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  email: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Tax registration number (TIN)
+  taxId: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, { _id: false });
+
+// Issued from a sale. An invoice never changes once issued: corrections
+// are made with credit notes.
+const InvoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: [true, 'Please add an invoice number'],
+    unique: true,
+    trim: true
+  },
+  sale: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Sale',
+    required: [true, 'Please add a sale'],
+    unique: true
+  },
+  customer: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Please add a customer']
+  },
+  // Customer record the billing details were taken from, if any
+  billingCustomer: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Customer'
+  },
+  branch: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Branch'
+  },
+  seller: {
+    type: PartySchema,
+    default: () => ({})
+  },
+  buyer: {
+    type: PartySchema,
+    default: () => ({})
+  },
+  issueDate: {
+    type: Date,
+    required: [true, 'Please add an issue date']
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Please add a due date']
+  },
+  paymentTermsDays: {
+    type: Number,
+    required: [true, 'Please add the payment terms'],
+    min: [0, 'Payment terms cannot be negative']
+  },
+  items: [
+    {
+      inventory: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Inventory'
+      },
+      description: {
+        type: String,
+        required: [true, 'Please add a description']
+      },
+      quantity: {
+        type: Number,
+        required: [true, 'Please add a quantity']
+      },
+      unitPrice: {
+        type: Number,
+        required: [true, 'Please add a unit price']
+      },
+      discountAmount: {
+        type: Number,
+        default: 0
+      },
+      taxRate: {
+        type: Number,
+        default: 0
+      },
+      tax: {
+        type: Number,
+        default: 0
+      },
+      total: {
+        type: Number,
+        required: [true, 'Please add a total']
+      }
+    }
+  ],
+  // One row per tax rate: the amount taxed at it after discounts, and the tax
+  taxSummary: [
+    {
+      _id: false,
+      rate: Number,
+      taxableAmount: Number,
+      taxAmount: Number
+    }
+  ],
+  subtotal: {
+    type: Number,
+    required: [true, 'Please add a subtotal']
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: [true, 'Please add a total']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: baseCurrency,
+    match: [CURRENCY_CODE, 'Currency must be a three-letter code, e.g. USD']
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1,
+    min: [0.000001, 'Exchange rate must be more than zero']
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  issuedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Please add a user']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+InvoiceSchema.index({ customer: 1, issueDate: -1 });
+InvoiceSchema.index({ issueDate: -1 });
+
+const immutable = function(next) {
+  next(new Error('Invoices cannot be changed or deleted once issued; issue a credit note instead'));
+};
+
+// Issued invoices are never saved again, updated or deleted
+InvoiceSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return immutable(next);
+  }
+  next();
+});
+InvoiceSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteMany', 'findOneAndDelete'],
+  immutable
+);
+InvoiceSchema.pre('deleteOne', { document: true, query: true }, immutable);
+
+// Populate the customer and inventory items when finding invoices
+InvoiceSchema.pre(/^find/, function(next) {
+  this.populate({
+    path: 'customer',
+    select: 'name phone'
+  }).populate({
+    path: 'items.inventory',
+    select: 'name itemcode'
+  });
+
+  next();
+});
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const MarginSettingSchema = new mongoose.Schema({
+  // One global minimum, and optionally one per inventory category
+  scope: {
+    type: String,
+    required: [true, 'Please add a scope'],
+    enum: ['global', 'category']
+  },
+  category: {
+    type: String,
+    trim: true,
+    required: [
+      function() { return this.scope === 'category'; },
+      'Please add a category'
+    ]
+  },
+  minMarginPercent: {
+    type: Number,
+    required: [true, 'Please add a minimum margin'],
+    max: [100, 'Minimum margin cannot be more than 100%']
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+MarginSettingSchema.index({ scope: 1, category: 1 }, { unique: true });
+
+// Update the updatedAt field on save
+MarginSettingSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('MarginSetting', MarginSettingSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const NumberingSettingSchema = new mongoose.Schema({
+  documentType: {
+    type: String,
+    required: [true, 'Please add a document type'],
+    unique: true,
+    trim: true
+  },
+  prefix: {
+    type: String,
+    required: [true, 'Please add a prefix'],
+    trim: true,
+    maxlength: [10, 'Prefix cannot be more than 10 characters'],
+    match: [/^[A-Za-z0-9]+$/, 'Prefix can only contain letters and numbers']
+  },
+  resetPeriod: {
+    type: String,
+    enum: ['never', 'yearly', 'monthly'],
+    default: 'yearly'
+  },
+  padding: {
+    type: Number,
+    default: 4,
+    min: [1, 'Padding must be at least 1'],
+    max: [10, 'Padding cannot be more than 10']
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field on save
+NumberingSettingSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('NumberingSetting', NumberingSettingSchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { baseCurrency, CURRENCY_CODE } = require('../config/pricing');
+
+const PaymentSchema = new mongoose.Schema({
+  paymentNumber: {
+    type: String,
+    required: [true, 'Please add a payment number'],
+    unique: true,
+    trim: true
+  },
+  sale: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Sale',
+    required: [true, 'Please add a sale']
+  },
+  customer: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Please add a customer']
+  },
+  // Amount received, in the sale's currency
+  amount: {
+    type: Number,
+    required: [true, 'Please add an amount'],
+    min: [0.01, 'Amount must be more than zero']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: baseCurrency,
+    match: [CURRENCY_CODE, 'Currency must be a three-letter code, e.g. USD']
+  },
+  // 'credit' pays from the customer's credit balance; 'other' is only used for
+  // amounts paid before payments were recorded one by one (migrate-sale-payments.js)
+  method: {
+    type: String,
+    enum: ['cash', 'bank_transfer', 'check', 'card', 'e_wallet', 'credit', 'other'],
+    required: [true, 'Please add a payment method']
+  },
+  // Check number, bank or card reference, e-wallet transaction id...
+  referenceNumber: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference number cannot be more than 100 characters']
+  },
+  paymentDate: {
+    type: Date,
+    required: [true, 'Please add a payment date'],
+    default: Date.now
+  },
+  branch: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Branch'
+  },
+  // Part of the amount that went to the sale; the rest became customer credit
+  appliedAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  creditAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['posted', 'voided'],
+    default: 'posted'
+  },
+  voidedAt: {
+    type: Date
+  },
+  voidedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  voidReason: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  receivedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Please add a user']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PaymentSchema.index({ sale: 1, paymentDate: 1 });
+PaymentSchema.index({ customer: 1, paymentDate: -1 });
+
+// Populate the receiving user when finding payments
+PaymentSchema.pre(/^find/, function(next) {
+  this.populate({
+    path: 'receivedBy',
+    select: 'name email'
+  });
+
+  next();
+});
+
+module.exports = mongoose.model('Payment', PaymentSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Evidence captured by the delivery user when a quotation's goods are handed over
+const ProofOfDeliverySchema = new mongoose.Schema({
+  quotation: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Quotation',
+    required: [true, 'Please add a quotation']
+  },
+  sale: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Sale',
+    required: [true, 'Please add a sale']
+  },
+  // Each delivery of a quotation has its own proof
+  delivery: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Delivery',
+    required: [true, 'Please add a delivery'],
+    unique: true
+  },
+  recipientName: {
+    type: String,
+    required: [true, 'Please add the name of the person who received the goods'],
+    trim: true,
+    maxlength: [100, 'Recipient name cannot be more than 100 characters']
+  },
+  // Images are kept as attachments of the proof
+  signature: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Attachment'
+  },
+  photos: [
+    {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Attachment'
+    }
+  ],
+  location: {
+    latitude: {
+      type: Number,
+      min: [-90, 'Latitude must be between -90 and 90'],
+      max: [90, 'Latitude must be between -90 and 90']
+    },
+    longitude: {
+      type: Number,
+      min: [-180, 'Longitude must be between -180 and 180'],
+      max: [180, 'Longitude must be between -180 and 180']
+    },
+    // Accuracy reported by the device, in metres
+    accuracy: {
+      type: Number,
+      min: [0, 'Accuracy cannot be negative']
+    }
+  },
+  // When the goods were handed over, as recorded on the delivery user's device
+  deliveredAt: {
+    type: Date,
+    required: [true, 'Please add the delivery time'],
+    default: Date.now
+  },
+  capturedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Please add a user']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ProofOfDeliverySchema.index({ quotation: 1, deliveredAt: 1 });
+ProofOfDeliverySchema.index({ sale: 1 });
+
+// Populate the files and the delivery user when finding proofs
+ProofOfDeliverySchema.pre(/^find/, function(next) {
+  this.populate({
+    path: 'signature photos',
+    select: 'originalName mimeType size createdAt'
+  }).populate({
+    path: 'capturedBy',
+    select: 'name email'
+  });
+
+  next();
+});
+
+module.exports = mongoose.model('ProofOfDelivery', ProofOfDeliverySchema);
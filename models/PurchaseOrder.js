@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { baseCurrency, CURRENCY_CODE } = require('../config/pricing');
 
 const PurchaseOrderSchema = new mongoose.Schema({
   orderNumber: {
@@ -45,6 +46,30 @@ const PurchaseOrderSchema = new mongoose.Schema({
         type: Number,
         required: [true, 'Please add a unit price']
       },
+      // Amount off the line, or a percent of it when discountType is 'percentage'
+      discount: {
+        type: Number,
+        default: 0
+      },
+      discountType: {
+        type: String,
+        enum: ['fixed', 'percentage'],
+        default: 'fixed'
+      },
+      discountAmount: {
+        type: Number,
+        default: 0
+      },
+      // Tax rate in percent, applied after the discount
+      taxRate: {
+        type: Number,
+        default: 0,
+        min: [0, 'Tax rate cannot be negative']
+      },
+      tax: {
+        type: Number,
+        default: 0
+      },
       total: {
         type: Number,
         required: [true, 'Please add a total']
@@ -71,6 +96,20 @@ const PurchaseOrderSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Please add a total amount']
   },
+  // Amounts are in this currency; exchangeRate (base currency units per unit)
+  // is locked in when the document is created
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: baseCurrency,
+    match: [CURRENCY_CODE, 'Currency must be a three-letter code, e.g. USD']
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1,
+    min: [0.000001, 'Exchange rate must be more than zero']
+  },
   notes: {
     type: String,
     trim: true
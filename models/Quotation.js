@@ -1,12 +1,19 @@
 const mongoose = require('mongoose');
+const { baseCurrency, CURRENCY_CODE } = require('../config/pricing');
 
 const QuotationSchema = new mongoose.Schema({
   quotationNumber: {
     type: String,
-    required: false, // Will be auto-generated by pre-save hook
+    required: false, // Allocated by the numbering service on create
     unique: true,
     trim: true
   },
+  // Current revision; earlier ones are kept in QuotationRevision
+  revision: {
+    type: Number,
+    default: 1,
+    min: [1, 'Revision must be at least 1']
+  },
   customer: {
     type: mongoose.Schema.ObjectId,
     ref: 'User',
@@ -32,10 +39,26 @@ const QuotationSchema = new mongoose.Schema({
         type: Number,
         required: [true, 'Please add a unit price']
       },
+      // Amount off the line, or a percent of it when discountType is 'percentage'
       discount: {
         type: Number,
         default: 0
       },
+      discountType: {
+        type: String,
+        enum: ['fixed', 'percentage'],
+        default: 'fixed'
+      },
+      discountAmount: {
+        type: Number,
+        default: 0
+      },
+      // Tax rate in percent, applied after the discount
+      taxRate: {
+        type: Number,
+        default: 0,
+        min: [0, 'Tax rate cannot be negative']
+      },
       tax: {
         type: Number,
         default: 0
@@ -48,6 +71,33 @@ const QuotationSchema = new mongoose.Schema({
         type: String,
         trim: true,
         default: ''
+      },
+      // Margin at quote time, from Inventory.cost (see utils/quotationMargins)
+      unitCost: {
+        type: Number
+      },
+      margin: {
+        type: Number
+      },
+      marginPercent: {
+        type: Number
+      },
+      minMarginPercent: {
+        type: Number
+      },
+      belowMinimum: {
+        type: Boolean
+      },
+      // Fulfilment: what has been delivered, and what was dropped from the backorder
+      deliveredQuantity: {
+        type: Number,
+        default: 0,
+        min: [0, 'Delivered quantity cannot be negative']
+      },
+      cancelledQuantity: {
+        type: Number,
+        default: 0,
+        min: [0, 'Cancelled quantity cannot be negative']
       }
     }
   ],
@@ -67,11 +117,53 @@ const QuotationSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Please add a total']
   },
+  // Amounts are in this currency; exchangeRate (base currency units per unit)
+  // is locked in when the document is created
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: baseCurrency,
+    match: [CURRENCY_CODE, 'Currency must be a three-letter code, e.g. USD']
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1,
+    min: [0.000001, 'Exchange rate must be more than zero']
+  },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'completed', 'draft', 'active', 'accepted', 'delivered', 'cancelled', 'cancellation_requested'],
+    enum: ['pending', 'approved', 'rejected', 'completed', 'draft', 'active', 'accepted', 'delivered', 'cancelled', 'cancellation_requested', 'expired', 'partially_delivered', 'margin_review'],
     default: 'pending'
   },
+  // Every status change, oldest first (see utils/quotationStateMachine)
+  statusHistory: [
+    {
+      _id: false,
+      from: {
+        type: String
+      },
+      to: {
+        type: String,
+        required: true
+      },
+      action: {
+        type: String
+      },
+      actor: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+      },
+      reason: {
+        type: String,
+        trim: true
+      },
+      timestamp: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
   cancellationReason: {
     type: String,
     trim: true
@@ -90,18 +182,140 @@ const QuotationSchema = new mongoose.Schema({
     type: mongoose.Schema.ObjectId,
     ref: 'User'
   },
+  branch: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Branch'
+  },
   assignedDelivery: {
     type: mongoose.Schema.ObjectId,
     ref: 'User',
     default: null
   },
+  // Day and time window the delivery is booked for (UTC, see config/delivery)
+  deliverySlot: {
+    date: {
+      type: Date
+    },
+    start: {
+      type: String,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Slot start must be a time like 08:00']
+    },
+    end: {
+      type: String,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Slot end must be a time like 12:00']
+    }
+  },
+  // Margin of the whole quotation; revenue is the total before tax
+  margin: {
+    cost: {
+      type: Number
+    },
+    revenue: {
+      type: Number
+    },
+    amount: {
+      type: Number
+    },
+    percent: {
+      type: Number
+    },
+    minPercent: {
+      type: Number
+    },
+    belowMinimum: {
+      type: Boolean
+    },
+    calculatedAt: {
+      type: Date
+    }
+  },
+  // Approval chain from the matching approval rule (see utils/quotationApprovals);
+  // the quotation is approved once every step is
+  approvals: {
+    rule: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'ApprovalRule'
+    },
+    ruleName: {
+      type: String
+    },
+    steps: [
+      {
+        _id: false,
+        role: {
+          type: String,
+          enum: ['admin', 'superadmin']
+        },
+        decision: {
+          type: String,
+          enum: ['approved', 'rejected']
+        },
+        decidedBy: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'User'
+        },
+        decidedAt: {
+          type: Date
+        },
+        comment: {
+          type: String,
+          trim: true
+        }
+      }
+    ]
+  },
   validUntil: {
     type: Date
   },
+  // Set when the creator was reminded that validUntil is near; cleared when validity is extended
+  expiryReminderSentAt: {
+    type: Date
+  },
   notes: {
     type: String,
     trim: true
   },
+  // Current public share link; only the token with this id is accepted
+  shareLink: {
+    tokenId: {
+      type: String
+    },
+    expiresAt: {
+      type: Date
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date
+    }
+  },
+  // The customer's answer through the share link
+  customerResponse: {
+    decision: {
+      type: String,
+      enum: ['accepted', 'declined']
+    },
+    name: {
+      type: String,
+      trim: true
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Comment cannot be more than 1000 characters']
+    },
+    ip: {
+      type: String
+    },
+    userAgent: {
+      type: String
+    },
+    respondedAt: {
+      type: Date
+    }
+  },
   terms: {
     type: String,
     trim: true
@@ -119,39 +333,25 @@ const QuotationSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   }
+}, {
+  toJSON: { virtuals: true }
 });
 
-// Auto-generate quotation number and update the updatedAt field on save
-QuotationSchema.pre('save', async function(next) {
-  // Auto-generate quotation number for new quotations
-  if (this.isNew && !this.quotationNumber) {
-    const year = new Date().getFullYear();
-    let quotationNumber;
-    let isUnique = false;
-    let attempts = 0;
-    
-    // Try to generate a unique quotation number
-    while (!isUnique && attempts < 10) {
-      const randomNum = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-      quotationNumber = `Q-${year}-${randomNum}`;
-      
-      // Check if this quotation number already exists
-      const existing = await this.constructor.findOne({ quotationNumber });
-      if (!existing) {
-        isUnique = true;
-      }
-      attempts++;
-    }
-    
-    // Fallback to timestamp-based generation if random attempts fail
-    if (!isUnique) {
-      quotationNumber = `Q-${year}-${Date.now().toString().slice(-6)}`;
-    }
-    
-    this.quotationNumber = quotationNumber;
+// Number shown to the customer, with the revision once the quotation has been revised
+// e.g. "Q-2026-0012 rev 3"
+QuotationSchema.virtual('displayNumber').get(function() {
+  if (!this.quotationNumber) {
+    return undefined;
   }
-  
-  // Update the updatedAt field
+  return this.revision > 1 ? `${this.quotationNumber} rev ${this.revision}` : this.quotationNumber;
+});
+
+// Driver schedules look up a driver's bookings by day
+QuotationSchema.index({ assignedDelivery: 1, 'deliverySlot.date': 1 });
+
+// Update the updatedAt field on save
+// (quotation numbers are allocated by utils/numberingService when the quotation is created)
+QuotationSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// A numbered snapshot of the commercial content of a quotation
+const QuotationRevisionSchema = new mongoose.Schema({
+  quotation: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Quotation',
+    required: [true, 'Please add a quotation']
+  },
+  revision: {
+    type: Number,
+    required: [true, 'Please add a revision number'],
+    min: [1, 'Revision must be at least 1']
+  },
+  snapshot: {
+    customer: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    branch: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Branch'
+    },
+    items: [
+      {
+        _id: false,
+        inventory: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'Inventory'
+        },
+        description: String,
+        quantity: Number,
+        unitPrice: Number,
+        discount: Number,
+        discountType: String,
+        discountAmount: Number,
+        taxRate: Number,
+        tax: Number,
+        total: Number,
+        notes: String
+      }
+    ],
+    subtotal: Number,
+    discountAmount: Number,
+    taxAmount: Number,
+    total: Number,
+    validUntil: Date,
+    terms: String,
+    notes: String
+  },
+  // Set when this revision was created by restoring an earlier one
+  restoredFrom: {
+    type: Number
+  },
+  changedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Please add a user']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One document per revision number of a quotation
+QuotationRevisionSchema.index({ quotation: 1, revision: 1 }, { unique: true });
+
+module.exports = mongoose.model('QuotationRevision', QuotationRevisionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { baseCurrency, CURRENCY_CODE } = require('../config/pricing');
 
 const SaleSchema = new mongoose.Schema({
   saleNumber: {
@@ -16,6 +17,10 @@ const SaleSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Please add a customer']
   },
+  branch: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Branch'
+  },
   items: [
     {
       inventory: {
@@ -36,10 +41,26 @@ const SaleSchema = new mongoose.Schema({
         type: Number,
         required: [true, 'Please add a unit price']
       },
+      // Amount off the line, or a percent of it when discountType is 'percentage'
       discount: {
         type: Number,
         default: 0
       },
+      discountType: {
+        type: String,
+        enum: ['fixed', 'percentage'],
+        default: 'fixed'
+      },
+      discountAmount: {
+        type: Number,
+        default: 0
+      },
+      // Tax rate in percent, applied after the discount
+      taxRate: {
+        type: Number,
+        default: 0,
+        min: [0, 'Tax rate cannot be negative']
+      },
       tax: {
         type: Number,
         default: 0
@@ -47,6 +68,16 @@ const SaleSchema = new mongoose.Schema({
       total: {
         type: Number,
         required: [true, 'Please add a total']
+      },
+      // Set on lines added by a quotation delivery
+      delivery: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Delivery'
+      },
+      // Quantity taken back through credit notes
+      returnedQuantity: {
+        type: Number,
+        default: 0
       }
     }
   ],
@@ -66,15 +97,41 @@ const SaleSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Please add a total']
   },
+  // Amounts are in this currency; exchangeRate (base currency units per unit)
+  // is locked in when the document is created
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: baseCurrency,
+    match: [CURRENCY_CODE, 'Currency must be a three-letter code, e.g. USD']
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1,
+    min: [0.000001, 'Exchange rate must be more than zero']
+  },
   status: {
     type: String,
     enum: ['pending', 'paid', 'partially_paid', 'cancelled', 'refunded'],
     default: 'pending'
   },
+  // Sum of the posted payments' applied amounts, and what is left; kept up
+  // to date by utils/payments together with the payment status
   amountPaid: {
     type: Number,
     default: 0
   },
+  // Total of the sale's credit notes, and the part of it paid back to the
+  // customer as a refund or credit rather than taken off the balance
+  returnedAmount: {
+    type: Number,
+    default: 0
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
   balance: {
     type: Number,
     default: 0
@@ -82,6 +139,41 @@ const SaleSchema = new mongoose.Schema({
   dueDate: {
     type: Date
   },
+  // Payment plan, earliest first; payments and returns settle the installments
+  // in order, and dueDate follows the first one not yet paid
+  installments: [
+    {
+      sequence: {
+        type: Number,
+        required: true
+      },
+      dueDate: {
+        type: Date,
+        required: [true, 'Please add a due date']
+      },
+      amount: {
+        type: Number,
+        required: [true, 'Please add an amount']
+      },
+      paidAmount: {
+        type: Number,
+        default: 0
+      }
+    }
+  ],
+  // Set by the dunning job while the sale is unpaid past its due date, with
+  // the days past due of the last reminder stage sent
+  isOverdue: {
+    type: Boolean,
+    default: false
+  },
+  overdueSince: {
+    type: Date
+  },
+  dunningStage: {
+    type: Number,
+    default: 0
+  },
   notes: {
     type: String,
     trim: true
@@ -101,6 +193,14 @@ const SaleSchema = new mongoose.Schema({
   }
 });
 
+// A quotation produces at most one sale
+SaleSchema.index(
+  { quotation: 1 },
+  { unique: true, partialFilterExpression: { quotation: { $type: 'objectId' } } }
+);
+
+SaleSchema.index({ isOverdue: 1, dueDate: 1 });
+
 // Update the updatedAt field on save
 SaleSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const StockLevelSchema = new mongoose.Schema({
+  inventory: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Inventory',
+    required: [true, 'Please add an inventory item']
+  },
+  branch: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Please add a branch']
+  },
+  quantity: {
+    type: Number,
+    default: 0
+  },
+  reorderLevel: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reorder level cannot be negative']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One stock level per item per branch
+StockLevelSchema.index({ inventory: 1, branch: 1 }, { unique: true });
+StockLevelSchema.index({ branch: 1 });
+
+// Update the updatedAt field on save
+StockLevelSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('StockLevel', StockLevelSchema);
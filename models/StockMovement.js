@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const StockMovementSchema = new mongoose.Schema({
+  inventory: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Inventory',
+    required: [true, 'Please add an inventory item']
+  },
+  branch: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Please add a branch']
+  },
+  // Signed: positive adds stock, negative removes it
+  quantity: {
+    type: Number,
+    required: [true, 'Please add a quantity'],
+    validate: {
+      validator: value => value !== 0,
+      message: 'Quantity cannot be zero'
+    }
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please add a reason'],
+    enum: ['sale', 'receiving', 'transfer_out', 'transfer_in', 'adjustment', 'return']
+  },
+  sourceType: {
+    type: String,
+    enum: ['Sale', 'Quotation', 'PurchaseReceiving', 'StockTransfer', 'Delivery', 'CreditNote']
+  },
+  sourceId: {
+    type: mongoose.Schema.ObjectId,
+    refPath: 'sourceType'
+  },
+  sourceNumber: {
+    type: String,
+    trim: true
+  },
+  // On-hand quantity at the branch right after this movement
+  balanceAfter: {
+    type: Number
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Please add a user']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create indexes for efficient querying
+StockMovementSchema.index({ inventory: 1, branch: 1, createdAt: 1 });
+StockMovementSchema.index({ branch: 1, createdAt: 1 });
+StockMovementSchema.index({ sourceType: 1, sourceId: 1 });
+
+// The ledger is append-only: corrections are posted as new movements
+const rejectChange = function(next) {
+  next(new Error('Stock movements cannot be modified or deleted'));
+};
+
+StockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+StockMovementSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'],
+  { document: false, query: true },
+  rejectChange
+);
+
+StockMovementSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+module.exports = mongoose.model('StockMovement', StockMovementSchema);
@@ -12,6 +12,24 @@ const StockTransferSchema = new mongoose.Schema({
     ref: 'Inventory',
     required: [true, 'Please add an inventory item']
   },
+  fromBranchId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Please add a source branch']
+  },
+  fromBranch: {
+    type: String,
+    trim: true
+  },
+  toBranchId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Please add a destination branch']
+  },
+  toBranch: {
+    type: String,
+    trim: true
+  },
   quantity: {
     type: Number,
     required: [true, 'Please add a quantity'],
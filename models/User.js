@@ -42,6 +42,15 @@ const UserSchema = new mongoose.Schema({
     enum: ['user', 'admin', 'superadmin', 'delivery'],
     default: 'user'
   },
+  branch: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Branch'
+  },
+  // Deliveries a delivery user can take per day; DELIVERY_DAILY_CAPACITY when not set
+  deliveryCapacity: {
+    type: Number,
+    min: [0, 'Delivery capacity cannot be negative']
+  },
   password: {
     type: String,
     required: [true, 'Please add a password'],
@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  getApprovalRules,
+  getApprovalRule,
+  createApprovalRule,
+  updateApprovalRule,
+  deleteApprovalRule
+} = require('../controllers/approvalRules');
+
+const router = express.Router();
+
+const { protect, authorize } = require('../middleware/auth');
+
+// The rules decide who has to approve what, so only superadmins change them
+router.use(protect);
+router.use(authorize('superadmin'));
+
+router
+  .route('/')
+  .get(getApprovalRules)
+  .post(createApprovalRule);
+
+router
+  .route('/:id')
+  .get(getApprovalRule)
+  .put(updateApprovalRule)
+  .delete(deleteApprovalRule);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+} = require('../controllers/attachments');
+const handleUpload = require('../middleware/upload');
+const ErrorResponse = require('../utils/errorResponse');
+const { maxSize, ALLOWED_TYPES } = require('../config/attachments');
+
+// Nested under quotations, purchase orders and purchase receivings
+const router = express.Router({ mergeParams: true });
+
+// Configure multer for attachment uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: maxSize,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    // Accept only allowed types, with an extension that fits the type
+    const extensions = ALLOWED_TYPES[file.mimetype];
+    const extension = path.extname(file.originalname).toLowerCase();
+
+    if (extensions && extensions.includes(extension)) {
+      cb(null, true);
+    } else {
+      cb(new ErrorResponse(`Files of type ${file.mimetype} (${extension || 'no extension'}) cannot be attached`, 400), false);
+    }
+  }
+});
+
+router.route('/')
+  .get(getAttachments)
+  .post(handleUpload(upload.single('file')), uploadAttachment);
+
+router.route('/:attachmentId')
+  .get(downloadAttachment)
+  .delete(deleteAttachment);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+  getCreditNotes,
+  getCreditNote,
+  createCreditNote
+} = require('../controllers/creditNotes');
+
+// Also nested under sales as /:saleId/returns
+const router = express.Router({ mergeParams: true });
+
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+router
+  .route('/')
+  .get(getCreditNotes)
+  .post(authorize('admin', 'superadmin', 'user'), createCreditNote);
+
+router
+  .route('/:id')
+  .get(getCreditNote);
+
+module.exports = router;
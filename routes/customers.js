@@ -6,23 +6,39 @@ const {
   updateCustomer,
   deleteCustomer
 } = require('../controllers/customers');
+const {
+  getCustomerStatement,
+  getCustomerStatements
+} = require('../controllers/statements');
+
+// Include other resource routers
+const paymentRouter = require('./payments');
 
 const router = express.Router();
 
 // Import middleware
-const { protect } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
 
 // Apply protect middleware to all routes
 router.use(protect);
 
+// Re-route into other resource routers
+router.use('/:customerId/payments', paymentRouter);
+
 // Define routes
 router.route('/')
   .get(getCustomers)
   .post(createCustomer);
 
+router.route('/statements')
+  .get(authorize('admin', 'superadmin', 'user'), getCustomerStatements);
+
 router.route('/:id')
   .get(getCustomer)
   .put(updateCustomer)
   .delete(deleteCustomer);
 
+router.route('/:id/statement')
+  .get(authorize('admin', 'superadmin', 'user'), getCustomerStatement);
+
 module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  getDeliverySlots,
+  getDeliverySchedule
+} = require('../controllers/deliverySchedule');
+
+const router = express.Router();
+
+const { protect } = require('../middleware/auth');
+
+// Delivery users can only see their own schedule (checked in the controller)
+router.use(protect);
+
+router
+  .route('/slots')
+  .get(getDeliverySlots);
+
+router
+  .route('/:driverId')
+  .get(getDeliverySchedule);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  getDocumentTemplates,
+  getDocumentTemplate,
+  updateDocumentTemplate
+} = require('../controllers/documentTemplates');
+
+const router = express.Router();
+
+const { protect, authorize } = require('../middleware/auth');
+
+// Only administrators manage document templates
+router.use(protect);
+router.use(authorize('admin', 'superadmin'));
+
+router
+  .route('/')
+  .get(getDocumentTemplates);
+
+router
+  .route('/:documentType')
+  .get(getDocumentTemplate)
+  .put(updateDocumentTemplate);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const {
+  getDunningStages,
+  createDunningStage,
+  updateDunningStage,
+  deleteDunningStage,
+  getDunningReminders,
+  runDunningNow
+} = require('../controllers/dunning');
+
+const router = express.Router();
+
+const { protect, authorize } = require('../middleware/auth');
+
+// Only administrators manage dunning
+router.use(protect);
+router.use(authorize('admin', 'superadmin'));
+
+router
+  .route('/stages')
+  .get(getDunningStages)
+  .post(createDunningStage);
+
+router
+  .route('/stages/:id')
+  .put(updateDunningStage)
+  .delete(deleteDunningStage);
+
+router
+  .route('/reminders')
+  .get(getDunningReminders);
+
+router
+  .route('/run')
+  .post(runDunningNow);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const {
+  getExchangeRates,
+  lookupExchangeRate,
+  createExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate
+} = require('../controllers/exchangeRates');
+
+const router = express.Router();
+
+const { protect, authorize } = require('../middleware/auth');
+
+// Everyone can read rates; only administrators maintain them
+router.use(protect);
+
+router
+  .route('/lookup')
+  .get(lookupExchangeRate);
+
+router
+  .route('/')
+  .get(getExchangeRates)
+  .post(authorize('admin', 'superadmin'), createExchangeRate);
+
+router
+  .route('/:id')
+  .put(authorize('admin', 'superadmin'), updateExchangeRate)
+  .delete(authorize('admin', 'superadmin'), deleteExchangeRate);
+
+module.exports = router;
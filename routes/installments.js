@@ -0,0 +1,21 @@
+const express = require('express');
+const {
+  getInstallments,
+  setInstallments,
+  deleteInstallments
+} = require('../controllers/installments');
+
+// Nested under sales
+const router = express.Router({ mergeParams: true });
+
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+router
+  .route('/')
+  .get(getInstallments)
+  .put(authorize('admin', 'superadmin', 'user'), setInstallments)
+  .delete(authorize('admin', 'superadmin', 'user'), deleteInstallments);
+
+module.exports = router;
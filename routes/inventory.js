@@ -8,13 +8,15 @@ const {
   deleteInventoryItem,
   searchInventory,
   importExcel,
-  importExcelBatch
+  importExcelBatch,
+  adjustItemStock
 } = require('../controllers/inventory');
+const { getItemStock, getItemBranchStock } = require('../controllers/stockLevels');
 
 const router = express.Router();
 
 // Import middleware
-const { protect } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
 
 // Configure multer for file uploads
 const upload = multer({
@@ -53,4 +55,8 @@ router.route('/:id')
   .put(updateInventoryItem)
   .delete(deleteInventoryItem);
 
+router.get('/:id/stock', getItemStock);
+router.post('/:id/stock/adjustments', authorize('admin', 'superadmin'), adjustItemStock);
+router.get('/:id/stock/:branchId', getItemBranchStock);
+
 module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  getInvoices,
+  getInvoice,
+  createInvoice,
+  getInvoicePdf
+} = require('../controllers/invoices');
+
+// Also nested under sales
+const router = express.Router({ mergeParams: true });
+
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+router
+  .route('/')
+  .get(getInvoices)
+  .post(authorize('admin', 'superadmin', 'user'), createInvoice);
+
+router
+  .route('/:id')
+  .get(getInvoice);
+
+router
+  .route('/:id/pdf')
+  .get(getInvoicePdf);
+
+module.exports = router;
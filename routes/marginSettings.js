@@ -0,0 +1,30 @@
+const express = require('express');
+const {
+  getMarginSettings,
+  updateGlobalMargin,
+  updateCategoryMargin,
+  deleteCategoryMargin
+} = require('../controllers/marginSettings');
+
+const router = express.Router();
+
+const { protect, authorize } = require('../middleware/auth');
+
+// Only administrators manage minimum margins
+router.use(protect);
+router.use(authorize('admin', 'superadmin'));
+
+router
+  .route('/')
+  .get(getMarginSettings);
+
+router
+  .route('/global')
+  .put(updateGlobalMargin);
+
+router
+  .route('/categories/:category')
+  .put(updateCategoryMargin)
+  .delete(deleteCategoryMargin);
+
+module.exports = router;
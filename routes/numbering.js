@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  getNumberingSettings,
+  updateNumberingSetting
+} = require('../controllers/numbering');
+
+const router = express.Router();
+
+const { protect, authorize } = require('../middleware/auth');
+
+// Only administrators manage document numbering
+router.use(protect);
+router.use(authorize('admin', 'superadmin'));
+
+router
+  .route('/')
+  .get(getNumberingSettings);
+
+router
+  .route('/:documentType')
+  .put(updateNumberingSetting);
+
+module.exports = router;
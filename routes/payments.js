@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  getPayments,
+  getPayment,
+  createPayment,
+  voidPayment
+} = require('../controllers/payments');
+
+// Also nested under sales and customers
+const router = express.Router({ mergeParams: true });
+
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+router
+  .route('/')
+  .get(getPayments)
+  .post(createPayment);
+
+router
+  .route('/:id')
+  .get(getPayment);
+
+router
+  .route('/:id/void')
+  .post(authorize('admin', 'superadmin'), voidPayment);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const {
+  priceItems,
+  createPosSale,
+  getHeldCarts,
+  holdCart,
+  resumeCart,
+  deleteHeldCart
+} = require('../controllers/pos');
+
+const router = express.Router();
+
+const { protect, authorize } = require('../middleware/auth');
+
+// Counter staff ring up sales
+router.use(protect);
+router.use(authorize('admin', 'superadmin', 'user'));
+
+router.post('/price', priceItems);
+router.post('/sales', createPosSale);
+
+router
+  .route('/carts')
+  .get(getHeldCarts)
+  .post(holdCart);
+
+router.post('/carts/:id/resume', resumeCart);
+router.delete('/carts/:id', deleteHeldCart);
+
+module.exports = router;
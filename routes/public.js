@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  getSharedQuotation,
+  getSharedQuotationPdf,
+  acceptSharedQuotation,
+  declineSharedQuotation
+} = require('../controllers/publicQuotations');
+
+const router = express.Router();
+
+// No login here: access is granted by the signed share token in the URL
+
+router
+  .route('/quotations/:token')
+  .get(getSharedQuotation);
+
+router
+  .route('/quotations/:token/pdf')
+  .get(getSharedQuotationPdf);
+
+router
+  .route('/quotations/:token/accept')
+  .post(acceptSharedQuotation);
+
+router
+  .route('/quotations/:token/decline')
+  .post(declineSharedQuotation);
+
+module.exports = router;
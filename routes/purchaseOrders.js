@@ -10,6 +10,9 @@ const {
 
 const { getPurchaseReceivingsByPO } = require('../controllers/purchaseReceiving');
 
+// Include other resource routers
+const attachmentRouter = require('./attachments');
+
 const router = express.Router();
 
 const { protect, authorize } = require('../middleware/auth');
@@ -21,6 +24,7 @@ router.use(protect);
 
 // Re-route into other resource routers
 router.route('/:purchaseOrderId/receivings').get(getPurchaseReceivingsByPO);
+router.use('/:purchaseOrderId/attachments', attachmentRouter);
 
 // Main routes
 router
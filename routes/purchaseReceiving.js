@@ -7,6 +7,9 @@ const {
   deletePurchaseReceiving
 } = require('../controllers/purchaseReceiving');
 
+// Include other resource routers
+const attachmentRouter = require('./attachments');
+
 const router = express.Router();
 
 const { protect, authorize } = require('../middleware/auth');
@@ -16,6 +19,9 @@ const PurchaseReceiving = require('../models/PurchaseReceiving');
 // Apply protection middleware to all routes
 router.use(protect);
 
+// Re-route into other resource routers
+router.use('/:purchaseReceivingId/attachments', attachmentRouter);
+
 // Main routes
 router
   .route('/')
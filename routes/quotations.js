@@ -1,7 +1,9 @@
 const express = require('express');
+const multer = require('multer');
 const {
   getQuotations,
   getQuotation,
+  getQuotationPdf,
   createQuotation,
   updateQuotation,
   deleteQuotation,
@@ -12,17 +14,59 @@ const {
   getDeliveryUsers,
   cancelQuotation,
   approveCancellation,
-  denyCancellation
+  denyCancellation,
+  extendValidity,
+  createShareLink,
+  revokeShareLink
 } = require('../controllers/quotations');
+const {
+  getQuotationRevisions,
+  getQuotationRevisionDiff,
+  getQuotationRevision,
+  restoreQuotationRevision
+} = require('../controllers/quotationRevisions');
+const {
+  getQuotationDeliveries,
+  cancelQuotationBackorder,
+  getProofOfDelivery,
+  downloadProofOfDeliveryFile,
+  assignQuotationDelivery
+} = require('../controllers/quotationDeliveries');
+const { maxSize } = require('../config/attachments');
+const { IMAGE_TYPES, MAX_PHOTOS } = require('../utils/proofOfDelivery');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Include other resource routers
+const attachmentRouter = require('./attachments');
 
 const router = express.Router();
 
 // Import middleware
 const { protect } = require('../middleware/auth');
+const handleUpload = require('../middleware/upload');
+
+// Configure multer for proof of delivery images
+const proofUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: maxSize
+  },
+  fileFilter: (req, file, cb) => {
+    // Accept only images for the signature and photos
+    if (IMAGE_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new ErrorResponse(`The ${file.fieldname} must be a JPEG, PNG or WebP image`, 400), false);
+    }
+  }
+});
 
 // Apply protect middleware to all routes
 router.use(protect);
 
+// Re-route into other resource routers
+router.use('/:quotationId/attachments', attachmentRouter);
+
 // Define routes
 router.route('/')
   .get(getQuotations)
@@ -36,6 +80,21 @@ router.route('/:id')
   .put(updateQuotation)
   .delete(deleteQuotation);
 
+router.route('/:id/pdf')
+  .get(getQuotationPdf);
+
+router.route('/:id/revisions')
+  .get(getQuotationRevisions);
+
+router.route('/:id/revisions/diff')
+  .get(getQuotationRevisionDiff);
+
+router.route('/:id/revisions/:revision')
+  .get(getQuotationRevision);
+
+router.route('/:id/revisions/:revision/restore')
+  .post(restoreQuotationRevision);
+
 router.route('/:id/convert')
   .post(convertToSale);
 
@@ -46,7 +105,28 @@ router.route('/:id/approve')
   .post(approveQuotation);
 
 router.route('/:id/deliver')
-  .post(markAsDelivered);
+  .post(
+    handleUpload(proofUpload.fields([
+      { name: 'signature', maxCount: 1 },
+      { name: 'photos', maxCount: MAX_PHOTOS }
+    ])),
+    markAsDelivered
+  );
+
+router.route('/:id/assign-delivery')
+  .post(assignQuotationDelivery);
+
+router.route('/:id/deliveries')
+  .get(getQuotationDeliveries);
+
+router.route('/:id/proof-of-delivery')
+  .get(getProofOfDelivery);
+
+router.route('/:id/proof-of-delivery/files/:fileId')
+  .get(downloadProofOfDeliveryFile);
+
+router.route('/:id/backorder/cancel')
+  .post(cancelQuotationBackorder);
 
 router.route('/:id/cancel')
   .post(cancelQuotation);
@@ -57,4 +137,11 @@ router.route('/:id/approve-cancellation')
 router.route('/:id/deny-cancellation')
   .post(denyCancellation);
 
+router.route('/:id/extend-validity')
+  .post(extendValidity);
+
+router.route('/:id/share')
+  .post(createShareLink)
+  .delete(revokeShareLink);
+
 module.exports = router;
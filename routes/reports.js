@@ -5,7 +5,8 @@ const {
   getInventoryReport,
   getPurchasesReport,
   getCustomersReport,
-  getDeliveryReport
+  getDeliveryReport,
+  getReceivablesAgingReport
 } = require('../controllers/reports');
 
 const router = express.Router();
@@ -22,5 +23,6 @@ router.get('/inventory', getInventoryReport);
 router.get('/purchases', getPurchasesReport);
 router.get('/customers', getCustomersReport);
 router.get('/delivery', getDeliveryReport);
+router.get('/receivables-aging', authorize('admin', 'user'), getReceivablesAgingReport);
 
 module.exports = router;
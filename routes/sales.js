@@ -8,6 +8,12 @@ const {
   updatePayment
 } = require('../controllers/sales');
 
+// Include other resource routers
+const paymentRouter = require('./payments');
+const creditNoteRouter = require('./creditNotes');
+const invoiceRouter = require('./invoices');
+const installmentRouter = require('./installments');
+
 const router = express.Router();
 
 // Import middleware
@@ -16,6 +22,12 @@ const { protect } = require('../middleware/auth');
 // Apply protect middleware to all routes
 router.use(protect);
 
+// Re-route into other resource routers
+router.use('/:saleId/payments', paymentRouter);
+router.use('/:saleId/returns', creditNoteRouter);
+router.use('/:saleId/invoices', invoiceRouter);
+router.use('/:saleId/installments', installmentRouter);
+
 // Define routes
 router.route('/')
   .get(getSales)
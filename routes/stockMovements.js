@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  getStockMovements,
+  getOnHand
+} = require('../controllers/stockMovements');
+
+const router = express.Router();
+
+const { protect } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(protect);
+
+router
+  .route('/')
+  .get(getStockMovements);
+
+router
+  .route('/on-hand')
+  .get(getOnHand);
+
+module.exports = router;
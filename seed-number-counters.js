@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load env vars
+dotenv.config();
+
+// Load models
+const Counter = require('./models/Counter');
+const { getSettings, highestExisting } = require('./utils/numberingService');
+
+// Connect to DB
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/quotation-app', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+
+// New counters start from the highest number already used in their period.
+// Counters created before that started at 0 and hand out numbers that are
+// taken; raise each one to the highest existing number. Safe to run again.
+const seedNumberCounters = async () => {
+  try {
+    const counters = await Counter.find();
+    let raised = 0;
+
+    for (const counter of counters) {
+      const settings = await getSettings(counter.documentType);
+      const highest = await highestExisting(counter.documentType, settings, counter.period);
+
+      if (highest > counter.seq) {
+        await Counter.updateOne({ _id: counter._id }, { $max: { seq: highest } });
+        console.log(`Counter ${counter.key}: raised from ${counter.seq} to ${highest}`);
+        raised += 1;
+      }
+    }
+
+    console.log(`\nRaised ${raised} of ${counters.length} counters`);
+  } catch (err) {
+    console.error('Error seeding number counters:', err);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+seedNumberCounters();
@@ -4,6 +4,7 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const http = require('http');
 const webSocketService = require('./utils/websocketService');
+const { startScheduler, stopScheduler } = require('./utils/scheduler');
 
 // Load environment variables
 dotenv.config();
@@ -73,6 +74,11 @@ connectDB()
   .then(() => {
     dbConnected = true;
     console.log('Database connection established');
+
+    // Scheduled jobs need a long-running process
+    if (!process.env.VERCEL) {
+      startScheduler();
+    }
   })
   .catch((error) => {
     console.error('Database connection failed:', error);
@@ -84,14 +90,32 @@ app.use('/api/v1/auth', require('./routes/auth'));
 app.use('/api/v1/devices', require('./routes/deviceFingerprint'));
 app.use('/api/v1/test', require('./routes/test'));
 app.use('/api/v1/inventory', require('./routes/inventory'));
+app.use('/api/v1/branches', require('./routes/branches'));
+app.use('/api/v1/stock-transfers', require('./routes/stockTransfers'));
+app.use('/api/v1/stock-movements', require('./routes/stockMovements'));
+app.use('/api/v1/suppliers', require('./routes/suppliers'));
+app.use('/api/v1/purchase-orders', require('./routes/purchaseOrders'));
+app.use('/api/v1/purchase-receiving', require('./routes/purchaseReceiving'));
 app.use('/api/v1/customers', require('./routes/customers'));
 app.use('/api/v1/quotations', require('./routes/quotations'));
 app.use('/api/v1/sales', require('./routes/sales'));
+app.use('/api/v1/payments', require('./routes/payments'));
+app.use('/api/v1/credit-notes', require('./routes/creditNotes'));
+app.use('/api/v1/invoices', require('./routes/invoices'));
+app.use('/api/v1/pos', require('./routes/pos'));
 app.use('/api/v1/dashboard', require('./routes/dashboard'));
 app.use('/api/v1/users', require('./routes/users'));
 app.use('/api/v1/reports', require('./routes/reports'));
 app.use('/api/v1/inventory-history', require('./routes/inventoryHistory'));
 app.use('/api/v1/cost-history', require('./routes/costHistory'));
+app.use('/api/v1/numbering', require('./routes/numbering'));
+app.use('/api/v1/document-templates', require('./routes/documentTemplates'));
+app.use('/api/v1/approval-rules', require('./routes/approvalRules'));
+app.use('/api/v1/margin-settings', require('./routes/marginSettings'));
+app.use('/api/v1/exchange-rates', require('./routes/exchangeRates'));
+app.use('/api/v1/delivery-schedule', require('./routes/deliverySchedule'));
+app.use('/api/v1/dunning', require('./routes/dunning'));
+app.use('/api/v1/public', require('./routes/public'));
 
 // Root route
 app.get('/', (req, res) => {
@@ -141,9 +165,12 @@ app.use((err, req, res, next) => {
   console.error('Request query:', req.query);
   console.error('Request params:', req.params);
   
-  res.status(500).json({
+  // ErrorResponse carries its own status code; schema validation is a client error
+  const statusCode = err.statusCode || (err.name === 'ValidationError' ? 400 : 500);
+  
+  res.status(statusCode).json({
     success: false,
-    message: 'Server error: ' + err.message,
+    message: statusCode === 500 ? 'Server error: ' + err.message : err.message,
     error: process.env.NODE_ENV === 'production' ? {} : err
   });
 });
@@ -197,6 +224,8 @@ if (!process.env.VERCEL) {
     }, 10000); // 10 seconds timeout
     
     try {
+      stopScheduler();
+
       // Close HTTP server
       await new Promise((resolve, reject) => {
         server.close((err) => {
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { highestSequence } = require('../utils/numberingService');
+
+// Numbers already in a database from before counters were used
+const EXISTING = {
+  quotation: ['Q-2026-0042', 'Q-2026-0007', 'Q-2026-123456', 'Q-2025-9001', 'Q-1767225600000'],
+  purchase_order: ['PO-2026-05-0003', 'PO-2026-05-0011', 'PO-2026-04-0020'],
+  stock_transfer: ['ST-2026-05-0002', 'ST-2026-06-0009'],
+  sale: ['S-1767225600000', 'S-1767225600001']
+};
+
+test('a yearly counter starts after the highest number of its year', () => {
+  assert.strictEqual(highestSequence(EXISTING.quotation, { prefix: 'Q' }, '2026'), 123456);
+  assert.strictEqual(highestSequence(EXISTING.quotation, { prefix: 'Q' }, '2025'), 9001);
+});
+
+test('a monthly counter only looks at numbers of its month', () => {
+  assert.strictEqual(highestSequence(EXISTING.purchase_order, { prefix: 'PO' }, '2026-05'), 11);
+  assert.strictEqual(highestSequence(EXISTING.stock_transfer, { prefix: 'ST' }, '2026-05'), 2);
+  assert.strictEqual(highestSequence(EXISTING.stock_transfer, { prefix: 'ST' }, '2026-07'), 0);
+});
+
+test('numbers in another format do not move the counter', () => {
+  assert.strictEqual(highestSequence(EXISTING.sale, { prefix: 'S' }, '2026'), 0);
+  assert.strictEqual(highestSequence(EXISTING.purchase_order, { prefix: 'GR' }, '2026-05'), 0);
+});
+
+test('a counter that never resets looks at numbers without a period', () => {
+  assert.strictEqual(highestSequence(['INV-00012', 'INV-2026-00040', 'INV-00003'], { prefix: 'INV' }, ''), 12);
+});
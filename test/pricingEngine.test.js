@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { priceDocument } = require('../utils/pricingEngine');
+
+// A purchase order as the client sends it: plain lines, with the tax and
+// discount entered once for the whole order
+const ORDER = {
+  items: [
+    { name: 'Cement', quantity: 10, unitPrice: 250, total: 2500 },
+    { name: 'Sand', quantity: 4, unitPrice: 125, total: 500 }
+  ],
+  subtotal: 3000,
+  discountAmount: 100,
+  taxAmount: 348,
+  totalAmount: 3248
+};
+
+// How the purchase order controller prices an order
+const pricePurchaseOrder = order => priceDocument(order.items, {
+  subtotal: order.subtotal,
+  discountAmount: order.discountAmount,
+  taxAmount: order.taxAmount,
+  total: order.totalAmount
+}, { documentAdjustments: true });
+
+test('a purchase order keeps the tax and discount sent for the whole order', () => {
+  const totals = pricePurchaseOrder(ORDER);
+
+  assert.strictEqual(totals.subtotal, 3000);
+  assert.strictEqual(totals.discountAmount, 100);
+  assert.strictEqual(totals.taxAmount, 348);
+  assert.strictEqual(totals.total, 3248);
+  assert.deepStrictEqual(totals.items.map(item => item.total), [2500, 500]);
+});
+
+test('a purchase order without order amounts is priced from its lines', () => {
+  const totals = pricePurchaseOrder({ items: [{ quantity: 2, unitPrice: 50, taxRate: 12 }] });
+
+  assert.strictEqual(totals.taxAmount, 12);
+  assert.strictEqual(totals.total, 112);
+});
+
+test('order amounts are still checked against the order', () => {
+  assert.throws(() => pricePurchaseOrder({ ...ORDER, totalAmount: 3000 }), /Total does not match/);
+  assert.throws(() => pricePurchaseOrder({ ...ORDER, discountAmount: 3500, totalAmount: undefined }), /more than the subtotal/);
+  assert.throws(
+    () => pricePurchaseOrder({ items: [{ quantity: 1, unitPrice: 100, taxRate: 12 }], taxAmount: 5 }),
+    /less than the sum of its lines/
+  );
+});
+
+test('other documents still reject amounts that differ from their lines', () => {
+  assert.throws(
+    () => priceDocument(ORDER.items, { taxAmount: ORDER.taxAmount }),
+    /Tax amount does not match/
+  );
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { matchingRule } = require('../utils/quotationApprovals');
+
+// Highest priority first, as buildApprovalChain loads them
+const RULES = [
+  { name: 'Large deals', minTotal: 100000 },
+  { name: 'Medium deals', minTotal: 10000 },
+  { name: 'Everything else' }
+];
+
+const ruleNameFor = quotation => matchingRule(RULES, quotation).name;
+
+test('base currency quotations are checked against the totals as they are', () => {
+  assert.strictEqual(ruleNameFor({ total: 150000 }), 'Large deals');
+  assert.strictEqual(ruleNameFor({ total: 5000, exchangeRate: 1 }), 'Everything else');
+});
+
+test('foreign currency quotations are converted to the base currency first', () => {
+  // 2,500 USD at 56 base units per USD is 140,000 in the base currency
+  assert.strictEqual(ruleNameFor({ total: 2500, currency: 'USD', exchangeRate: 56 }), 'Large deals');
+  assert.strictEqual(ruleNameFor({ total: 500, currency: 'EUR', exchangeRate: 60 }), 'Medium deals');
+});
+
+test('customer types narrow a rule down', () => {
+  const rules = [{ name: 'Government', customerTypes: ['government'] }, ...RULES];
+
+  assert.strictEqual(matchingRule(rules, { total: 10 }, { customerType: 'government' }).name, 'Government');
+  assert.strictEqual(matchingRule(rules, { total: 10 }, { customerType: 'individual' }).name, 'Everything else');
+});
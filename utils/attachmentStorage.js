@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Attachment = require('../models/Attachment');
+const ErrorResponse = require('./errorResponse');
+const config = require('../config/attachments');
+
+/**
+ * Keeps files on the local disk under ATTACHMENT_DIR
+ */
+const localStorage = {
+  // Keys are generated by storeAttachment, but never let one leave the directory
+  pathOf(key) {
+    const file = path.resolve(config.directory, key);
+
+    if (!file.startsWith(config.directory + path.sep)) {
+      throw new ErrorResponse('Invalid attachment key', 400);
+    }
+
+    return file;
+  },
+
+  async save(key, buffer) {
+    const file = this.pathOf(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, buffer, { flag: 'wx' });
+  },
+
+  async read(key) {
+    const file = this.pathOf(key);
+    await fs.promises.access(file);
+    return fs.createReadStream(file);
+  },
+
+  async remove(key) {
+    await fs.promises.rm(this.pathOf(key), { force: true });
+  }
+};
+
+// Storage backends by name. Each has save(key, buffer, meta), read(key)
+// resolving to a readable stream, and remove(key).
+const backends = {
+  local: localStorage
+};
+
+/**
+ * Make a storage backend available, e.g. one writing to object storage
+ * @param {String} name - Name to select it with in ATTACHMENT_STORAGE
+ * @param {Object} backend - { save, read, remove }
+ */
+const registerStorage = (name, backend) => {
+  ['save', 'read', 'remove'].forEach(method => {
+    if (typeof backend[method] !== 'function') {
+      throw new Error(`Attachment storage ${name} must implement ${method}()`);
+    }
+  });
+
+  backends[name] = backend;
+};
+
+/**
+ * The backend with a name, by default the configured one
+ * @throws {Error} - If no backend has that name
+ */
+const getStorage = (name = config.storage) => {
+  const backend = backends[name];
+
+  if (!backend) {
+    throw new Error(`Unknown attachment storage: ${name}`);
+  }
+
+  return backend;
+};
+
+/**
+ * Store an uploaded file and record it against its document
+ * @param {Object} parent - { type, id } of the document
+ * @param {Object} file - Upload as parsed by multer (memory storage)
+ * @param {Object} options - { description, user }
+ * @returns {Promise<Attachment>}
+ */
+const storeAttachment = async (parent, file, options = {}) => {
+  const storage = config.storage;
+  const extension = path.extname(file.originalname).toLowerCase();
+  const storageKey = path.posix.join(parent.type, String(parent.id), `${crypto.randomUUID()}${extension}`);
+
+  await getStorage(storage).save(storageKey, file.buffer, { mimeType: file.mimetype });
+
+  try {
+    return await Attachment.create({
+      parentType: parent.type,
+      parentId: parent.id,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      description: options.description,
+      storage,
+      storageKey,
+      uploadedBy: options.user && (options.user.id || options.user._id)
+    });
+  } catch (err) {
+    await getStorage(storage).remove(storageKey).catch(() => {});
+    throw err;
+  }
+};
+
+/**
+ * Open an attachment's file for download
+ * @returns {Promise<Stream>}
+ * @throws {ErrorResponse} - 404 if the file is gone from storage
+ */
+const readAttachment = async (attachment) => {
+  try {
+    return await getStorage(attachment.storage).read(attachment.storageKey);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new ErrorResponse(`File for attachment ${attachment._id} is missing from storage`, 404);
+    }
+    throw err;
+  }
+};
+
+/**
+ * Delete an attachment and its file
+ */
+const removeAttachment = async (attachment) => {
+  await attachment.deleteOne();
+
+  // The record is gone either way; a file left behind only takes up space
+  try {
+    await getStorage(attachment.storage).remove(attachment.storageKey);
+  } catch (err) {
+    console.error(`Failed to remove attachment file ${attachment.storageKey}:`, err.message);
+  }
+};
+
+/**
+ * Delete every attachment of a document, when the document itself is deleted
+ * @param {String} parentType - Quotation, PurchaseOrder or PurchaseReceiving
+ * @param {ObjectId} parentId
+ */
+const removeAttachmentsOf = async (parentType, parentId) => {
+  const attachments = await Attachment.find({ parentType, parentId });
+
+  for (const attachment of attachments) {
+    await removeAttachment(attachment);
+  }
+};
+
+module.exports = {
+  registerStorage,
+  getStorage,
+  storeAttachment,
+  readAttachment,
+  removeAttachment,
+  removeAttachmentsOf
+};
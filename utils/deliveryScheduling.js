@@ -0,0 +1,386 @@
+const Quotation = require('../models/Quotation');
+const User = require('../models/User');
+const DeliveryDay = require('../models/DeliveryDay');
+const ErrorResponse = require('./errorResponse');
+const runInTransaction = require('./transaction');
+const webSocketService = require('./websocketService');
+const config = require('../config/delivery');
+const { checkTransition, transitionQuotation } = require('./quotationStateMachine');
+
+// Statuses in which a booked delivery still takes up a driver's capacity
+const OPEN_STATUSES = ['approved', 'accepted', 'partially_delivered'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range a schedule can be asked for
+const MAX_SCHEDULE_DAYS = 31;
+
+// Populated references are compared by id
+const idOf = value => (value && value._id) || value;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const dayKey = date => date.toISOString().slice(0, 10);
+
+const slotLabel = slot => `${dayKey(slot.date)} ${slot.start}-${slot.end}`;
+
+/**
+ * Deliveries a driver can take per day
+ * @returns {Number}
+ */
+const capacityOf = driver =>
+  (driver.deliveryCapacity === undefined || driver.deliveryCapacity === null
+    ? config.dailyCapacity
+    : driver.deliveryCapacity);
+
+/**
+ * Check a requested slot against the configured time windows
+ * @param {Object} input - { date, start }
+ * @returns {Object} - { date (start of the UTC day), start, end }
+ * @throws {ErrorResponse} - 400 if the day or window is invalid or in the past
+ */
+const parseSlot = (input = {}) => {
+  if (!input.date) {
+    throw new ErrorResponse('Please add the delivery date', 400);
+  }
+
+  const date = new Date(input.date);
+  if (isNaN(date.getTime())) {
+    throw new ErrorResponse(`Invalid delivery date: ${input.date}`, 400);
+  }
+
+  const day = startOfDay(date);
+  if (day < startOfDay(new Date())) {
+    throw new ErrorResponse('Delivery date cannot be in the past', 400);
+  }
+
+  const slot = config.slots.find(candidate => candidate.start === input.start);
+  if (!slot) {
+    throw new ErrorResponse(
+      `Unknown delivery slot ${input.start}. Slots are ${config.slots.map(s => `${s.start}-${s.end}`).join(', ')}`,
+      400
+    );
+  }
+
+  return { date: day, start: slot.start, end: slot.end };
+};
+
+/**
+ * Count the open deliveries booked for drivers on a day
+ * @param {Date} day - Start of the UTC day
+ * @param {Object} options - { drivers: ids to count for, excludeQuotation, session }
+ * @returns {Promise<Map>} - Driver id => { total, slots: { [start]: count } }
+ */
+const bookingsOn = async (day, options = {}) => {
+  const match = {
+    'deliverySlot.date': day,
+    status: { $in: OPEN_STATUSES },
+    assignedDelivery: options.drivers ? { $in: options.drivers } : { $ne: null }
+  };
+  if (options.excludeQuotation) {
+    match._id = { $ne: options.excludeQuotation };
+  }
+
+  const counts = await Quotation.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { driver: '$assignedDelivery', start: '$deliverySlot.start' },
+        count: { $sum: 1 }
+      }
+    }
+  ]).session(options.session || null);
+
+  const bookings = new Map();
+  counts.forEach(({ _id, count }) => {
+    const key = String(_id.driver);
+    const booking = bookings.get(key) || { total: 0, slots: {} };
+    booking.total += count;
+    booking.slots[_id.start] = (booking.slots[_id.start] || 0) + count;
+    bookings.set(key, booking);
+  });
+
+  return bookings;
+};
+
+/**
+ * Load an active delivery user
+ * @throws {ErrorResponse} - 400 if there is none with that id
+ */
+const findDriver = async (driverId, session = null) => {
+  const driver = await User.findById(driverId).session(session).catch(() => null);
+
+  if (!driver || driver.role !== 'delivery' || !driver.isActive) {
+    throw new ErrorResponse('Invalid delivery user selected', 400);
+  }
+
+  return driver;
+};
+
+/**
+ * Write the driver's day in the booking transaction, so a concurrent booking
+ * of the same day conflicts with this one and is retried against its count
+ */
+const reserveDay = (driver, slot, session) =>
+  DeliveryDay.updateOne(
+    { driver: driver._id, date: slot.date },
+    { $set: { lastBookedAt: Date.now() } },
+    { upsert: true, session }
+  );
+
+/**
+ * Make sure a driver has room left on the slot's day
+ * @param {Object} options - { excludeQuotation, session }
+ * @throws {ErrorResponse} - 409 if the driver is fully booked
+ */
+const checkCapacity = async (driver, slot, options = {}) => {
+  await reserveDay(driver, slot, options.session || null);
+
+  const bookings = await bookingsOn(slot.date, { ...options, drivers: [driver._id] });
+  const booked = (bookings.get(String(driver._id)) || { total: 0 }).total;
+  const capacity = capacityOf(driver);
+
+  if (booked >= capacity) {
+    throw new ErrorResponse(
+      `${driver.name} is fully booked on ${dayKey(slot.date)} (${booked} of ${capacity} deliveries)`,
+      409
+    );
+  }
+};
+
+/**
+ * The least-loaded active delivery user with room left on the slot's day.
+ * Ties go to the one with fewer deliveries in the same window.
+ * @throws {ErrorResponse} - 409 if every driver is fully booked
+ */
+const pickDriver = async (slot, options = {}) => {
+  const drivers = await User.find({ role: 'delivery', isActive: true })
+    .sort('name')
+    .session(options.session || null);
+  const bookings = await bookingsOn(slot.date, options);
+
+  const candidates = drivers
+    .map(driver => {
+      const booking = bookings.get(String(driver._id)) || { total: 0, slots: {} };
+      return { driver, total: booking.total, inSlot: booking.slots[slot.start] || 0 };
+    })
+    .filter(candidate => candidate.total < capacityOf(candidate.driver))
+    .sort((a, b) => a.total - b.total || a.inSlot - b.inSlot);
+
+  if (candidates.length === 0) {
+    throw new ErrorResponse(`No delivery user has capacity left on ${dayKey(slot.date)}`, 409);
+  }
+
+  const { driver } = candidates[0];
+  await reserveDay(driver, slot, options.session || null);
+
+  return driver;
+};
+
+/**
+ * Work out the driver and slot of a booking request. With autoAssign the
+ * least-loaded driver is picked; otherwise the given driver (or the one
+ * already assigned) is checked for capacity on the slot's day. Run it in the
+ * transaction that writes the booking, so concurrent bookings cannot overbook a driver.
+ * @param {Object} request - { assignedDelivery, autoAssign, deliverySlot: { date, start } }
+ * @param {Object} options - { current: { assignedDelivery, deliverySlot } of the quotation, excludeQuotation, session }
+ * @returns {Promise<Object>} - { driver, deliverySlot }, either undefined when not requested
+ */
+const resolveAssignment = async (request = {}, options = {}) => {
+  const current = options.current || {};
+  const session = options.session || null;
+  const autoAssign = request.autoAssign === true || request.autoAssign === 'true';
+  const requestedSlot = request.deliverySlot ? parseSlot(request.deliverySlot) : undefined;
+  const slot = requestedSlot || (current.deliverySlot && current.deliverySlot.date ? current.deliverySlot : undefined);
+
+  if (autoAssign) {
+    if (!slot) {
+      throw new ErrorResponse('Please add a delivery slot to auto-assign a delivery user', 400);
+    }
+    return {
+      driver: await pickDriver(slot, { excludeQuotation: options.excludeQuotation, session }),
+      deliverySlot: slot
+    };
+  }
+
+  const driverId = request.assignedDelivery || idOf(current.assignedDelivery);
+  const driver = driverId ? await findDriver(driverId, session) : undefined;
+
+  if (driver && slot) {
+    await checkCapacity(driver, slot, { excludeQuotation: options.excludeQuotation, session });
+  }
+
+  return {
+    driver: request.assignedDelivery ? driver : undefined,
+    deliverySlot: requestedSlot
+  };
+};
+
+/**
+ * What drivers are told about a booked delivery
+ */
+const deliveryNotice = (quotation, extra = {}) => ({
+  quotationId: quotation._id,
+  quotationNumber: quotation.quotationNumber,
+  customer: quotation.customer,
+  deliverySlot: quotation.deliverySlot,
+  ...extra
+});
+
+/**
+ * Tell the driver of a newly approved quotation about the booking
+ */
+const notifyAssignedDriver = (quotation) => {
+  if (quotation.assignedDelivery) {
+    webSocketService.notifyDeliveryAssigned(idOf(quotation.assignedDelivery), deliveryNotice(quotation));
+  }
+};
+
+/**
+ * Book, reschedule or reassign the delivery of an approved quotation. The
+ * change is logged in the quotation's statusHistory, and the old and new
+ * drivers are notified once it is committed.
+ * @param {Quotation} quotation - An approved, accepted or partially delivered quotation
+ * @param {Object} request - { assignedDelivery, autoAssign, deliverySlot, reason }
+ * @param {Object} user - Administrator making the change
+ * @returns {Promise<Object>} - { quotation, previousDriver, driver }
+ */
+const assignDelivery = async (quotation, request, user) => {
+  checkTransition(quotation, 'assign_delivery', user);
+
+  const current = quotation.toObject({ depopulate: true });
+  const previousDriverId = current.assignedDelivery ? String(current.assignedDelivery) : undefined;
+
+  const { updated, driverId, reassigned } = await runInTransaction(async (session) => {
+    const { driver, deliverySlot } = await resolveAssignment(request, {
+      current,
+      excludeQuotation: quotation._id,
+      session
+    });
+
+    if (!driver && !deliverySlot) {
+      throw new ErrorResponse('Please add a delivery user, autoAssign or a delivery slot', 400);
+    }
+
+    const newDriverId = driver ? String(driver._id) : previousDriverId;
+    const slot = deliverySlot || (current.deliverySlot && current.deliverySlot.date ? current.deliverySlot : undefined);
+    const changedDriver = newDriverId !== previousDriverId;
+
+    const changes = [];
+    if (changedDriver) {
+      const previous = quotation.assignedDelivery && quotation.assignedDelivery.name;
+      changes.push(`Delivery assigned to ${driver.name}${previous ? ` (was ${previous})` : ''}`);
+    }
+    if (deliverySlot) {
+      changes.push(`Delivery booked for ${slotLabel(deliverySlot)}`);
+    }
+
+    return {
+      updated: await transitionQuotation(quotation, 'assign_delivery', {
+        user,
+        reason: `${changes.join('; ')}${request.reason ? `: ${request.reason}` : ''}`,
+        assignedDelivery: newDriverId,
+        deliverySlot: slot,
+        session
+      }),
+      driverId: newDriverId,
+      reassigned: changedDriver
+    };
+  });
+
+  if (reassigned && previousDriverId) {
+    webSocketService.notifyDeliveryUnassigned(previousDriverId, deliveryNotice(updated, {
+      reassignedTo: driverId
+    }));
+  }
+  if (driverId) {
+    webSocketService.notifyDeliveryAssigned(driverId, deliveryNotice(updated, {
+      rescheduled: !reassigned
+    }));
+  }
+
+  return {
+    quotation: updated,
+    previousDriver: previousDriverId,
+    driver: driverId
+  };
+};
+
+/**
+ * A driver's bookings and remaining capacity for each day of a range
+ * @param {User} driver - Delivery user
+ * @param {Object} range - { from, to } dates; today and the next six days by default
+ * @returns {Promise<Object>} - { capacity, days: [...], unscheduled: [...] }
+ * @throws {ErrorResponse} - 400 if the range is invalid or too long
+ */
+const getDriverSchedule = async (driver, range = {}) => {
+  const from = startOfDay(range.from ? new Date(range.from) : new Date());
+  const to = startOfDay(range.to ? new Date(range.to) : new Date(from.getTime() + 6 * DAY_MS));
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || to < from) {
+    throw new ErrorResponse('Please provide a valid from and to date', 400);
+  }
+  if ((to - from) / DAY_MS >= MAX_SCHEDULE_DAYS) {
+    throw new ErrorResponse(`A schedule can cover at most ${MAX_SCHEDULE_DAYS} days`, 400);
+  }
+
+  const quotations = await Quotation.find({
+    assignedDelivery: driver._id,
+    status: { $in: OPEN_STATUSES },
+    $or: [
+      { 'deliverySlot.date': { $gte: from, $lte: to } },
+      { 'deliverySlot.date': { $exists: false } }
+    ]
+  }).sort({ 'deliverySlot.date': 1, 'deliverySlot.start': 1 });
+
+  const summary = quotation => ({
+    _id: quotation._id,
+    quotationNumber: quotation.displayNumber,
+    customer: quotation.customer,
+    status: quotation.status,
+    total: quotation.total,
+    currency: quotation.currency,
+    deliverySlot: quotation.deliverySlot
+  });
+
+  const capacity = capacityOf(driver);
+  const days = [];
+  for (let day = from; day <= to; day = new Date(day.getTime() + DAY_MS)) {
+    const deliveries = quotations
+      .filter(quotation => quotation.deliverySlot && quotation.deliverySlot.date &&
+        quotation.deliverySlot.date.getTime() === day.getTime())
+      .map(summary);
+
+    days.push({
+      date: dayKey(day),
+      capacity,
+      booked: deliveries.length,
+      available: Math.max(capacity - deliveries.length, 0),
+      deliveries
+    });
+  }
+
+  return {
+    capacity,
+    days,
+    // Assigned before slots were booked, or approved without one
+    unscheduled: quotations
+      .filter(quotation => !quotation.deliverySlot || !quotation.deliverySlot.date)
+      .map(summary)
+  };
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  capacityOf,
+  parseSlot,
+  bookingsOn,
+  resolveAssignment,
+  notifyAssignedDriver,
+  assignDelivery,
+  getDriverSchedule
+};
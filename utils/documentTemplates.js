@@ -0,0 +1,21 @@
+const DocumentTemplate = require('../models/DocumentTemplate');
+
+// Document types that can be rendered to PDF
+const TEMPLATE_TYPES = ['quotation', 'invoice', 'statement'];
+
+/**
+ * Get the template for a document type. Types no admin has edited yet get
+ * an unsaved template holding the defaults.
+ * @param {String} documentType - One of TEMPLATE_TYPES
+ * @returns {Promise<DocumentTemplate>}
+ */
+const getTemplate = async (documentType) => {
+  const template = await DocumentTemplate.findOne({ documentType });
+
+  return template || new DocumentTemplate({ documentType });
+};
+
+module.exports = {
+  TEMPLATE_TYPES,
+  getTemplate
+};
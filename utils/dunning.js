@@ -0,0 +1,245 @@
+const Sale = require('../models/Sale');
+const Customer = require('../models/Customer');
+const DunningStage = require('../models/DunningStage');
+const DunningReminder = require('../models/DunningReminder');
+const webSocketService = require('./websocketService');
+const { getChannel } = require('./dunningChannels');
+const { daysPastDue } = require('./receivables');
+const { formatMoney, formatDate } = require('./pdfRenderer');
+
+// Populated references are compared by id
+const idOf = value => (value && value._id) || value;
+
+// Used until an administrator sets up stages of their own
+const DEFAULT_STAGES = [
+  {
+    daysPastDue: 3,
+    name: 'Friendly reminder',
+    subject: 'Payment reminder for {{saleNumber}}',
+    message: 'Dear {{customerName}},\n\nThis is a friendly reminder that {{currency}} {{balance}} on {{saleNumber}} ' +
+      'was due on {{dueDate}}. If you have already paid, please disregard this message.\n\nThank you.'
+  },
+  {
+    daysPastDue: 15,
+    name: 'Second reminder',
+    subject: 'Second reminder: {{saleNumber}} is {{daysPastDue}} days overdue',
+    message: 'Dear {{customerName}},\n\n{{currency}} {{balance}} on {{saleNumber}} is now {{daysPastDue}} days ' +
+      'past its due date of {{dueDate}}. Please arrange payment at your earliest convenience.\n\nThank you.'
+  },
+  {
+    daysPastDue: 30,
+    name: 'Final notice',
+    subject: 'Final notice: {{saleNumber}} is {{daysPastDue}} days overdue',
+    message: 'Dear {{customerName}},\n\n{{currency}} {{balance}} on {{saleNumber}} remains unpaid {{daysPastDue}} ' +
+      'days after its due date of {{dueDate}}. Please settle it immediately or contact us to discuss it.'
+  }
+];
+
+// Sales that can be overdue: those still waiting for (part of) their payment
+const UNPAID_STATUSES = ['pending', 'partially_paid'];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * The active dunning stages, earliest first; the defaults when none are set up
+ * @returns {Promise<Array>}
+ */
+const getDunningStages = async () => {
+  const configured = await DunningStage.countDocuments();
+
+  if (configured === 0) {
+    return DEFAULT_STAGES;
+  }
+
+  return DunningStage.find({ isActive: true }).sort('daysPastDue');
+};
+
+/**
+ * Fill a stage's {{placeholders}}; unknown ones are left as they are
+ * @returns {String}
+ */
+const renderMessage = (template, values) =>
+  template.replace(/{{\s*(\w+)\s*}}/g, (match, key) =>
+    (values[key] === undefined ? match : String(values[key])));
+
+/**
+ * Flag unpaid sales past their due date as overdue, and clear the flag (and
+ * the stage reached) on sales that have been paid, closed or given a later
+ * due date since
+ * @returns {Promise<Object>} - { marked, cleared }
+ */
+const markOverdueSales = async (now = new Date()) => {
+  const today = startOfDay(now);
+
+  const marked = await Sale.updateMany(
+    {
+      isOverdue: { $ne: true },
+      status: { $in: UNPAID_STATUSES },
+      balance: { $gt: 0 },
+      dueDate: { $lt: today }
+    },
+    { isOverdue: true, overdueSince: now }
+  );
+
+  const cleared = await Sale.updateMany(
+    {
+      isOverdue: true,
+      $or: [
+        { status: { $nin: UNPAID_STATUSES } },
+        { balance: { $lte: 0 } },
+        { dueDate: { $gte: today } }
+      ]
+    },
+    { isOverdue: false, dunningStage: 0, $unset: { overdueSince: 1 } }
+  );
+
+  return { marked: marked.modifiedCount, cleared: cleared.modifiedCount };
+};
+
+/**
+ * Send one reminder: claim the stage on the sale so it is sent once, deliver
+ * it and record it. A failed delivery gives the stage back to be tried again
+ * on the next run.
+ * @param {Object} customer - The sale's customer record, or { _id } if it is gone
+ * @returns {Promise<DunningReminder|null>} - null if another run claimed the stage first
+ */
+const sendReminder = async (sale, customer, stage, { days, finalStage, channel }) => {
+  const previousStage = sale.dunningStage || 0;
+  // Sales from before dunning have no stage stored
+  const claimed = await Sale.updateOne(
+    { _id: sale._id, dunningStage: previousStage || { $in: [0, null] } },
+    { dunningStage: stage.daysPastDue }
+  );
+
+  if (claimed.modifiedCount === 0) {
+    return null;
+  }
+
+  const values = {
+    customerName: customer.name || customer.contactPerson || 'Customer',
+    saleNumber: sale.saleNumber,
+    balance: formatMoney(sale.balance),
+    currency: sale.currency,
+    dueDate: formatDate(sale.dueDate),
+    daysPastDue: days
+  };
+  const reminder = {
+    sale: sale._id,
+    customer: customer._id,
+    stage: stage.daysPastDue,
+    stageName: stage.name,
+    finalStage,
+    daysPastDue: days,
+    balance: sale.balance,
+    currency: sale.currency,
+    channel: channel.name,
+    recipient: customer.phone,
+    subject: renderMessage(stage.subject, values),
+    message: renderMessage(stage.message, values)
+  };
+
+  try {
+    reminder.channelReference = await channel.send({
+      recipient: reminder.recipient,
+      subject: reminder.subject,
+      message: reminder.message,
+      reference: `${sale.saleNumber}-stage-${stage.daysPastDue}`,
+      customer
+    });
+    reminder.status = 'sent';
+  } catch (err) {
+    console.error(`Could not send dunning reminder for sale ${sale.saleNumber}:`, err.message);
+    reminder.status = 'failed';
+    reminder.error = err.message;
+    await Sale.updateOne(
+      { _id: sale._id, dunningStage: stage.daysPastDue },
+      { dunningStage: previousStage }
+    );
+  }
+
+  return DunningReminder.create(reminder);
+};
+
+/**
+ * Send each overdue sale the latest stage it has reached and not yet been
+ * sent; stages passed while the job was not running are skipped. Admins are
+ * alerted when a sale reaches the final stage.
+ * @returns {Promise<Number>} - How many reminders were sent
+ */
+const sendDunningReminders = async (now = new Date()) => {
+  const stages = await getDunningStages();
+
+  if (stages.length === 0) {
+    return 0;
+  }
+
+  const channel = getChannel();
+  const finalStage = stages[stages.length - 1];
+  const overdue = await Sale.find({ isOverdue: true })
+    .select('saleNumber customer balance currency dueDate createdAt dunningStage');
+
+  // sale.customer holds a customer record; populated() gives back its raw id
+  const customerIdOf = sale => sale.populated('customer') || idOf(sale.customer);
+  const customers = await Customer.find({ _id: { $in: overdue.map(customerIdOf) } })
+    .select('name contactPerson phone');
+  const customerOf = sale =>
+    customers.find(customer => String(customer._id) === String(customerIdOf(sale))) || { _id: customerIdOf(sale) };
+
+  let sent = 0;
+
+  for (const sale of overdue) {
+    const days = daysPastDue(sale, now);
+    const stage = [...stages].reverse().find(candidate =>
+      candidate.daysPastDue <= days && candidate.daysPastDue > (sale.dunningStage || 0));
+
+    if (!stage) {
+      continue;
+    }
+
+    const isFinal = stage === finalStage;
+    const customer = customerOf(sale);
+    const reminder = await sendReminder(sale, customer, stage, { days, finalStage: isFinal, channel });
+
+    if (reminder && reminder.status === 'sent') {
+      sent += 1;
+
+      if (isFinal) {
+        webSocketService.notifyDunningFinalStage({
+          reminderId: reminder._id,
+          saleId: sale._id,
+          saleNumber: sale.saleNumber,
+          customer,
+          balance: sale.balance,
+          currency: sale.currency,
+          dueDate: sale.dueDate,
+          daysPastDue: days
+        });
+      }
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Scheduled job: flag overdue sales, then send the reminders due
+ */
+const runDunning = async (now = new Date()) => {
+  const { marked, cleared } = await markOverdueSales(now);
+  const sent = await sendDunningReminders(now);
+
+  return { marked, cleared, sent };
+};
+
+module.exports = {
+  DEFAULT_STAGES,
+  getDunningStages,
+  renderMessage,
+  markOverdueSales,
+  sendDunningReminders,
+  runDunning
+};
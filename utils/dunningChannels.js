@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/dunning');
+
+/**
+ * Writes each reminder to a text file under DUNNING_OUTBOX_DIR and logs it,
+ * for a person or another process to pick up
+ */
+const outboxChannel = {
+  async send({ recipient, subject, message, reference }) {
+    const file = path.join(config.outboxDirectory, `${Date.now()}-${reference.replace(/[^\w.-]+/g, '-')}.txt`);
+
+    await fs.promises.mkdir(config.outboxDirectory, { recursive: true });
+    await fs.promises.writeFile(
+      file,
+      `To: ${recipient || '(no contact details)'}\nSubject: ${subject}\n\n${message}\n`,
+      { flag: 'wx' }
+    );
+    console.log(`Dunning reminder for ${recipient || 'customer without contact details'} written to ${file}`);
+
+    return path.basename(file);
+  }
+};
+
+// Channels by name. Each has send({ recipient, subject, message, reference, customer })
+// resolving to its own reference for the message, e.g. a file name or message id.
+const channels = {
+  outbox: outboxChannel
+};
+
+/**
+ * Make a delivery channel available, e.g. one sending email or SMS
+ * @param {String} name - Name to select it with in DUNNING_CHANNEL
+ * @param {Object} channel - { send }
+ */
+const registerChannel = (name, channel) => {
+  if (typeof channel.send !== 'function') {
+    throw new Error(`Dunning channel ${name} must implement send()`);
+  }
+
+  channels[name] = channel;
+};
+
+/**
+ * The configured delivery channel
+ * @returns {Object} - { name, send }
+ */
+const getChannel = () => {
+  const channel = channels[config.channel];
+
+  if (!channel) {
+    throw new Error(`Unknown dunning channel: ${config.channel}`);
+  }
+
+  return { name: config.channel, send: channel.send.bind(channel) };
+};
+
+module.exports = {
+  registerChannel,
+  getChannel
+};
@@ -0,0 +1,79 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const ErrorResponse = require('./errorResponse');
+const { baseCurrency, CURRENCY_CODE } = require('../config/pricing');
+
+/**
+ * Normalise a currency code, defaulting to the base currency
+ * @throws {ErrorResponse} - 400 if it is not a three-letter code
+ * @returns {String}
+ */
+const normaliseCurrency = (currency) => {
+  const code = currency ? String(currency).trim().toUpperCase() : baseCurrency;
+
+  if (!CURRENCY_CODE.test(code)) {
+    throw new ErrorResponse(`Invalid currency: ${currency}. Use a three-letter code, e.g. USD`, 400);
+  }
+
+  return code;
+};
+
+/**
+ * Find the rate in force for a currency on a date
+ * @param {String} currency - Currency code
+ * @param {Date} date - Day the rate applies to (defaults to now)
+ * @param {Object} options - { session }
+ * @returns {Promise<Number>} - Base currency units per unit of currency (1 for the base currency)
+ * @throws {ErrorResponse} - 400 if no rate is effective yet
+ */
+const getRate = async (currency, date = new Date(), options = {}) => {
+  const code = normaliseCurrency(currency);
+
+  if (code === baseCurrency) {
+    return 1;
+  }
+
+  const found = await ExchangeRate.findOne({ currency: code, effectiveDate: { $lte: date } })
+    .sort('-effectiveDate')
+    .session(options.session || null);
+
+  if (!found) {
+    throw new ErrorResponse(
+      `No exchange rate for ${code} is effective on ${date.toISOString().slice(0, 10)}`,
+      400
+    );
+  }
+
+  return found.rate;
+};
+
+/**
+ * The currency and rate to lock in on a new document
+ * @param {String} [currency] - Requested currency; the base currency when empty
+ * @param {Object} options - { date, session }
+ * @returns {Promise<Object>} - { currency, exchangeRate }
+ */
+const lockExchangeRate = async (currency, options = {}) => {
+  const code = normaliseCurrency(currency);
+
+  return {
+    currency: code,
+    exchangeRate: await getRate(code, options.date, options)
+  };
+};
+
+/**
+ * Aggregation expression converting an amount field to the base currency
+ * with the document's locked rate; documents from before currencies were
+ * kept have no rate and are already in the base currency
+ * @param {String} field - Field path, e.g. '$total'
+ * @returns {Object}
+ */
+const baseAmount = field => ({ $multiply: [field, { $ifNull: ['$exchangeRate', 1] }] });
+
+module.exports = {
+  baseCurrency,
+  normaliseCurrency,
+  getRate,
+  lockExchangeRate,
+  baseAmount
+};
@@ -0,0 +1,222 @@
+const ErrorResponse = require('./errorResponse');
+const { roundAmount } = require('./pricingEngine');
+
+// Ready-made schedules: shares of the total in percent, or a number of equal
+// installments, one per interval starting on the first due date
+const PLAN_TEMPLATES = {
+  '50-50': { shares: [50, 50], interval: 'monthly' },
+  '30-70': { shares: [30, 70], interval: 'monthly' },
+  '3-monthly': { count: 3, interval: 'monthly' },
+  '6-monthly': { count: 6, interval: 'monthly' },
+  '12-monthly': { count: 12, interval: 'monthly' },
+  '4-weekly': { count: 4, interval: 'weekly' }
+};
+
+// Most installments a plan can have
+const MAX_INSTALLMENTS = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * The due date of the installment at an index
+ * @param {Date} first - Due date of the first installment
+ * @param {String|Number} interval - 'monthly', 'weekly' or a number of days
+ */
+const dueDateAt = (first, interval, index) => {
+  if (interval === 'monthly') {
+    const date = new Date(first);
+    const day = date.getDate();
+    date.setDate(1);
+    date.setMonth(date.getMonth() + index);
+    // The 31st falls back to the end of shorter months
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    date.setDate(Math.min(day, lastDay));
+    return date;
+  }
+
+  const days = interval === 'weekly' ? 7 : Number(interval);
+  return new Date(first.getTime() + index * days * DAY_MS);
+};
+
+/**
+ * Split an amount by shares in percent; the last installment takes the rounding
+ */
+const splitByShares = (amount, shares) => {
+  let remaining = amount;
+
+  return shares.map((share, index) => {
+    if (index === shares.length - 1) {
+      return roundAmount(remaining);
+    }
+    const part = roundAmount(amount * share / 100);
+    remaining = roundAmount(remaining - part);
+    return part;
+  });
+};
+
+/**
+ * Build an installment schedule for an amount, from a template, from shares
+ * or a count with an interval, or from explicit installments
+ * @param {Number} amount - What the installments must add up to
+ * @param {Object} input - { template } | { shares, interval, firstDueDate } |
+ *   { count, interval, firstDueDate } | { installments: [{ amount, dueDate }] }
+ * @returns {Array} - [{ sequence, dueDate, amount, paidAmount }]
+ * @throws {ErrorResponse} - 400 if the schedule is invalid or does not add up to the amount
+ */
+const buildSchedule = (amount, input = {}) => {
+  let plan;
+
+  if (Array.isArray(input.installments)) {
+    plan = input.installments.map(({ amount: part, dueDate }) => ({
+      amount: roundAmount(Number(part)),
+      dueDate: new Date(dueDate)
+    }));
+  } else {
+    const template = input.template ? PLAN_TEMPLATES[input.template] : input;
+
+    if (!template) {
+      throw new ErrorResponse(
+        `Unknown installment template ${input.template}. Templates are ${Object.keys(PLAN_TEMPLATES).join(', ')}`,
+        400
+      );
+    }
+
+    const interval = input.interval || template.interval || 'monthly';
+    if (!['monthly', 'weekly'].includes(interval) && !(Number.isInteger(Number(interval)) && Number(interval) > 0)) {
+      throw new ErrorResponse("Interval must be 'monthly', 'weekly' or a number of days", 400);
+    }
+
+    let shares = template.shares;
+    if (!shares) {
+      const count = Number(template.count);
+      if (!Number.isInteger(count) || count < 1) {
+        throw new ErrorResponse('Please add the installment shares or a number of installments', 400);
+      }
+      shares = Array(count).fill(100 / count);
+    }
+
+    if (!Array.isArray(shares) || shares.some(share => !(Number(share) > 0)) ||
+        Math.abs(shares.reduce((sum, share) => sum + Number(share), 0) - 100) > 0.01) {
+      throw new ErrorResponse('Installment shares must be positive percentages adding up to 100', 400);
+    }
+
+    const first = startOfDay(input.firstDueDate ? new Date(input.firstDueDate) : new Date());
+    plan = splitByShares(amount, shares.map(Number)).map((part, index) => ({
+      amount: part,
+      dueDate: dueDateAt(first, interval, index)
+    }));
+  }
+
+  if (plan.length < 1 || plan.length > MAX_INSTALLMENTS) {
+    throw new ErrorResponse(`A plan has between 1 and ${MAX_INSTALLMENTS} installments`, 400);
+  }
+
+  plan.forEach((installment, index) => {
+    if (!Number.isFinite(installment.amount) || installment.amount <= 0) {
+      throw new ErrorResponse(`Installment ${index + 1} must be for more than zero`, 400);
+    }
+    if (isNaN(installment.dueDate.getTime())) {
+      throw new ErrorResponse(`Installment ${index + 1} has an invalid due date`, 400);
+    }
+    if (index > 0 && installment.dueDate < plan[index - 1].dueDate) {
+      throw new ErrorResponse('Installments must be in due date order', 400);
+    }
+  });
+
+  const scheduled = roundAmount(plan.reduce((sum, installment) => sum + installment.amount, 0));
+  if (scheduled !== roundAmount(amount)) {
+    throw new ErrorResponse(`Installments add up to ${scheduled}, not the sale's ${roundAmount(amount)}`, 400);
+  }
+
+  return plan.map((installment, index) => ({
+    sequence: index + 1,
+    dueDate: installment.dueDate,
+    amount: installment.amount,
+    paidAmount: 0
+  }));
+};
+
+/**
+ * Spread what has been settled on a sale over its installments, earliest first
+ * @param {Array} installments - [{ amount }] in order
+ * @param {Number} settled - Amount paid or credited towards them
+ * @returns {Array} - The paid amount of each installment
+ */
+const allocate = (installments, settled) => {
+  let remaining = Math.max(roundAmount(settled), 0);
+
+  return installments.map(installment => {
+    const paid = Math.min(installment.amount, remaining);
+    remaining = roundAmount(remaining - paid);
+    return roundAmount(paid);
+  });
+};
+
+/**
+ * Update the installments' paid amounts from the sale's balance; the sale
+ * is due when its first unpaid installment is
+ * @param {Sale} sale - With amounts already worked out from its payments and returns
+ */
+const allocateInstallments = (sale) => {
+  if (!sale.installments || sale.installments.length === 0) {
+    return;
+  }
+
+  const paid = allocate(sale.installments, sale.total - Math.max(sale.balance, 0));
+  sale.installments.forEach((installment, index) => {
+    installment.paidAmount = paid[index];
+  });
+
+  const next = sale.installments.find(installment => installment.paidAmount < installment.amount);
+  if (next) {
+    sale.dueDate = next.dueDate;
+  }
+};
+
+/**
+ * The installments with what is left on each and where each stands today:
+ * paid, overdue (past its due date), due (the next one to pay) or upcoming
+ * @returns {Array}
+ */
+const scheduleOf = (sale, now = new Date()) => {
+  const today = startOfDay(now);
+  let nextFound = false;
+
+  return (sale.installments || []).map(installment => {
+    const remaining = roundAmount(installment.amount - (installment.paidAmount || 0));
+    let status = 'paid';
+
+    if (remaining > 0) {
+      if (installment.dueDate < today) {
+        status = 'overdue';
+      } else {
+        status = nextFound ? 'upcoming' : 'due';
+        nextFound = true;
+      }
+    }
+
+    return {
+      _id: installment._id,
+      sequence: installment.sequence,
+      dueDate: installment.dueDate,
+      amount: installment.amount,
+      paidAmount: installment.paidAmount || 0,
+      remaining,
+      status
+    };
+  });
+};
+
+module.exports = {
+  PLAN_TEMPLATES,
+  buildSchedule,
+  allocate,
+  allocateInstallments,
+  scheduleOf
+};
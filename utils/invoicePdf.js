@@ -0,0 +1,111 @@
+const {
+  formatMoney,
+  formatDate,
+  createDocument,
+  drawHeader,
+  drawParty,
+  drawTable,
+  drawTotals,
+  drawTextBlock,
+  finishDocument
+} = require('./pdfRenderer');
+
+// Line item columns a template can choose from
+const COLUMNS = {
+  description: { header: 'Description', width: 40 },
+  quantity: { header: 'Qty', width: 8, align: 'right' },
+  unitPrice: { header: 'Unit Price', width: 13, align: 'right' },
+  discount: { header: 'Discount', width: 13, align: 'right' },
+  tax: { header: 'Tax', width: 12, align: 'right' },
+  total: { header: 'Amount', width: 14, align: 'right' }
+};
+
+const TAX_SUMMARY_COLUMNS = [
+  { key: 'rate', header: 'Tax Rate', width: 20 },
+  { key: 'taxableAmount', header: 'Taxable Amount', width: 40, align: 'right' },
+  { key: 'taxAmount', header: 'Tax', width: 40, align: 'right' }
+];
+
+const formatTax = (item) => {
+  if (!item.tax) {
+    return '';
+  }
+  return item.taxRate ? `${formatMoney(item.tax)} (${item.taxRate}%)` : formatMoney(item.tax);
+};
+
+/**
+ * Render an invoice to PDF. The seller and buyer are printed as they were
+ * when the invoice was issued; only the layout comes from the template.
+ * @param {Invoice} invoice
+ * @param {Object} options - { template }
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (invoice, { template }) => {
+  const { seller, buyer } = invoice.toObject();
+  const layout = {
+    ...template.toObject(),
+    company: { ...seller, website: template.company.website }
+  };
+
+  const doc = createDocument(layout, {
+    title: `Invoice ${invoice.invoiceNumber}`,
+    subject: buyer.name ? `Invoice for ${buyer.name}` : 'Invoice',
+    date: invoice.issueDate
+  });
+
+  drawHeader(doc, layout, layout.title || 'INVOICE', [
+    ['Invoice No', invoice.invoiceNumber],
+    ['Issue Date', formatDate(invoice.issueDate)],
+    ['Due Date', formatDate(invoice.dueDate)],
+    ['Terms', invoice.paymentTermsDays ? `Net ${invoice.paymentTermsDays} days` : 'Due on receipt']
+  ]);
+
+  drawParty(doc, layout, 'Bill to', [
+    buyer.name,
+    buyer.address,
+    [buyer.phone, buyer.email].filter(Boolean).join('  |  '),
+    buyer.taxId ? `TIN: ${buyer.taxId}` : ''
+  ]);
+
+  const columns = layout.columns
+    .filter(key => COLUMNS[key])
+    .map(key => ({ key, ...COLUMNS[key] }));
+
+  const rows = invoice.items.map(item => ({
+    description: item.description,
+    quantity: String(item.quantity),
+    unitPrice: formatMoney(item.unitPrice),
+    discount: item.discountAmount ? formatMoney(item.discountAmount) : '',
+    tax: formatTax(item),
+    total: formatMoney(item.total)
+  }));
+
+  drawTable(doc, layout, columns, rows);
+
+  drawTotals(doc, layout, [
+    ['Subtotal', formatMoney(invoice.subtotal)],
+    ['Discount', invoice.discountAmount ? `-${formatMoney(invoice.discountAmount)}` : formatMoney(0)],
+    ['Tax', formatMoney(invoice.taxAmount)],
+    [`Total (${invoice.currency})`, formatMoney(invoice.total)]
+  ]);
+
+  drawTable(doc, layout, TAX_SUMMARY_COLUMNS, invoice.taxSummary.map(row => ({
+    rate: `${row.rate}%`,
+    taxableAmount: formatMoney(row.taxableAmount),
+    taxAmount: formatMoney(row.taxAmount)
+  })));
+
+  if (layout.showTerms) {
+    drawTextBlock(doc, layout, 'Terms and Conditions', layout.defaultTerms);
+  }
+
+  if (layout.showNotes) {
+    drawTextBlock(doc, layout, 'Notes', invoice.notes);
+  }
+
+  return finishDocument(doc, layout);
+};
+
+module.exports = {
+  renderInvoicePdf
+};
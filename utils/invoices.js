@@ -0,0 +1,206 @@
+const Sale = require('../models/Sale');
+const Invoice = require('../models/Invoice');
+const Customer = require('../models/Customer');
+const Quotation = require('../models/Quotation');
+const Branch = require('../models/Branch');
+const ErrorResponse = require('./errorResponse');
+const runInTransaction = require('./transaction');
+const config = require('../config/invoices');
+const { nextNumber } = require('./numberingService');
+const { roundAmount } = require('./pricingEngine');
+const { getTemplate } = require('./documentTemplates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sales in this status cannot be invoiced
+const CANCELLED = 'cancelled';
+
+// Populated references are used by id
+const idOf = value => (value && value._id) || value;
+
+/**
+ * Tax per rate: the amount taxed at each rate after discounts, and the tax on it
+ * @param {Array} items - Priced lines with taxRate, tax and total
+ * @returns {Array} - [{ rate, taxableAmount, taxAmount }] by rate
+ */
+const taxSummaryOf = (items) => {
+  const byRate = new Map();
+
+  items.forEach(item => {
+    const rate = item.taxRate || 0;
+    const row = byRate.get(rate) || { rate, taxableAmount: 0, taxAmount: 0 };
+    row.taxableAmount = roundAmount(row.taxableAmount + (item.total - (item.tax || 0)));
+    row.taxAmount = roundAmount(row.taxAmount + (item.tax || 0));
+    byRate.set(rate, row);
+  });
+
+  return [...byRate.values()].sort((a, b) => a.rate - b.rate);
+};
+
+/**
+ * Payment terms in days: what was asked for, or the configured default
+ * @throws {ErrorResponse} - 400 if not a whole number of days
+ */
+const termsOf = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return config.paymentTermsDays;
+  }
+
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0) {
+    throw new ErrorResponse('Payment terms must be a whole number of days', 400);
+  }
+
+  return days;
+};
+
+/**
+ * The seller as printed on the invoice: the invoice template's company,
+ * with the branch's contact details where the company has none
+ */
+const sellerOf = async (branchId, session = null) => {
+  const template = await getTemplate('invoice');
+  const branch = branchId ? await Branch.findById(branchId).session(session) : null;
+  const { company } = template;
+
+  return {
+    name: company.name,
+    address: company.address || (branch && branch.address) || '',
+    phone: company.phone || (branch && branch.contactNumber) || '',
+    email: company.email || (branch && branch.email) || '',
+    taxId: company.taxId
+  };
+};
+
+/**
+ * The buyer as printed on the invoice: the sale's customer record, or the
+ * `billingCustomer` record when another one is billed, with its contact
+ * details and tax ID, then anything given explicitly
+ * @param {ObjectId} customerId - Customer the sale was made to
+ * @param {Object} input - { billingCustomer, billing: { name, address, phone, email, taxId } }
+ * @throws {ErrorResponse} - 400 if the billing customer record does not exist
+ */
+const buyerOf = async (customerId, input, session = null) => {
+  const buyer = { name: '', address: '', phone: '', email: '', taxId: '' };
+
+  const recordId = input.billingCustomer || customerId;
+  const record = recordId
+    ? await Customer.findById(recordId).session(session).catch(() => null)
+    : null;
+
+  if (input.billingCustomer && !record) {
+    throw new ErrorResponse(`Customer not found with id of ${input.billingCustomer}`, 400);
+  }
+
+  if (record) {
+    buyer.name = record.name || record.contactPerson || '';
+    buyer.address = record.address || '';
+    buyer.phone = record.phone || '';
+    buyer.taxId = record.taxId || '';
+  }
+
+  const billing = input.billing || {};
+  Object.keys(buyer).forEach(field => {
+    if (billing[field] !== undefined && billing[field] !== null) {
+      buyer[field] = String(billing[field]).trim();
+    }
+  });
+
+  return { buyer, billingCustomer: record ? record._id : undefined };
+};
+
+/**
+ * Issue the invoice of a sale: a numbered snapshot of its lines, totals,
+ * tax per rate and the seller and buyer details. The sale's due date follows
+ * the invoice's payment terms unless it is paid in installments.
+ * @param {ObjectId} saleId
+ * @param {Object} input - { paymentTermsDays, billingCustomer, billing, notes }
+ * @param {Object} user - User issuing the invoice
+ * @returns {Promise<Invoice>}
+ * @throws {ErrorResponse} - 404 if there is no sale, 409 if it is cancelled,
+ *   still being delivered or already invoiced
+ */
+const issueInvoice = async (saleId, input, user) => {
+  const paymentTermsDays = termsOf(input.paymentTermsDays);
+
+  return runInTransaction(async (session) => {
+    const sale = await Sale.findById(saleId).session(session);
+
+    if (!sale) {
+      throw new ErrorResponse(`Sale not found with id of ${saleId}`, 404);
+    }
+    if (sale.status === CANCELLED) {
+      throw new ErrorResponse(`Sale ${sale.saleNumber} is cancelled and cannot be invoiced`, 409);
+    }
+
+    const existing = await Invoice.findOne({ sale: sale._id }).session(session);
+    if (existing) {
+      throw new ErrorResponse(`Sale ${sale.saleNumber} has already been invoiced as ${existing.invoiceNumber}`, 409);
+    }
+
+    // Deliveries add lines to the sale, so it is invoiced once they are done
+    if (sale.quotation) {
+      const quotation = await Quotation.findById(sale.quotation).select('status quotationNumber').session(session);
+      if (quotation && quotation.status === 'partially_delivered') {
+        throw new ErrorResponse(
+          `Quotation ${quotation.quotationNumber} is still being delivered; invoice sale ${sale.saleNumber} once delivery is complete`,
+          409
+        );
+      }
+    }
+
+    const seller = await sellerOf(sale.branch, session);
+    // The sale's find hook populates the customer from users; the record id is kept either way
+    const customerId = sale.populated('customer') || idOf(sale.customer);
+    const { buyer, billingCustomer } = await buyerOf(customerId, input, session);
+
+    const items = sale.items.map(item => ({
+      inventory: idOf(item.inventory),
+      description: item.description,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      discountAmount: item.discountAmount,
+      taxRate: item.taxRate,
+      tax: item.tax,
+      total: item.total
+    }));
+
+    const issueDate = new Date();
+    const dueDate = new Date(issueDate.getTime() + paymentTermsDays * DAY_MS);
+
+    const [invoice] = await Invoice.create([{
+      invoiceNumber: await nextNumber('invoice', { session, date: issueDate }),
+      sale: sale._id,
+      customer: customerId,
+      billingCustomer,
+      branch: sale.branch,
+      seller,
+      buyer,
+      issueDate,
+      dueDate,
+      paymentTermsDays,
+      items,
+      taxSummary: taxSummaryOf(items),
+      subtotal: sale.subtotal,
+      discountAmount: sale.discountAmount,
+      taxAmount: sale.taxAmount,
+      total: sale.total,
+      currency: sale.currency,
+      exchangeRate: sale.exchangeRate,
+      notes: input.notes,
+      issuedBy: user.id
+    }], { session });
+
+    // Receivables age from the invoice's due date, or from the installments' on a payment plan
+    if (!sale.installments || sale.installments.length === 0) {
+      await Sale.updateOne({ _id: sale._id }, { dueDate }, { session });
+    }
+
+    return invoice;
+  });
+};
+
+module.exports = {
+  taxSummaryOf,
+  issueInvoice
+};
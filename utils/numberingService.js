@@ -0,0 +1,187 @@
+const Counter = require('../models/Counter');
+const NumberingSetting = require('../models/NumberingSetting');
+const ErrorResponse = require('./errorResponse');
+
+// Defaults keep the formats the documents used before numbering was configurable
+const DEFAULT_SETTINGS = {
+  quotation: { prefix: 'Q', resetPeriod: 'yearly', padding: 4 },
+  sale: { prefix: 'S', resetPeriod: 'yearly', padding: 5 },
+  purchase_order: { prefix: 'PO', resetPeriod: 'monthly', padding: 4 },
+  purchase_receiving: { prefix: 'GR', resetPeriod: 'monthly', padding: 4 },
+  stock_transfer: { prefix: 'ST', resetPeriod: 'monthly', padding: 4 },
+  delivery: { prefix: 'DN', resetPeriod: 'monthly', padding: 4 },
+  payment: { prefix: 'PAY', resetPeriod: 'monthly', padding: 4 },
+  credit_note: { prefix: 'CN', resetPeriod: 'monthly', padding: 4 },
+  invoice: { prefix: 'INV', resetPeriod: 'yearly', padding: 5 }
+};
+
+const DOCUMENT_TYPES = Object.keys(DEFAULT_SETTINGS);
+
+// Model and number field of each document type
+const NUMBERED_DOCUMENTS = {
+  quotation: { model: 'Quotation', field: 'quotationNumber' },
+  sale: { model: 'Sale', field: 'saleNumber' },
+  purchase_order: { model: 'PurchaseOrder', field: 'orderNumber' },
+  purchase_receiving: { model: 'PurchaseReceiving', field: 'receivingNumber' },
+  stock_transfer: { model: 'StockTransfer', field: 'transferNumber' },
+  delivery: { model: 'Delivery', field: 'deliveryNumber' },
+  payment: { model: 'Payment', field: 'paymentNumber' },
+  credit_note: { model: 'CreditNote', field: 'creditNoteNumber' },
+  invoice: { model: 'Invoice', field: 'invoiceNumber' }
+};
+
+/**
+ * Get the numbering settings for a document type, falling back to the defaults
+ * @param {String} documentType - One of DOCUMENT_TYPES
+ * @returns {Promise<Object>} - { documentType, prefix, resetPeriod, padding }
+ */
+const getSettings = async (documentType, options = {}) => {
+  if (!DEFAULT_SETTINGS[documentType]) {
+    throw new ErrorResponse(`Unknown document type: ${documentType}`, 400);
+  }
+
+  const setting = await NumberingSetting.findOne({ documentType })
+    .session(options.session || null);
+
+  return {
+    documentType,
+    ...DEFAULT_SETTINGS[documentType],
+    ...(setting ? {
+      prefix: setting.prefix,
+      resetPeriod: setting.resetPeriod,
+      padding: setting.padding
+    } : {})
+  };
+};
+
+/**
+ * Period a date falls in for a reset period: "2026", "2026-05" or "" (never resets)
+ */
+const getPeriod = (resetPeriod, date) => {
+  const year = String(date.getFullYear());
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+
+  if (resetPeriod === 'monthly') {
+    return `${year}-${month}`;
+  }
+
+  return resetPeriod === 'yearly' ? year : '';
+};
+
+/**
+ * Build a document number, e.g. Q-2026-0012 or GR-2026-05-0003
+ */
+const formatNumber = (settings, period, seq) =>
+  [settings.prefix, ...(period ? period.split('-') : []), String(seq).padStart(settings.padding, '0')]
+    .join('-');
+
+const getCounterKey = (documentType, period) =>
+  period ? `${documentType}:${period}` : documentType;
+
+// Numbers of a period match this, with the sequence as the first group
+const numberPattern = (settings, period) =>
+  new RegExp(`^${[settings.prefix, ...(period ? period.split('-') : [])].join('-')}-(\\d+)$`);
+
+/**
+ * Highest sequence among document numbers of a period; numbers in another
+ * format or period are ignored
+ * @param {Array<String>} numbers - Document numbers
+ * @param {Object} settings - { prefix }
+ * @param {String} period - As given by getPeriod
+ * @returns {Number} - 0 if none of the numbers is of the period
+ */
+const highestSequence = (numbers, settings, period) => {
+  const pattern = numberPattern(settings, period);
+
+  return numbers.reduce((highest, number) => {
+    const match = pattern.exec(number);
+    return match ? Math.max(highest, Number(match[1])) : highest;
+  }, 0);
+};
+
+/**
+ * Highest sequence already used by documents of a type in a period. Counters
+ * start from it, so they carry on after numbers given out before they existed.
+ * @returns {Promise<Number>}
+ */
+const highestExisting = async (documentType, settings, period) => {
+  const { model, field } = NUMBERED_DOCUMENTS[documentType];
+  const Model = require(`../models/${model}`);
+
+  const documents = await Model.find({ [field]: numberPattern(settings, period) })
+    .select(field)
+    .lean();
+
+  return highestSequence(documents.map(document => document[field]), settings, period);
+};
+
+/**
+ * Allocate the next number for a document type.
+ * Must run inside the transaction that saves the document: if the save fails
+ * the counter increment rolls back with it, which keeps the sequence gap-free.
+ * Concurrent allocations conflict on the counter and are retried by the transaction.
+ * @param {String} documentType - One of DOCUMENT_TYPES
+ * @param {Object} options - { session, date }
+ * @returns {Promise<String>} - The formatted document number
+ */
+const nextNumber = async (documentType, options = {}) => {
+  const { session, date = new Date() } = options;
+
+  if (!session || !session.inTransaction()) {
+    throw new Error(`Numbers for ${documentType} must be allocated inside a transaction`);
+  }
+
+  const settings = await getSettings(documentType, { session });
+  const period = getPeriod(settings.resetPeriod, date);
+  const key = getCounterKey(documentType, period);
+
+  // Create the period's counter outside the transaction so concurrent
+  // first-of-period requests don't fail on the unique key; it starts at the
+  // highest number already used and hands out nothing by itself
+  if (!(await Counter.exists({ key }))) {
+    const seq = await highestExisting(documentType, settings, period);
+
+    try {
+      await Counter.updateOne(
+        { key },
+        { $setOnInsert: { documentType, period, seq } },
+        { upsert: true }
+      );
+    } catch (err) {
+      if (err.code !== 11000) {
+        throw err;
+      }
+    }
+  }
+
+  const counter = await Counter.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { new: true, session }
+  );
+
+  return formatNumber(settings, period, counter.seq);
+};
+
+/**
+ * Preview the number the next document of a type would get, without allocating it
+ * @returns {Promise<String>}
+ */
+const previewNextNumber = async (documentType, date = new Date()) => {
+  const settings = await getSettings(documentType);
+  const period = getPeriod(settings.resetPeriod, date);
+  const counter = await Counter.findOne({ key: getCounterKey(documentType, period) });
+  const seq = counter ? counter.seq : await highestExisting(documentType, settings, period);
+
+  return formatNumber(settings, period, seq + 1);
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  getSettings,
+  getPeriod,
+  highestSequence,
+  highestExisting,
+  nextNumber,
+  previewNextNumber
+};
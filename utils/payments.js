@@ -0,0 +1,274 @@
+const Sale = require('../models/Sale');
+const Payment = require('../models/Payment');
+const CreditNote = require('../models/CreditNote');
+const CustomerCredit = require('../models/CustomerCredit');
+const ErrorResponse = require('./errorResponse');
+const runInTransaction = require('./transaction');
+const pricing = require('../config/pricing');
+const { nextNumber } = require('./numberingService');
+const { roundAmount } = require('./pricingEngine');
+const { allocateInstallments } = require('./installments');
+
+const PAYMENT_METHODS = ['cash', 'bank_transfer', 'check', 'card', 'e_wallet', 'credit'];
+
+// Ways money can be paid back to a customer
+const REFUND_METHODS = PAYMENT_METHODS.filter(method => method !== 'credit');
+
+// Sales in these statuses take no more payments, and keep their status when payments are voided
+const CLOSED_STATUSES = ['cancelled', 'refunded'];
+
+// Populated references are used by id
+const idOf = value => (value && value._id) || value;
+
+// A sale's customer is a customer record, which the sale's find hook does not
+// populate; populated() still gives back the stored id
+const customerIdOf = sale => sale.populated('customer') || idOf(sale.customer);
+
+/**
+ * Payment status of a sale from what has been paid on it
+ * @returns {String} - pending, partially_paid or paid; cancelled and refunded sales keep their status
+ */
+const paymentStatusOf = (sale) => {
+  if (CLOSED_STATUSES.includes(sale.status)) {
+    return sale.status;
+  }
+  if (!(sale.amountPaid > 0)) {
+    return 'pending';
+  }
+  return sale.balance <= 0 ? 'paid' : 'partially_paid';
+};
+
+/**
+ * What is still owed on a sale: its total less returns, less what was paid
+ * and not given back
+ * @returns {Number}
+ */
+const balanceOf = sale => roundAmount(
+  sale.total - (sale.returnedAmount || 0) - (sale.amountPaid || 0) + (sale.refundedAmount || 0)
+);
+
+/**
+ * Derive a sale's amountPaid, returns, balance and status from its posted
+ * payments and credit notes and save it, settling its installments in order.
+ * A sale whose goods have all been returned becomes refunded.
+ * @param {Sale} sale
+ * @param {Object} options - { session }
+ * @returns {Promise<Sale>}
+ */
+const applyPayments = async (sale, options = {}) => {
+  const session = options.session || null;
+  const [paid] = await Payment.aggregate([
+    { $match: { sale: sale._id, status: 'posted' } },
+    { $group: { _id: null, amount: { $sum: '$appliedAmount' } } }
+  ]).session(session);
+  const [returned] = await CreditNote.aggregate([
+    { $match: { sale: sale._id } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: '$total' },
+        givenBack: { $sum: { $add: ['$refundAmount', '$creditAmount'] } }
+      }
+    }
+  ]).session(session);
+
+  sale.amountPaid = roundAmount(paid ? paid.amount : 0);
+  sale.returnedAmount = roundAmount(returned ? returned.total : 0);
+  sale.refundedAmount = roundAmount(returned ? returned.givenBack : 0);
+  sale.balance = balanceOf(sale);
+  allocateInstallments(sale);
+
+  const allReturned = sale.items.length > 0 &&
+    sale.items.every(item => (item.returnedQuantity || 0) >= item.quantity);
+  sale.status = allReturned && sale.status !== 'cancelled' ? 'refunded' : paymentStatusOf(sale);
+
+  return sale.save({ session });
+};
+
+/**
+ * Add to or take from a customer's credit balance in a currency
+ * @param {Object} options - { session, message } message is used when the credit is insufficient
+ * @throws {ErrorResponse} - 409 if taking more than the balance
+ */
+const adjustCredit = async (customer, currency, amount, options = {}) => {
+  const change = roundAmount(amount);
+  const filter = { customer: idOf(customer), currency };
+
+  if (change < 0) {
+    filter.balance = { $gte: -change };
+  }
+
+  // Balances are kept rounded, so comparing them with rounded amounts is exact
+  const credit = await CustomerCredit.findOneAndUpdate(
+    filter,
+    [{
+      $set: {
+        balance: { $round: [{ $add: [{ $ifNull: ['$balance', 0] }, change] }, pricing.decimals] },
+        updatedAt: '$$NOW'
+      }
+    }],
+    { new: true, upsert: change > 0, session: options.session || null }
+  );
+
+  if (!credit) {
+    throw new ErrorResponse(
+      options.message || `The customer does not have ${-change} ${currency} of credit`,
+      409
+    );
+  }
+
+  return credit;
+};
+
+/**
+ * A customer's credit balances, one per currency
+ * @returns {Promise<Array>} - [{ currency, balance }]
+ */
+const getCreditBalances = async (customerId) => {
+  const credits = await CustomerCredit.find({ customer: customerId, balance: { $gt: 0 } }).sort('currency');
+  return credits.map(credit => ({ currency: credit.currency, balance: credit.balance }));
+};
+
+/**
+ * Record a payment on a sale. Whatever is paid beyond the sale's balance
+ * becomes customer credit in the sale's currency; the 'credit' method pays
+ * from that credit instead.
+ * @param {ObjectId} saleId
+ * @param {Object} input - { amount, method, referenceNumber, paymentDate, branch, notes }
+ * @param {Object} user - User receiving the payment
+ * @returns {Promise<Object>} - { payment, sale }
+ * @throws {ErrorResponse} - 400 on invalid input, 404 if there is no sale, 409 if it takes no payments
+ */
+const recordPayment = async (saleId, input, user) => {
+  const amount = roundAmount(Number(input.amount));
+  const paymentDate = input.paymentDate ? new Date(input.paymentDate) : new Date();
+
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new ErrorResponse('Please provide an amount of more than zero', 400);
+  }
+  if (!PAYMENT_METHODS.includes(input.method)) {
+    throw new ErrorResponse(`Payment method must be one of ${PAYMENT_METHODS.join(', ')}`, 400);
+  }
+  if (isNaN(paymentDate.getTime())) {
+    throw new ErrorResponse(`Invalid payment date: ${input.paymentDate}`, 400);
+  }
+
+  return runInTransaction(async (session) => {
+    const sale = await Sale.findById(saleId).session(session);
+
+    if (!sale) {
+      throw new ErrorResponse(`Sale not found with id of ${saleId}`, 404);
+    }
+    if (CLOSED_STATUSES.includes(sale.status)) {
+      throw new ErrorResponse(`Sale ${sale.saleNumber} is ${sale.status}; payments can no longer be recorded`, 409);
+    }
+
+    const customer = customerIdOf(sale);
+    const outstanding = Math.max(balanceOf(sale), 0);
+    const appliedAmount = Math.min(amount, outstanding);
+    const creditAmount = roundAmount(amount - appliedAmount);
+
+    if (input.method === 'credit') {
+      if (creditAmount > 0) {
+        throw new ErrorResponse(
+          `Only ${outstanding} ${sale.currency} is outstanding on sale ${sale.saleNumber}; credit cannot pay more than that`,
+          400
+        );
+      }
+      await adjustCredit(customer, sale.currency, -amount, { session });
+    } else if (creditAmount > 0) {
+      await adjustCredit(customer, sale.currency, creditAmount, { session });
+    }
+
+    const [payment] = await Payment.create([{
+      paymentNumber: await nextNumber('payment', { session }),
+      sale: sale._id,
+      customer,
+      amount,
+      currency: sale.currency,
+      method: input.method,
+      referenceNumber: input.referenceNumber,
+      paymentDate,
+      branch: idOf(input.branch || user.branch || sale.branch),
+      appliedAmount,
+      creditAmount,
+      notes: input.notes,
+      receivedBy: user.id
+    }], { session });
+
+    return {
+      payment,
+      sale: await applyPayments(sale, { session })
+    };
+  });
+};
+
+/**
+ * Void a payment: it no longer counts towards its sale, the credit it
+ * created is taken back and credit it spent is given back
+ * @param {ObjectId} paymentId
+ * @param {Object} options - { user, reason }
+ * @returns {Promise<Object>} - { payment, sale }
+ * @throws {ErrorResponse} - 409 if already voided or if the credit it created has been spent
+ */
+const voidPayment = async (paymentId, { user, reason }) => {
+  if (!reason || !String(reason).trim()) {
+    throw new ErrorResponse('Please add a reason for voiding the payment', 400);
+  }
+
+  return runInTransaction(async (session) => {
+    const payment = await Payment.findById(paymentId).session(session);
+
+    if (!payment) {
+      throw new ErrorResponse(`Payment not found with id of ${paymentId}`, 404);
+    }
+    if (payment.status === 'voided') {
+      throw new ErrorResponse(`Payment ${payment.paymentNumber} has already been voided`, 409);
+    }
+
+    if (payment.creditAmount > 0) {
+      await adjustCredit(payment.customer, payment.currency, -payment.creditAmount, {
+        session,
+        message: `The ${payment.creditAmount} ${payment.currency} of credit from payment ${payment.paymentNumber} ` +
+          'has already been used; void the payments that used it first'
+      });
+    }
+    if (payment.method === 'credit') {
+      await adjustCredit(payment.customer, payment.currency, payment.amount, { session });
+    }
+
+    const voided = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'posted' },
+      {
+        status: 'voided',
+        voidedAt: new Date(),
+        voidedBy: user.id,
+        voidReason: String(reason).trim()
+      },
+      { new: true, session }
+    );
+
+    if (!voided) {
+      throw new ErrorResponse(`Payment ${payment.paymentNumber} was voided by someone else at the same time`, 409);
+    }
+
+    const sale = await Sale.findById(payment.sale).session(session);
+
+    return {
+      payment: voided,
+      sale: sale ? await applyPayments(sale, { session }) : null
+    };
+  });
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  REFUND_METHODS,
+  paymentStatusOf,
+  balanceOf,
+  applyPayments,
+  adjustCredit,
+  getCreditBalances,
+  recordPayment,
+  voidPayment
+};
@@ -0,0 +1,269 @@
+const PDFDocument = require('pdfkit');
+const pricing = require('../config/pricing');
+
+// Layout building blocks shared by the PDF documents. Everything is drawn
+// from the document's own data and template: the PDF metadata dates come from
+// the document too, so rendering the same document twice gives the same bytes.
+
+const MARGIN = 50;
+const MUTED = '#555555';
+const RULE = '#cccccc';
+
+/**
+ * Format an amount with thousands separators and the configured decimals
+ * @returns {String}
+ */
+const formatMoney = (amount) =>
+  Number(amount || 0).toLocaleString('en-US', {
+    minimumFractionDigits: pricing.decimals,
+    maximumFractionDigits: pricing.decimals
+  });
+
+/**
+ * Format a date as e.g. "Mar 5, 2026" (UTC, independent of the server's time zone)
+ * @returns {String}
+ */
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      timeZone: 'UTC'
+    })
+    : '';
+
+/**
+ * Start a PDF for a document
+ * @param {DocumentTemplate} template - Layout settings
+ * @param {Object} meta - { title, subject, date } - date is stored as the PDF creation date
+ * @returns {PDFDocument}
+ */
+const createDocument = (template, meta) => {
+  const date = new Date(meta.date || 0);
+
+  const doc = new PDFDocument({
+    size: template.paperSize,
+    margin: MARGIN,
+    bufferPages: true,
+    info: {
+      Title: meta.title,
+      Subject: meta.subject || '',
+      Author: template.company.name || '',
+      Producer: 'Quotation App',
+      Creator: 'Quotation App',
+      CreationDate: date,
+      ModDate: date
+    }
+  });
+
+  doc.font('Helvetica').fontSize(template.fontSize).fillColor('black');
+  return doc;
+};
+
+/**
+ * Company block on the left and the document title and reference rows on the right
+ * @param {Array} rows - [[label, value]] printed under the title
+ */
+const drawHeader = (doc, template, title, rows = []) => {
+  const { company } = template;
+  const top = doc.y;
+  const width = doc.page.width - MARGIN * 2;
+
+  doc.font('Helvetica-Bold').fontSize(template.fontSize + 6).fillColor(template.accentColor)
+    .text(company.name || '', MARGIN, top, { width: width / 2 });
+
+  doc.font('Helvetica').fontSize(template.fontSize).fillColor(MUTED);
+  [
+    company.address,
+    [company.phone, company.email].filter(Boolean).join('  |  '),
+    company.website,
+    company.taxId ? `TIN: ${company.taxId}` : ''
+  ].filter(Boolean).forEach(line => doc.text(line, { width: width / 2 }));
+  const companyBottom = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(template.fontSize + 8).fillColor(template.accentColor)
+    .text(title, MARGIN + width / 2, top, { width: width / 2, align: 'right' });
+
+  doc.fontSize(template.fontSize).fillColor('black');
+  rows.filter(([, value]) => value).forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').text(`${label}: `, { width: width / 2, align: 'right', continued: true })
+      .font('Helvetica').text(String(value));
+  });
+
+  doc.x = MARGIN;
+  doc.y = Math.max(companyBottom, doc.y) + 10;
+  doc.moveTo(MARGIN, doc.y).lineTo(MARGIN + width, doc.y)
+    .strokeColor(template.accentColor).lineWidth(1.5).stroke();
+  doc.moveDown(1);
+};
+
+/**
+ * A labelled block of lines, e.g. the customer's name and contact details
+ */
+const drawParty = (doc, template, label, lines) => {
+  doc.font('Helvetica-Bold').fontSize(template.fontSize).fillColor(template.accentColor)
+    .text(label.toUpperCase(), MARGIN);
+  doc.font('Helvetica').fillColor('black');
+  lines.filter(Boolean).forEach(line => doc.text(line));
+  doc.moveDown(1);
+};
+
+/**
+ * A table with a shaded header row that continues on new pages as needed
+ * @param {Array} columns - [{ key, header, width (share of the page), align }]
+ * @param {Array} rows - Objects keyed by column key, values already formatted
+ */
+const drawTable = (doc, template, columns, rows) => {
+  const width = doc.page.width - MARGIN * 2;
+  const totalShare = columns.reduce((sum, column) => sum + column.width, 0);
+  const padding = 4;
+  let x = MARGIN;
+  const cells = columns.map(column => {
+    const cell = { ...column, x, width: (column.width / totalShare) * width };
+    x += cell.width;
+    return cell;
+  });
+
+  const rowHeight = (values, font) => {
+    doc.font(font);
+    return Math.max(...cells.map(cell =>
+      doc.heightOfString(String(values[cell.key] || ''), { width: cell.width - padding * 2 })
+    )) + padding * 2;
+  };
+
+  const drawRow = (values, { header = false } = {}) => {
+    const font = header ? 'Helvetica-Bold' : 'Helvetica';
+    const height = rowHeight(values, font);
+
+    if (doc.y + height > doc.page.height - MARGIN - 30) {
+      doc.addPage();
+      if (!header) {
+        drawRow(headerValues, { header: true });
+      }
+    }
+
+    const top = doc.y;
+    if (header) {
+      doc.rect(MARGIN, top, width, height).fill(template.accentColor);
+    }
+
+    doc.font(font).fontSize(template.fontSize).fillColor(header ? 'white' : 'black');
+    cells.forEach(cell => {
+      doc.text(String(values[cell.key] || ''), cell.x + padding, top + padding, {
+        width: cell.width - padding * 2,
+        align: cell.align || 'left'
+      });
+    });
+
+    if (!header) {
+      doc.moveTo(MARGIN, top + height).lineTo(MARGIN + width, top + height)
+        .strokeColor(RULE).lineWidth(0.5).stroke();
+    }
+
+    doc.x = MARGIN;
+    doc.y = top + height;
+  };
+
+  const headerValues = {};
+  cells.forEach(cell => {
+    headerValues[cell.key] = cell.header;
+  });
+
+  drawRow(headerValues, { header: true });
+  rows.forEach(row => drawRow(row));
+  doc.fillColor('black');
+  doc.moveDown(1);
+};
+
+/**
+ * Right-aligned label/amount rows; the last row is printed in bold
+ * @param {Array} rows - [[label, formattedAmount]]
+ */
+const drawTotals = (doc, template, rows) => {
+  const width = doc.page.width - MARGIN * 2;
+  const labelX = MARGIN + width * 0.55;
+  const labelWidth = width * 0.25;
+  const valueX = labelX + labelWidth;
+  const valueWidth = width * 0.2;
+
+  if (doc.y + rows.length * (template.fontSize + 6) > doc.page.height - MARGIN - 30) {
+    doc.addPage();
+  }
+
+  rows.forEach(([label, value], index) => {
+    const last = index === rows.length - 1;
+    const top = doc.y;
+
+    if (last) {
+      doc.moveTo(labelX, top).lineTo(MARGIN + width, top).strokeColor(template.accentColor).lineWidth(1).stroke();
+      doc.y = top + 3;
+    }
+
+    const y = doc.y;
+    doc.font(last ? 'Helvetica-Bold' : 'Helvetica').fontSize(template.fontSize).fillColor('black');
+    doc.text(label, labelX, y, { width: labelWidth, align: 'right' });
+    doc.text(value, valueX, y, { width: valueWidth, align: 'right' });
+  });
+
+  doc.x = MARGIN;
+  doc.moveDown(1.5);
+};
+
+/**
+ * A headed paragraph such as the terms or notes; skipped when there is no text
+ */
+const drawTextBlock = (doc, template, heading, text) => {
+  if (!text) {
+    return;
+  }
+
+  doc.font('Helvetica-Bold').fontSize(template.fontSize).fillColor(template.accentColor)
+    .text(heading.toUpperCase(), MARGIN);
+  doc.font('Helvetica').fillColor('black')
+    .text(text, { width: doc.page.width - MARGIN * 2 });
+  doc.moveDown(1);
+};
+
+/**
+ * Finish the PDF: footer text and page numbers on every page
+ * @returns {Promise<Buffer>} - The rendered PDF
+ */
+const finishDocument = (doc, template) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      const width = doc.page.width - MARGIN * 2;
+      const y = doc.page.height - MARGIN;
+
+      // Drawing inside the bottom margin must not start a new page
+      doc.page.margins.bottom = 0;
+      doc.font('Helvetica').fontSize(template.fontSize - 1).fillColor(MUTED);
+      if (template.footerText) {
+        doc.text(template.footerText, MARGIN, y - 12, { width, align: 'center', lineBreak: false });
+      }
+      doc.text(`Page ${i + 1} of ${range.count}`, MARGIN, y, { width, align: 'right', lineBreak: false });
+      doc.page.margins.bottom = MARGIN;
+    }
+
+    doc.end();
+  });
+
+module.exports = {
+  MARGIN,
+  formatMoney,
+  formatDate,
+  createDocument,
+  drawHeader,
+  drawParty,
+  drawTable,
+  drawTotals,
+  drawTextBlock,
+  finishDocument
+};
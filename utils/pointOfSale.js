@@ -0,0 +1,408 @@
+const Sale = require('../models/Sale');
+const Payment = require('../models/Payment');
+const Inventory = require('../models/Inventory');
+const HeldCart = require('../models/HeldCart');
+const Branch = require('../models/Branch');
+const Customer = require('../models/Customer');
+const ErrorResponse = require('./errorResponse');
+const runInTransaction = require('./transaction');
+const config = require('../config/pos');
+const { nextNumber } = require('./numberingService');
+const { roundAmount, priceDocument } = require('./pricingEngine');
+const { lockExchangeRate } = require('./exchangeRates');
+const { resolveBranch, recordMovement } = require('./stockService');
+const { PAYMENT_METHODS, applyPayments } = require('./payments');
+
+// Ways a counter sale can be paid; customer credit needs a named customer and goes through the payments endpoint
+const TENDER_METHODS = PAYMENT_METHODS.filter(method => method !== 'credit');
+
+// Populated references are used by id
+const idOf = value => (value && value._id) || value;
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find the item a scanned code belongs to: its barcode (any case), or its
+ * item code when the code is a number
+ * @returns {Promise<Inventory|null>}
+ */
+const findByCode = async (code, session = null) => {
+  const byBarcode = await Inventory.findOne({ barcode: { $regex: `^${escapeRegex(code)}$`, $options: 'i' } })
+    .session(session);
+
+  if (byBarcode || !/^\d+$/.test(code)) {
+    return byBarcode;
+  }
+
+  return Inventory.findOne({ itemcode: Number(code) }).session(session);
+};
+
+/**
+ * Resolve scanned lines to inventory items. The same item scanned more than
+ * once with the same discount becomes one line.
+ * @param {Array} items - [{ code, quantity, discount, discountType }]; code is a barcode or item code
+ * @returns {Promise<Array>} - [{ inventory, code, quantity, discount, discountType }] with inventory loaded
+ * @throws {ErrorResponse} - 400 on an empty cart, an unknown code or a bad quantity
+ */
+const resolveLines = async (items, session = null) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ErrorResponse('Please scan at least one item', 400);
+  }
+
+  const lines = [];
+
+  for (const item of items) {
+    const code = item && item.code !== undefined && item.code !== null ? String(item.code).trim() : '';
+    const quantity = item && item.quantity !== undefined ? Number(item.quantity) : 1;
+
+    if (!code) {
+      throw new ErrorResponse('Please add the barcode or item code of each item', 400);
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new ErrorResponse(`Quantity of ${code} must be a whole number of at least 1`, 400);
+    }
+
+    const inventory = await findByCode(code, session);
+    if (!inventory) {
+      throw new ErrorResponse(`No item found with barcode or item code ${code}`, 400);
+    }
+
+    const discount = Number(item.discount) || 0;
+    const discountType = item.discountType || 'fixed';
+    const same = lines.find(line => String(line.inventory._id) === String(inventory._id) &&
+      line.discount === discount && line.discountType === discountType);
+
+    if (same) {
+      same.quantity += quantity;
+    } else {
+      lines.push({ inventory, code, quantity, discount, discountType });
+    }
+  }
+
+  return lines;
+};
+
+/**
+ * Price resolved lines at the items' current prices and the counter tax rate
+ * @returns {Object} - { items, subtotal, discountAmount, taxAmount, total } as from priceDocument
+ */
+const priceLines = lines => priceDocument(lines.map(line => ({
+  inventory: line.inventory._id,
+  description: line.inventory.name,
+  quantity: line.quantity,
+  unitPrice: line.inventory.price,
+  discount: line.discount,
+  discountType: line.discountType,
+  taxRate: config.taxRate
+})));
+
+/**
+ * The cart as the till shows it: each line with its code, and the totals
+ */
+const cartOf = (lines, priced) => ({
+  items: priced.items.map((item, index) => ({
+    ...item,
+    code: lines[index].code,
+    unit: lines[index].inventory.unit
+  })),
+  subtotal: priced.subtotal,
+  discountAmount: priced.discountAmount,
+  taxAmount: priced.taxAmount,
+  total: priced.total
+});
+
+/**
+ * Price scanned lines without selling them
+ * @param {Object} input - { items: [{ code, quantity, discount, discountType }] }
+ * @returns {Promise<Object>} - { items, subtotal, discountAmount, taxAmount, total }
+ */
+const priceCart = async (input) => {
+  const lines = await resolveLines(input.items);
+  return cartOf(lines, priceLines(lines));
+};
+
+/**
+ * The customer record a counter sale is made to: the one picked, or the walk-in customer
+ * @throws {ErrorResponse} - 400 if the customer does not exist or none is picked or set up
+ */
+const customerOf = async (customerId, session = null) => {
+  const id = customerId || config.walkInCustomer;
+
+  if (!id) {
+    throw new ErrorResponse('Please pick a customer; POS_WALK_IN_CUSTOMER_ID is not set for walk-in sales', 400);
+  }
+
+  const customer = await Customer.findById(id).select('name contactPerson phone taxId').session(session).catch(() => null);
+  if (!customer) {
+    throw new ErrorResponse(`Customer not found with id of ${id}`, 400);
+  }
+
+  return customer;
+};
+
+/**
+ * Check what was tendered against the total and work out the change. Change
+ * is only given in cash, so other tenders cannot be for more than is owed.
+ * @param {Object} input - { payments: [{ method, amount, referenceNumber }] } or { tendered, method, referenceNumber }
+ * @returns {Object} - { tenders: [{ method, amount, referenceNumber, appliedAmount }], tendered, change }
+ * @throws {ErrorResponse} - 400 on a bad method or amount, or too little tendered
+ */
+const tendersOf = (input, total) => {
+  const requested = Array.isArray(input.payments)
+    ? input.payments
+    : [{ method: input.method || 'cash', amount: input.tendered, referenceNumber: input.referenceNumber }];
+
+  if (requested.length === 0) {
+    throw new ErrorResponse('Please add what the customer paid', 400);
+  }
+
+  const tenders = requested.map(({ method, amount, referenceNumber }) => {
+    const value = roundAmount(Number(amount));
+
+    if (!TENDER_METHODS.includes(method)) {
+      throw new ErrorResponse(`Payment method must be one of ${TENDER_METHODS.join(', ')}`, 400);
+    }
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new ErrorResponse('Please provide tendered amounts of more than zero', 400);
+    }
+
+    return { method, amount: value, referenceNumber, appliedAmount: value };
+  });
+
+  const tendered = roundAmount(tenders.reduce((sum, tender) => sum + tender.amount, 0));
+  const change = roundAmount(tendered - total);
+
+  if (change < 0) {
+    throw new ErrorResponse(`${tendered} was tendered; the sale comes to ${total}`, 400);
+  }
+
+  const cash = roundAmount(tenders
+    .filter(tender => tender.method === 'cash')
+    .reduce((sum, tender) => sum + tender.amount, 0));
+
+  if (change > cash) {
+    throw new ErrorResponse(`Change is only given in cash; ${roundAmount(tendered - cash)} was tendered otherwise on a ${total} sale`, 400);
+  }
+
+  // The change comes out of the cash, last tender first
+  let remaining = change;
+  [...tenders].reverse().forEach(tender => {
+    if (tender.method === 'cash' && remaining > 0) {
+      const back = Math.min(tender.amount, remaining);
+      tender.appliedAmount = roundAmount(tender.amount - back);
+      remaining = roundAmount(remaining - back);
+    }
+  });
+
+  return { tenders, tendered, change };
+};
+
+/**
+ * The receipt of a counter sale as the till prints it
+ */
+const receiptOf = async (sale, { lines, tenders, tendered, change, customer, user, session }) => {
+  const branch = sale.branch
+    ? await Branch.findById(sale.branch).select('name address contactNumber').session(session)
+    : null;
+
+  return {
+    saleNumber: sale.saleNumber,
+    date: sale.createdAt,
+    branch: branch ? { name: branch.name, address: branch.address, phone: branch.contactNumber } : null,
+    cashier: user.name,
+    customer: customer.name || customer.contactPerson,
+    customerTaxId: customer.taxId,
+    items: sale.items.map((item, index) => ({
+      code: lines[index].code,
+      description: item.description,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      discountAmount: item.discountAmount,
+      tax: item.tax,
+      total: item.total
+    })),
+    subtotal: sale.subtotal,
+    discountAmount: sale.discountAmount,
+    taxAmount: sale.taxAmount,
+    total: sale.total,
+    currency: sale.currency,
+    payments: tenders.map(({ method, amount, referenceNumber }) => ({ method, amount, referenceNumber })),
+    tendered,
+    change
+  };
+};
+
+/**
+ * Ring up a counter sale in one step: resolve the scanned items, create the
+ * sale, take the goods out of branch stock and record what was tendered, so
+ * the sale is paid. A held cart can be sold, or closed with the sale it was
+ * resumed into.
+ * @param {Object} input - { items, customer, branch, payments | tendered, method, referenceNumber, cart, notes }
+ * @param {Object} user - Cashier
+ * @returns {Promise<Object>} - { sale, payments, receipt }
+ * @throws {ErrorResponse} - 400 on invalid input or too little tendered, 404 if the held cart is not the cashier's
+ */
+const checkout = async (input, user) => runInTransaction(async (session) => {
+  let cart = null;
+  if (input.cart) {
+    cart = await HeldCart.findOneAndDelete({ _id: input.cart, cashier: user.id }, { session })
+      .catch(() => null);
+    if (!cart) {
+      throw new ErrorResponse(`Held cart not found with id of ${input.cart}`, 404);
+    }
+  }
+
+  // A held cart is sold as it was held unless the items are sent again
+  const items = input.items || (cart && cart.items.map(({ code, quantity, discount, discountType }) =>
+    ({ code, quantity, discount, discountType })));
+  const lines = await resolveLines(items, session);
+  const priced = priceLines(lines);
+  const { tenders, tendered, change } = tendersOf(input, priced.total);
+  const customer = await customerOf(input.customer || (cart && cart.customer), session);
+  const branch = resolveBranch(input.branch, cart && cart.branch, user.branch);
+
+  const [created] = await Sale.create([{
+    saleNumber: await nextNumber('sale', { session }),
+    customer: customer._id,
+    branch,
+    ...priced,
+    items: priced.items.map(item => ({ ...item, returnedQuantity: 0 })),
+    ...(await lockExchangeRate(undefined, { session })),
+    status: 'pending',
+    amountPaid: 0,
+    returnedAmount: 0,
+    refundedAmount: 0,
+    balance: priced.total,
+    dueDate: new Date(),
+    notes: input.notes,
+    createdBy: user.id
+  }], { session });
+
+  for (const item of created.items) {
+    await recordMovement({
+      inventory: item.inventory,
+      branch: created.branch,
+      quantity: -item.quantity,
+      reason: 'sale',
+      source: { type: 'Sale', id: created._id, number: created.saleNumber },
+      user: user.id
+    }, { session });
+  }
+
+  const payments = [];
+  for (const tender of tenders.filter(({ appliedAmount }) => appliedAmount > 0)) {
+    const [payment] = await Payment.create([{
+      paymentNumber: await nextNumber('payment', { session }),
+      sale: created._id,
+      customer: customer._id,
+      // What was kept; cash handed back as change is not part of the payment
+      amount: tender.appliedAmount,
+      currency: created.currency,
+      method: tender.method,
+      referenceNumber: tender.referenceNumber,
+      paymentDate: created.createdAt,
+      branch: idOf(created.branch),
+      appliedAmount: tender.appliedAmount,
+      creditAmount: 0,
+      receivedBy: user.id
+    }], { session });
+    payments.push(payment);
+  }
+
+  const sale = await applyPayments(created, { session });
+
+  return {
+    sale,
+    payments,
+    receipt: await receiptOf(sale, { lines, tenders, tendered, change, customer, user, session })
+  };
+});
+
+/**
+ * Put a cart aside for the cashier to resume later. A resumed cart sent
+ * back as `cart` is held again with its new lines rather than held twice.
+ * @param {Object} input - { items, customer, branch, label, notes, cart }
+ * @param {Object} user - Cashier
+ * @returns {Promise<Object>} - { cart, ...priced cart }
+ * @throws {ErrorResponse} - 404 if the cashier has no such held cart
+ */
+const holdCart = async (input, user) => {
+  const lines = await resolveLines(input.items);
+  const priced = priceLines(lines);
+
+  const held = {
+    cashier: user.id,
+    branch: resolveBranch(input.branch, user.branch),
+    customer: input.customer || undefined,
+    label: input.label,
+    items: lines.map(line => ({
+      inventory: line.inventory._id,
+      code: line.code,
+      quantity: line.quantity,
+      discount: line.discount,
+      discountType: line.discountType
+    })),
+    notes: input.notes
+  };
+
+  let cart;
+  if (input.cart) {
+    cart = await HeldCart.findOneAndUpdate(
+      { _id: input.cart, cashier: user.id },
+      { ...held, updatedAt: Date.now() },
+      { new: true, runValidators: true }
+    ).catch(() => null);
+    if (!cart) {
+      throw new ErrorResponse(`Held cart not found with id of ${input.cart}`, 404);
+    }
+  } else {
+    cart = await HeldCart.create(held);
+  }
+
+  return { cart, ...cartOf(lines, priced) };
+};
+
+/**
+ * Take a held cart back to the till, with its lines priced at today's
+ * prices. It stays held until it is sold (see checkout) or discarded, so a
+ * failed sale does not lose it.
+ * @returns {Promise<Object>} - { cart, ...priced cart }
+ * @throws {ErrorResponse} - 404 if the cashier has no such held cart, 409 if
+ *   one of its items has since been deleted
+ */
+const resumeCart = async (cartId, user) => {
+  const cart = await HeldCart.findOne({ _id: cartId, cashier: user.id }).catch(() => null);
+
+  if (!cart) {
+    throw new ErrorResponse(`Held cart not found with id of ${cartId}`, 404);
+  }
+
+  const inventories = await Inventory.find({ _id: { $in: cart.items.map(item => item.inventory) } });
+  const lines = cart.items.map(item => {
+    const inventory = inventories.find(candidate => String(candidate._id) === String(item.inventory));
+
+    if (!inventory) {
+      throw new ErrorResponse(`Item ${item.code} on the held cart no longer exists; discard the cart instead`, 409);
+    }
+
+    return {
+      inventory,
+      code: item.code,
+      quantity: item.quantity,
+      discount: item.discount,
+      discountType: item.discountType
+    };
+  });
+
+  return { cart, ...cartOf(lines, priceLines(lines)) };
+};
+
+module.exports = {
+  TENDER_METHODS,
+  resolveLines,
+  tendersOf,
+  priceCart,
+  checkout,
+  holdCart,
+  resumeCart
+};
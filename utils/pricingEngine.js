@@ -0,0 +1,196 @@
+const pricing = require('../config/pricing');
+const ErrorResponse = require('./errorResponse');
+
+/**
+ * Round an amount to the configured number of decimals
+ * @param {Number} value - Amount to round
+ * @param {Object} options - { decimals, rounding } overrides of config/pricing
+ * @returns {Number}
+ */
+const roundAmount = (value, options = {}) => {
+  const { decimals = pricing.decimals, rounding = pricing.rounding } = options;
+  const factor = Math.pow(10, decimals);
+  // toPrecision drops float noise such as 1.005 * 100 = 100.49999999999999
+  const scaled = Number((Math.abs(value) * factor).toPrecision(15));
+  const sign = value < 0 ? -1 : 1;
+  let rounded;
+
+  switch (rounding) {
+    case 'up':
+      rounded = Math.ceil(scaled);
+      break;
+    case 'down':
+      rounded = Math.floor(scaled);
+      break;
+    case 'half_even': {
+      const floor = Math.floor(scaled);
+      const diff = scaled - floor;
+      if (diff > 0.5) {
+        rounded = floor + 1;
+      } else if (diff < 0.5) {
+        rounded = floor;
+      } else {
+        rounded = floor % 2 === 0 ? floor : floor + 1;
+      }
+      break;
+    }
+    default:
+      rounded = Math.round(scaled);
+  }
+
+  return (sign * rounded) / factor || 0;
+};
+
+// Client-sent amounts are only checked when present
+const isProvided = value => value !== undefined && value !== null && value !== '';
+
+const toNumber = (value, label) => {
+  const number = Number(isProvided(value) ? value : 0);
+
+  if (!Number.isFinite(number)) {
+    throw new ErrorResponse(`Invalid ${label}: ${value}`, 400);
+  }
+
+  return number;
+};
+
+const checkAmount = (label, received, expected) => {
+  if (isProvided(received) && roundAmount(toNumber(received, label)) !== expected) {
+    throw new ErrorResponse(
+      `${label} does not match the calculated amount. Expected: ${expected}, Received: ${received}`,
+      400
+    );
+  }
+};
+
+// A document-level amount the client sent, which cannot be less than the
+// lines' own amounts it includes
+const documentAmount = (label, received, lineAmount) => {
+  if (!isProvided(received)) {
+    return lineAmount;
+  }
+
+  const amount = roundAmount(toNumber(received, label));
+
+  if (amount < lineAmount) {
+    throw new ErrorResponse(
+      `${label} cannot be less than the sum of its lines (${lineAmount}). Received: ${received}`,
+      400
+    );
+  }
+
+  return amount;
+};
+
+/**
+ * Price one line: gross = quantity x unitPrice, less the discount, plus tax
+ * on the discounted amount. A fixed discount is an amount off the whole line;
+ * a percentage discount is a percent of the gross.
+ * @param {Object} item - { quantity, unitPrice, discount, discountType, taxRate, tax, total }
+ * @param {Number} index - Position of the line, for error messages
+ * @returns {Object} - The item with discountAmount, tax and total filled in
+ */
+const priceItem = (item, index = 0) => {
+  const line = item && typeof item.toObject === 'function' ? item.toObject() : { ...item };
+  const label = `Item ${index + 1}`;
+
+  const quantity = toNumber(line.quantity, `${label} quantity`);
+  const unitPrice = toNumber(line.unitPrice, `${label} unit price`);
+  const discount = toNumber(line.discount, `${label} discount`);
+  const taxRate = toNumber(line.taxRate, `${label} tax rate`);
+  const discountType = line.discountType || 'fixed';
+
+  if (!['fixed', 'percentage'].includes(discountType)) {
+    throw new ErrorResponse(`${label} discount type must be 'fixed' or 'percentage'`, 400);
+  }
+
+  if (discount < 0 || taxRate < 0) {
+    throw new ErrorResponse(`${label} discount and tax rate cannot be negative`, 400);
+  }
+
+  if (discountType === 'percentage' && discount > 100) {
+    throw new ErrorResponse(`${label} discount cannot be more than 100%`, 400);
+  }
+
+  const gross = roundAmount(quantity * unitPrice);
+  const discountAmount = discountType === 'percentage'
+    ? roundAmount(gross * discount / 100)
+    : roundAmount(discount);
+
+  if (discountAmount > gross) {
+    throw new ErrorResponse(`${label} discount cannot be more than the line amount (${gross})`, 400);
+  }
+
+  const net = roundAmount(gross - discountAmount);
+  const tax = roundAmount(net * taxRate / 100);
+  const total = roundAmount(net + tax);
+
+  checkAmount(`${label} tax`, line.tax, tax);
+  checkAmount(`${label} total`, line.total, total);
+
+  return {
+    ...line,
+    quantity,
+    unitPrice,
+    discount,
+    discountType,
+    taxRate,
+    gross,
+    discountAmount,
+    tax,
+    total
+  };
+};
+
+/**
+ * Price a document's lines and work out its totals. Totals the client sent
+ * are checked against the calculated ones and rejected with a 400 if they differ.
+ * subtotal = sum of line gross, total = subtotal - discountAmount + taxAmount.
+ * With documentAdjustments, a discountAmount or taxAmount the client sent is
+ * taken as the document's amount instead of being checked: it covers the line
+ * amounts plus a discount or tax on the document as a whole.
+ * @param {Array} items - Document lines
+ * @param {Object} submitted - { subtotal, discountAmount, taxAmount, total } as sent by the client
+ * @param {Object} options - { documentAdjustments }
+ * @returns {Object} - { items, subtotal, discountAmount, taxAmount, total }
+ */
+const priceDocument = (items = [], submitted = {}, options = {}) => {
+  const pricedItems = items.map((item, index) => priceItem(item, index));
+
+  const sum = field => roundAmount(pricedItems.reduce((acc, item) => acc + item[field], 0));
+  const subtotal = sum('gross');
+  let discountAmount = sum('discountAmount');
+  let taxAmount = sum('tax');
+
+  if (options.documentAdjustments) {
+    discountAmount = documentAmount('Discount amount', submitted.discountAmount, discountAmount);
+    taxAmount = documentAmount('Tax amount', submitted.taxAmount, taxAmount);
+
+    if (discountAmount > subtotal) {
+      throw new ErrorResponse(`Discount amount cannot be more than the subtotal (${subtotal})`, 400);
+    }
+  } else {
+    checkAmount('Discount amount', submitted.discountAmount, discountAmount);
+    checkAmount('Tax amount', submitted.taxAmount, taxAmount);
+  }
+
+  const total = roundAmount(subtotal - discountAmount + taxAmount);
+
+  checkAmount('Subtotal', submitted.subtotal, subtotal);
+  checkAmount('Total', submitted.total, total);
+
+  return {
+    // gross is derived, not stored
+    items: pricedItems.map(({ gross, ...item }) => item),
+    subtotal,
+    discountAmount,
+    taxAmount,
+    total
+  };
+};
+
+module.exports = {
+  roundAmount,
+  priceItem,
+  priceDocument
+};
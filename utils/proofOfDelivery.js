@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const ErrorResponse = require('./errorResponse');
+const { storeAttachment, removeAttachmentsOf } = require('./attachmentStorage');
+
+// Image types a signature or photo can be uploaded as
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Photos that can be taken per delivery
+const MAX_PHOTOS = 5;
+
+// Device clocks drift; a handover time this far ahead of the server is still accepted
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+const numberOrUndefined = (value, field) => {
+  if (isBlank(value)) {
+    return undefined;
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new ErrorResponse(`${field} must be a number`, 400);
+  }
+  return number;
+};
+
+/**
+ * Read the proof of delivery sent with a delivery: recipientName, latitude,
+ * longitude, accuracy and deliveredAt fields, and signature and photos files
+ * @param {Object} body - Request body
+ * @param {Object} files - Files parsed by multer, by field
+ * @returns {Object|null} - The proof, or null when none was sent
+ * @throws {ErrorResponse} - 400 if the proof is incomplete or invalid
+ */
+const readProofOfDelivery = (body = {}, files = {}) => {
+  const signature = (files.signature || [])[0];
+  const photos = files.photos || [];
+  const recipientName = typeof body.recipientName === 'string' ? body.recipientName.trim() : '';
+  const sent = recipientName || signature || photos.length > 0 ||
+    !isBlank(body.latitude) || !isBlank(body.longitude) || !isBlank(body.deliveredAt);
+
+  if (!sent) {
+    return null;
+  }
+
+  if (!recipientName) {
+    throw new ErrorResponse('Please add the name of the person who received the goods', 400);
+  }
+
+  const latitude = numberOrUndefined(body.latitude, 'Latitude');
+  const longitude = numberOrUndefined(body.longitude, 'Longitude');
+  const accuracy = numberOrUndefined(body.accuracy, 'Accuracy');
+
+  if ((latitude === undefined) !== (longitude === undefined)) {
+    throw new ErrorResponse('Please add both latitude and longitude', 400);
+  }
+  if (latitude !== undefined && (Math.abs(latitude) > 90 || Math.abs(longitude) > 180)) {
+    throw new ErrorResponse('Latitude must be between -90 and 90 and longitude between -180 and 180', 400);
+  }
+
+  const deliveredAt = isBlank(body.deliveredAt) ? new Date() : new Date(body.deliveredAt);
+
+  if (isNaN(deliveredAt.getTime())) {
+    throw new ErrorResponse(`Invalid delivery time: ${body.deliveredAt}`, 400);
+  }
+  if (deliveredAt.getTime() > Date.now() + CLOCK_SKEW_MS) {
+    throw new ErrorResponse('Delivery time cannot be in the future', 400);
+  }
+
+  return {
+    recipientName,
+    location: latitude === undefined ? undefined : { latitude, longitude, accuracy },
+    deliveredAt,
+    signature,
+    photos
+  };
+};
+
+/**
+ * Store a proof's signature and photos. They are stored before the delivery
+ * is recorded, so the proof can be saved in the delivery's transaction.
+ * @param {Object} proof - As returned by readProofOfDelivery
+ * @param {Object} user - Delivery user
+ * @returns {Promise<Object>} - Proof fields to save, with its new _id and the attachment ids
+ */
+const storeProofFiles = async (proof, user) => {
+  const parent = { type: 'ProofOfDelivery', id: new mongoose.Types.ObjectId() };
+
+  try {
+    const signature = proof.signature
+      ? await storeAttachment(parent, proof.signature, { description: 'Signature', user })
+      : undefined;
+
+    const photos = [];
+    for (const photo of proof.photos) {
+      photos.push(await storeAttachment(parent, photo, { description: 'Delivery photo', user }));
+    }
+
+    return {
+      _id: parent.id,
+      recipientName: proof.recipientName,
+      signature: signature && signature._id,
+      photos: photos.map(photo => photo._id),
+      location: proof.location,
+      deliveredAt: proof.deliveredAt,
+      capturedBy: user.id
+    };
+  } catch (err) {
+    await discardProofFiles(parent.id);
+    throw err;
+  }
+};
+
+/**
+ * Remove the files of a proof that was not saved, e.g. because the delivery failed
+ */
+const discardProofFiles = async (proofId) => {
+  try {
+    await removeAttachmentsOf('ProofOfDelivery', proofId);
+  } catch (err) {
+    console.error(`Failed to remove files of proof of delivery ${proofId}:`, err.message);
+  }
+};
+
+module.exports = {
+  IMAGE_TYPES,
+  MAX_PHOTOS,
+  readProofOfDelivery,
+  storeProofFiles,
+  discardProofFiles
+};
@@ -0,0 +1,31 @@
+// Which quotations a user may reach outside the state machine's actions,
+// matching the role filtering of the quotation list
+
+// Populated references are compared by id
+const idOf = value => (value && value._id) || value;
+
+const isAdmin = user => user.role === 'admin' || user.role === 'superadmin';
+
+const isCreator = (user, quotation) => String(idOf(quotation.createdBy)) === String(user.id);
+
+/**
+ * Admins see every quotation, users the ones they created and delivery
+ * staff the ones assigned to them
+ * @returns {Boolean}
+ */
+const canViewQuotation = (user, quotation) =>
+  isAdmin(user) ||
+  (user.role === 'user' && isCreator(user, quotation)) ||
+  (user.role === 'delivery' && String(idOf(quotation.assignedDelivery)) === String(user.id));
+
+/**
+ * Admins may change any quotation's files and users those of their own; delivery staff only read
+ * @returns {Boolean}
+ */
+const canEditQuotation = (user, quotation) =>
+  isAdmin(user) || (user.role === 'user' && isCreator(user, quotation));
+
+module.exports = {
+  canViewQuotation,
+  canEditQuotation
+};
@@ -0,0 +1,252 @@
+const Quotation = require('../models/Quotation');
+const ApprovalRule = require('../models/ApprovalRule');
+const Customer = require('../models/Customer');
+const ErrorResponse = require('./errorResponse');
+const webSocketService = require('./websocketService');
+const { checkTransition, transitionUpdate } = require('./quotationStateMachine');
+
+// Statuses in which a quotation waits for its approval chain
+const AWAITING_APPROVAL = ['pending', 'margin_review'];
+
+// Used when no rule matches: a single approval by any administrator
+const DEFAULT_STEPS = [{ role: 'admin' }];
+
+// Roles that may sign a step of each role
+const SIGNERS = {
+  admin: ['admin', 'superadmin'],
+  superadmin: ['superadmin']
+};
+
+// Populated references are compared by id
+const idOf = value => (value && value._id) || value;
+
+// Rule totals are in the base currency, like margins
+const baseTotalOf = quotation => (quotation.total || 0) * (quotation.exchangeRate || 1);
+
+const discountPercentOf = quotation =>
+  (quotation.subtotal > 0 ? (quotation.discountAmount || 0) / quotation.subtotal * 100 : 0);
+
+const ruleMatches = (rule, { total, discountPercent, customerType }) =>
+  (rule.minTotal === undefined || rule.minTotal === null || total >= rule.minTotal) &&
+  (rule.minDiscountPercent === undefined || rule.minDiscountPercent === null ||
+    discountPercent >= rule.minDiscountPercent) &&
+  (!rule.customerTypes || rule.customerTypes.length === 0 || rule.customerTypes.includes(customerType));
+
+/**
+ * The first of the rules a quotation matches
+ * @param {Array} rules - Active rules, highest priority first
+ * @param {Quotation} quotation
+ * @param {Customer} customer - The quotation's customer record, if any
+ * @returns {ApprovalRule|undefined}
+ */
+const matchingRule = (rules, quotation, customer) =>
+  rules.find(candidate => ruleMatches(candidate, {
+    total: baseTotalOf(quotation),
+    discountPercent: discountPercentOf(quotation),
+    customerType: customer ? customer.customerType : undefined
+  }));
+
+/**
+ * Work out the approvals a quotation needs from the active approval rules
+ * @param {Quotation} quotation - Quotation to approve
+ * @param {Object} options - { session }
+ * @returns {Promise<Object>} - { rule, ruleName, steps: [{ role }] }
+ */
+const buildApprovalChain = async (quotation, options = {}) => {
+  const session = options.session || null;
+  const customerId = idOf(quotation.populated('customer') || quotation.customer);
+
+  const customer = customerId ? await Customer.findById(customerId).session(session) : null;
+  const rules = await ApprovalRule.find({ isActive: true })
+    .sort('-priority createdAt')
+    .session(session);
+
+  const rule = matchingRule(rules, quotation, customer);
+
+  return {
+    rule: rule ? rule._id : undefined,
+    ruleName: rule ? rule.name : undefined,
+    steps: (rule ? rule.steps : DEFAULT_STEPS).map(step => ({ role: step.role }))
+  };
+};
+
+/**
+ * The step waiting for a decision, if any
+ * @returns {Object|null} - { index, role, total }
+ */
+const pendingStep = (quotation) => {
+  const steps = (quotation.approvals && quotation.approvals.steps) || [];
+  const index = steps.findIndex(step => !step.decision);
+
+  return index === -1 ? null : { index, role: steps[index].role, total: steps.length };
+};
+
+/**
+ * Give a quotation awaiting approval a fresh approval chain, dropping earlier decisions.
+ * Called when a quotation is submitted and whenever its content changes.
+ * @param {Quotation} quotation - The quotation as saved
+ * @param {Object} options - { session }
+ * @returns {Promise<Quotation>} - The quotation with its new chain
+ */
+const startApprovalChain = async (quotation, options = {}) => {
+  const chain = await buildApprovalChain(quotation, options);
+
+  return Quotation.findByIdAndUpdate(
+    quotation._id,
+    { approvals: chain },
+    { new: true, runValidators: true, session: options.session || null }
+  );
+};
+
+/**
+ * Tell the roles that can sign the pending step that a quotation waits for them
+ */
+const notifyPendingApprovers = (quotation) => {
+  const step = pendingStep(quotation);
+
+  if (!AWAITING_APPROVAL.includes(quotation.status) || !step) {
+    return;
+  }
+
+  webSocketService.notifyQuotationApprovalRequired({
+    quotationId: quotation._id,
+    quotationNumber: quotation.quotationNumber,
+    customer: quotation.customer,
+    total: quotation.total,
+    step: step.index + 1,
+    steps: step.total,
+    role: step.role,
+    rule: quotation.approvals.ruleName
+  }, SIGNERS[step.role]);
+};
+
+/**
+ * Sign the pending step of a quotation's approval chain. The signature of the
+ * last step approves the quotation through the state machine. Quotations
+ * without a chain get one first. The delivery booking is only taken with the
+ * last signature, since that is when the quotation is approved.
+ * @param {Quotation} quotation - A quotation the approve action is allowed from
+ * @param {Object} user - Approving user
+ * @param {Object} options - { reason, assignedDelivery, deliverySlot, session }
+ * @returns {Promise<Object>} - { quotation, complete, nextStep }
+ * @throws {ErrorResponse} - 400 if a booking comes with an earlier step, 403 if the user
+ *   may not sign the step, 409 on a concurrent decision
+ */
+const approveStep = async (quotation, user, options = {}) => {
+  checkTransition(quotation, 'approve', user);
+
+  const session = options.session || null;
+  const chain = pendingStep(quotation)
+    ? quotation.toObject().approvals
+    : await buildApprovalChain(quotation, { session });
+  const index = chain.steps.findIndex(step => !step.decision);
+  const step = chain.steps[index];
+  const userId = String(user.id || user._id);
+
+  if (!SIGNERS[step.role].includes(user.role)) {
+    throw new ErrorResponse(
+      `Approval ${index + 1} of ${chain.steps.length} for quotation ${quotation.quotationNumber} must be given by a ${step.role}`,
+      403
+    );
+  }
+
+  // Each step needs a different approver
+  if (chain.steps.some(signed => signed.decidedBy && String(signed.decidedBy) === userId)) {
+    throw new ErrorResponse(
+      `You have already approved quotation ${quotation.quotationNumber}; approval ${index + 1} must be given by someone else`,
+      403
+    );
+  }
+
+  chain.steps[index] = {
+    ...step,
+    decision: 'approved',
+    decidedBy: userId,
+    decidedAt: new Date(),
+    comment: options.reason
+  };
+
+  const complete = index === chain.steps.length - 1;
+  if (!complete && (options.assignedDelivery || options.deliverySlot)) {
+    throw new ErrorResponse(
+      `Approval ${index + 1} of ${chain.steps.length} does not approve quotation ${quotation.quotationNumber}; ` +
+        'book the delivery with the last approval',
+      400
+    );
+  }
+
+  const update = complete
+    ? transitionUpdate(quotation, 'approve', { user, ...options })
+    : { $set: { updatedAt: Date.now() } };
+  update.$set.approvals = chain;
+
+  const updated = await Quotation.findOneAndUpdate(
+    {
+      _id: quotation._id,
+      status: quotation.status,
+      [`approvals.steps.${index}.decision`]: { $exists: false }
+    },
+    update,
+    { new: true, runValidators: true, session }
+  );
+
+  if (!updated) {
+    throw new ErrorResponse(
+      `Quotation ${quotation.quotationNumber} was approved or changed by someone else at the same time`,
+      409
+    );
+  }
+
+  return {
+    quotation: updated,
+    complete,
+    nextStep: pendingStep(updated)
+  };
+};
+
+/**
+ * Reject a quotation, recording the decision on the pending step of its chain
+ * @param {Quotation} quotation - A quotation the reject action is allowed from
+ * @param {Object} user - Rejecting user
+ * @param {Object} options - { reason }
+ * @returns {Promise<Quotation>}
+ */
+const rejectStep = async (quotation, user, options = {}) => {
+  checkTransition(quotation, 'reject', user);
+
+  const update = transitionUpdate(quotation, 'reject', { user, ...options });
+  const filter = { _id: quotation._id, status: quotation.status };
+  const step = pendingStep(quotation);
+
+  if (step) {
+    const path = `approvals.steps.${step.index}`;
+    update.$set[`${path}.decision`] = 'rejected';
+    update.$set[`${path}.decidedBy`] = user.id || user._id;
+    update.$set[`${path}.decidedAt`] = new Date();
+    update.$set[`${path}.comment`] = options.reason;
+    filter[`${path}.decision`] = { $exists: false };
+  }
+
+  const updated = await Quotation.findOneAndUpdate(filter, update, { new: true, runValidators: true });
+
+  if (!updated) {
+    throw new ErrorResponse(
+      `Illegal status transition: quotation ${quotation.quotationNumber} changed status while it was being updated`,
+      409
+    );
+  }
+
+  return updated;
+};
+
+module.exports = {
+  AWAITING_APPROVAL,
+  SIGNERS,
+  matchingRule,
+  buildApprovalChain,
+  pendingStep,
+  startApprovalChain,
+  notifyPendingApprovers,
+  approveStep,
+  rejectStep
+};
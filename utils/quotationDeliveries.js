@@ -0,0 +1,363 @@
+const mongoose = require('mongoose');
+const Quotation = require('../models/Quotation');
+const Sale = require('../models/Sale');
+const Invoice = require('../models/Invoice');
+const Delivery = require('../models/Delivery');
+const ProofOfDelivery = require('../models/ProofOfDelivery');
+const ErrorResponse = require('./errorResponse');
+const runInTransaction = require('./transaction');
+const { nextNumber } = require('./numberingService');
+const { priceDocument, roundAmount } = require('./pricingEngine');
+const { recordMovement } = require('./stockService');
+const { paymentStatusOf, balanceOf } = require('./payments');
+const { checkTransition, transitionUpdate } = require('./quotationStateMachine');
+
+/**
+ * Quantity of a quotation line that is neither delivered nor cancelled
+ * @returns {Number}
+ */
+const outstandingOf = item =>
+  item.quantity - (item.deliveredQuantity || 0) - (item.cancelledQuantity || 0);
+
+/**
+ * The lines of a quotation that still have something outstanding
+ * @returns {Array} - [{ item, inventory, description, quantity, deliveredQuantity, cancelledQuantity, outstanding }]
+ */
+const getBackorder = quotation =>
+  quotation.items
+    .filter(item => outstandingOf(item) > 0)
+    .map(item => ({
+      item: item._id,
+      inventory: item.inventory,
+      description: item.description,
+      quantity: item.quantity,
+      deliveredQuantity: item.deliveredQuantity || 0,
+      cancelledQuantity: item.cancelledQuantity || 0,
+      outstanding: outstandingOf(item)
+    }));
+
+/**
+ * Work out what a delivery covers
+ * @param {Quotation} quotation - Quotation being delivered
+ * @param {Array} [lines] - [{ item, quantity }] by quotation line id; everything outstanding when omitted
+ * @returns {Array} - [{ item, quantity }] with item the quotation line
+ * @throws {ErrorResponse} - 400 for unknown lines or quantities over what is outstanding
+ */
+const planDelivery = (quotation, lines) => {
+  if (!lines) {
+    return quotation.items
+      .filter(item => outstandingOf(item) > 0)
+      .map(item => ({ item, quantity: outstandingOf(item) }));
+  }
+
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new ErrorResponse('Please add the items delivered', 400);
+  }
+
+  const seen = new Set();
+
+  return lines.map(line => {
+    const item = quotation.items.id(line.item);
+
+    if (!item) {
+      throw new ErrorResponse(`Item ${line.item} is not on quotation ${quotation.quotationNumber}`, 400);
+    }
+
+    if (seen.has(String(item._id))) {
+      throw new ErrorResponse(`Item ${line.item} is listed more than once`, 400);
+    }
+    seen.add(String(item._id));
+
+    const quantity = Number(line.quantity);
+    const outstanding = outstandingOf(item);
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new ErrorResponse(`Delivered quantity for ${item.description} must be a whole number of at least 1`, 400);
+    }
+
+    if (quantity > outstanding) {
+      throw new ErrorResponse(
+        `Cannot deliver ${quantity} of ${item.description}: only ${outstanding} outstanding`,
+        400
+      );
+    }
+
+    return { item, quantity };
+  });
+};
+
+/**
+ * The sale line for part of a quotation line. A fixed discount is spread over
+ * the quantity, each share rounded from the running delivered quantity, so the
+ * deliveries of a line add up to its full discount.
+ */
+const saleLineFor = (item, quantity, deliveryId) => {
+  const previously = item.deliveredQuantity || 0;
+  const discount = item.discountType === 'percentage'
+    ? item.discount
+    : roundAmount(
+      roundAmount((item.discount || 0) * (previously + quantity) / item.quantity) -
+      roundAmount((item.discount || 0) * previously / item.quantity)
+    );
+
+  return {
+    inventory: item.inventory._id || item.inventory,
+    description: item.description,
+    quantity,
+    unitPrice: item.unitPrice,
+    discount,
+    discountType: item.discountType,
+    taxRate: item.taxRate,
+    delivery: deliveryId
+  };
+};
+
+/**
+ * Deliver all or part of a quotation in one transaction: record the delivery,
+ * add what was delivered to the quotation's sale (creating it on the first
+ * delivery), take the stock out and move the quotation to completed or
+ * partially_delivered. The quotation is read inside the transaction, so
+ * concurrent deliveries of the same quotation are serialised. A request with
+ * the requestKey of an earlier delivery gets that delivery back (created false).
+ * @param {ObjectId} quotationId - Quotation to deliver
+ * @param {Object} options - { lines, branch, user, notes, proof, requestKey }; proof is
+ *   saved as the delivery's proof of delivery (see utils/proofOfDelivery)
+ * @returns {Promise<Object>} - { quotation, sale, delivery, proofOfDelivery, previousStatus, saleCreated, created }
+ * @throws {ErrorResponse} - 409 if the quotation's status changed concurrently
+ */
+const deliverQuotation = (quotationId, { lines, branch, user, notes, proof, requestKey }) =>
+  runInTransaction(async (session) => {
+    const quotation = await Quotation.findById(quotationId).session(session);
+
+    if (!quotation) {
+      throw new ErrorResponse(`Quotation not found with id of ${quotationId}`, 404);
+    }
+
+    const repeated = requestKey
+      ? await Delivery.findOne({ quotation: quotation._id, requestKey }).session(session)
+      : null;
+
+    if (repeated) {
+      return {
+        quotation,
+        sale: await Sale.findById(repeated.sale).session(session),
+        delivery: repeated,
+        proofOfDelivery: await ProofOfDelivery.findOne({ delivery: repeated._id }).session(session),
+        previousStatus: quotation.status,
+        saleCreated: false,
+        created: false
+      };
+    }
+
+    const planned = planDelivery(quotation, lines);
+
+    if (planned.length === 0) {
+      throw new ErrorResponse(`Quotation ${quotation.quotationNumber} has nothing left to deliver`, 409);
+    }
+
+    const delivering = new Map(planned.map(({ item, quantity }) => [String(item._id), quantity]));
+    const remaining = quotation.items.reduce(
+      (sum, item) => sum + outstandingOf(item) - (delivering.get(String(item._id)) || 0),
+      0
+    );
+    const action = remaining > 0 ? 'deliver_partial' : 'deliver';
+
+    checkTransition(quotation, action, user);
+
+    const deliveryId = new mongoose.Types.ObjectId();
+    const deliveryNumber = await nextNumber('delivery', { session });
+    const newLines = planned.map(({ item, quantity }) => saleLineFor(item, quantity, deliveryId));
+
+    let sale = await Sale.findOne({ quotation: quotation._id }).session(session);
+    const saleCreated = !sale;
+
+    if (saleCreated) {
+      const totals = priceDocument(newLines);
+
+      [sale] = await Sale.create([{
+        saleNumber: await nextNumber('sale', { session }),
+        quotation: quotation._id,
+        // The find hook populates customer records to null; populated() keeps the id
+        customer: quotation.populated('customer') || quotation.customer,
+        branch,
+        currency: quotation.currency,
+        exchangeRate: quotation.exchangeRate,
+        items: totals.items,
+        subtotal: totals.subtotal,
+        taxAmount: totals.taxAmount,
+        discountAmount: totals.discountAmount,
+        total: totals.total,
+        status: 'pending',
+        amountPaid: 0,
+        balance: totals.total,
+        dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days from now
+        createdBy: user.id
+      }], { session });
+    } else {
+      if (['cancelled', 'refunded'].includes(sale.status)) {
+        throw new ErrorResponse(
+          `Sale ${sale.saleNumber} is ${sale.status}; deliveries can no longer be added to it`,
+          409
+        );
+      }
+      if (await Invoice.exists({ sale: sale._id }).session(session)) {
+        throw new ErrorResponse(
+          `Sale ${sale.saleNumber} has been invoiced; deliveries can no longer be added to it`,
+          409
+        );
+      }
+      // The plan's installments add up to the sale total
+      if (sale.installments && sale.installments.length > 0) {
+        throw new ErrorResponse(
+          `Sale ${sale.saleNumber} is paid in installments; deliveries can no longer be added to it`,
+          409
+        );
+      }
+
+      const existingLines = sale.items.map(line => {
+        const { tax, total, inventory, ...rest } = line.toObject();
+        return { ...rest, inventory: (inventory && inventory._id) || inventory };
+      });
+      const totals = priceDocument([...existingLines, ...newLines]);
+
+      sale.items = totals.items;
+      sale.subtotal = totals.subtotal;
+      sale.taxAmount = totals.taxAmount;
+      sale.discountAmount = totals.discountAmount;
+      sale.total = totals.total;
+      sale.balance = balanceOf(sale);
+      sale.status = paymentStatusOf(sale);
+      await sale.save({ session });
+    }
+
+    const [delivery] = await Delivery.create([{
+      _id: deliveryId,
+      deliveryNumber,
+      quotation: quotation._id,
+      sale: sale._id,
+      branch,
+      items: planned.map(({ item, quantity }) => ({
+        quotationItem: item._id,
+        inventory: item.inventory._id || item.inventory,
+        description: item.description,
+        quantityOrdered: item.quantity,
+        quantityDelivered: quantity,
+        previouslyDelivered: item.deliveredQuantity || 0,
+        backordered: outstandingOf(item) - quantity
+      })),
+      notes,
+      requestKey,
+      deliveredBy: user.id
+    }], { session });
+
+    const [proofOfDelivery] = proof
+      ? await ProofOfDelivery.create([{
+        ...proof,
+        quotation: quotation._id,
+        sale: sale._id,
+        delivery: delivery._id
+      }], { session })
+      : [];
+
+    // Only what was delivered leaves the branch
+    for (const { item, quantity } of planned) {
+      await recordMovement({
+        inventory: item.inventory,
+        branch,
+        quantity: -quantity,
+        reason: 'sale',
+        source: { type: 'Delivery', id: delivery._id, number: deliveryNumber },
+        user: user.id,
+        notes: `Delivered from quotation ${quotation.quotationNumber}`
+      }, { session });
+    }
+
+    const update = transitionUpdate(quotation, action, {
+      user,
+      reason: `Delivery ${deliveryNumber}${remaining > 0 ? `, ${remaining} on backorder` : ''}`
+    });
+    quotation.items.forEach((item, index) => {
+      if (delivering.has(String(item._id))) {
+        update.$set[`items.${index}.deliveredQuantity`] =
+          (item.deliveredQuantity || 0) + delivering.get(String(item._id));
+      }
+    });
+
+    const updated = await Quotation.findOneAndUpdate(
+      { _id: quotation._id, status: quotation.status },
+      update,
+      { new: true, session }
+    );
+
+    // Rolls the delivery, sale and stock movements back with the transaction
+    if (!updated) {
+      throw new ErrorResponse(
+        `Illegal status transition: quotation ${quotation.quotationNumber} changed status while it was being delivered`,
+        409
+      );
+    }
+
+    return {
+      quotation: updated,
+      sale,
+      delivery,
+      proofOfDelivery,
+      previousStatus: quotation.status,
+      saleCreated,
+      created: true
+    };
+  });
+
+/**
+ * Cancel everything still on backorder and complete the quotation
+ * @param {ObjectId} quotationId - A partially delivered quotation
+ * @param {Object} options - { user, reason }
+ * @returns {Promise<Object>} - { quotation, cancelled: [{ item, description, quantity }] }
+ * @throws {ErrorResponse} - 409 if the quotation's status changed concurrently
+ */
+const cancelBackorder = (quotationId, { user, reason }) =>
+  runInTransaction(async (session) => {
+    const quotation = await Quotation.findById(quotationId).session(session);
+
+    if (!quotation) {
+      throw new ErrorResponse(`Quotation not found with id of ${quotationId}`, 404);
+    }
+
+    checkTransition(quotation, 'cancel_backorder', user);
+
+    const update = transitionUpdate(quotation, 'cancel_backorder', {
+      user,
+      reason: reason || 'Backorder cancelled'
+    });
+    const cancelled = [];
+
+    quotation.items.forEach((item, index) => {
+      const outstanding = outstandingOf(item);
+      if (outstanding > 0) {
+        update.$set[`items.${index}.cancelledQuantity`] = (item.cancelledQuantity || 0) + outstanding;
+        cancelled.push({ item: item._id, description: item.description, quantity: outstanding });
+      }
+    });
+
+    const updated = await Quotation.findOneAndUpdate(
+      { _id: quotation._id, status: quotation.status },
+      update,
+      { new: true, session }
+    );
+
+    if (!updated) {
+      throw new ErrorResponse(
+        `Illegal status transition: quotation ${quotation.quotationNumber} changed status while its backorder was being cancelled`,
+        409
+      );
+    }
+
+    return { quotation: updated, cancelled };
+  });
+
+module.exports = {
+  outstandingOf,
+  getBackorder,
+  deliverQuotation,
+  cancelBackorder
+};
@@ -0,0 +1,115 @@
+const Quotation = require('../models/Quotation');
+const webSocketService = require('./websocketService');
+const {
+  SYSTEM,
+  TRANSITIONS,
+  expiryCutoff,
+  transitionQuotation
+} = require('./quotationStateMachine');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days before validUntil that the creator is reminded
+const reminderDays = () => {
+  const days = parseInt(process.env.QUOTATION_EXPIRY_REMINDER_DAYS, 10);
+  return Number.isInteger(days) && days >= 0 ? days : 3;
+};
+
+const creatorOf = quotation => quotation.createdBy && (quotation.createdBy._id || quotation.createdBy);
+
+/**
+ * Move quotations whose validUntil day has passed to 'expired'
+ * @returns {Promise<Number>} - How many quotations were expired
+ */
+const expireOverdueQuotations = async (now = new Date()) => {
+  const overdue = await Quotation.find({
+    status: { $in: TRANSITIONS.expire.from },
+    validUntil: { $lt: expiryCutoff(now) }
+  });
+
+  let expired = 0;
+
+  for (const quotation of overdue) {
+    try {
+      const updated = await transitionQuotation(quotation, 'expire', {
+        user: SYSTEM,
+        reason: `Validity ended on ${quotation.validUntil.toISOString().slice(0, 10)}`
+      });
+      expired += 1;
+
+      webSocketService.notifyQuotationStatusChanged({
+        quotationId: updated._id,
+        quotationNumber: updated.quotationNumber,
+        customer: updated.customer,
+        status: updated.status,
+        previousStatus: quotation.status,
+        validUntil: updated.validUntil,
+        updatedAt: new Date()
+      });
+    } catch (err) {
+      // Changed status since it was read (e.g. just approved); the next run picks it up if still due
+      console.error(`Could not expire quotation ${quotation.quotationNumber}:`, err.message);
+    }
+  }
+
+  return expired;
+};
+
+/**
+ * Remind creators of quotations that expire within the reminder window.
+ * A reminder only counts as sent when the creator is connected, so offline
+ * users get it on a later run.
+ * @returns {Promise<Number>} - How many reminders were delivered
+ */
+const sendExpiryReminders = async (now = new Date()) => {
+  const expiring = await Quotation.find({
+    status: { $in: TRANSITIONS.expire.from },
+    validUntil: {
+      $gte: expiryCutoff(now),
+      $lt: new Date(expiryCutoff(now).getTime() + (reminderDays() + 1) * DAY_MS)
+    },
+    expiryReminderSentAt: { $exists: false }
+  });
+
+  let reminded = 0;
+
+  for (const quotation of expiring) {
+    const creator = creatorOf(quotation);
+    if (!creator) {
+      continue;
+    }
+
+    const sent = webSocketService.notifyQuotationExpiring(creator, {
+      quotationId: quotation._id,
+      quotationNumber: quotation.quotationNumber,
+      customer: quotation.customer,
+      status: quotation.status,
+      total: quotation.total,
+      validUntil: quotation.validUntil
+    });
+
+    if (sent > 0) {
+      await Quotation.updateOne({ _id: quotation._id }, { expiryReminderSentAt: now });
+      reminded += 1;
+    }
+  }
+
+  return reminded;
+};
+
+/**
+ * Scheduled job: expire overdue quotations, then send reminders
+ * @returns {Promise<Object>} - { expired, reminded } counts
+ */
+const runQuotationExpiry = async (now = new Date()) => {
+  const expired = await expireOverdueQuotations(now);
+  const reminded = await sendExpiryReminders(now);
+
+  return { expired, reminded };
+};
+
+module.exports = {
+  expireOverdueQuotations,
+  sendExpiryReminders,
+  runQuotationExpiry
+};
@@ -0,0 +1,174 @@
+const Inventory = require('../models/Inventory');
+const MarginSetting = require('../models/MarginSetting');
+const pricing = require('../config/pricing');
+const { roundAmount } = require('./pricingEngine');
+const { transitionQuotation, SYSTEM } = require('./quotationStateMachine');
+
+// Populated references are looked up by id
+const idOf = value => (value && value._id) || value;
+
+// Margin as a percent of revenue; null when there is no revenue to compare with
+const percentOf = (margin, revenue) => (revenue > 0 ? roundAmount(margin / revenue * 100) : null);
+
+const isBelow = (percent, minimum, cost) => (percent === null ? cost > 0 : percent < minimum);
+
+/**
+ * The minimum margins in force: the global one (the MIN_MARGIN_PERCENT
+ * environment variable until one is saved) and any per category
+ * @param {Object} options - { session }
+ * @returns {Promise<Object>} - { global, categories: { [category]: percent } }
+ */
+const getMarginSettings = async (options = {}) => {
+  const settings = await MarginSetting.find().session(options.session || null);
+  const global = settings.find(setting => setting.scope === 'global');
+
+  return {
+    global: global ? global.minMarginPercent : pricing.minMarginPercent,
+    categories: settings
+      .filter(setting => setting.scope === 'category')
+      .reduce((categories, setting) => ({ ...categories, [setting.category]: setting.minMarginPercent }), {})
+  };
+};
+
+/**
+ * Minimum margin for an inventory item: its own, else its category's, else the global one
+ * @returns {Number}
+ */
+const minimumFor = (item, settings) => {
+  if (item && item.minMarginPercent !== undefined && item.minMarginPercent !== null) {
+    return item.minMarginPercent;
+  }
+
+  if (item && item.category && settings.categories[item.category] !== undefined) {
+    return settings.categories[item.category];
+  }
+
+  return settings.global;
+};
+
+/**
+ * Work out the margin of priced quotation lines from the current inventory cost.
+ * Line revenue is the line total before tax, so discounts lower the margin.
+ * Costs are in the base currency, so revenue is converted with the
+ * quotation's exchange rate and margins are in the base currency.
+ * @param {Array} items - Lines as returned by priceDocument
+ * @param {Object} options - { exchangeRate, session }
+ * @returns {Promise<Object>} - { items, margin } with the margin fields added to each line
+ */
+const calculateMargins = async (items = [], options = {}) => {
+  const session = options.session || null;
+  const inventory = await Inventory.find({ _id: { $in: items.map(item => idOf(item.inventory)) } })
+    .select('cost category minMarginPercent')
+    .session(session);
+  const byId = new Map(inventory.map(item => [String(item._id), item]));
+  const settings = await getMarginSettings(options);
+  const exchangeRate = options.exchangeRate || 1;
+
+  let cost = 0;
+  let revenue = 0;
+
+  const lines = items.map(line => {
+    const item = byId.get(String(idOf(line.inventory)));
+    const unitCost = item ? item.cost : 0;
+    const lineCost = roundAmount(unitCost * line.quantity);
+    const lineRevenue = roundAmount((line.total - (line.tax || 0)) * exchangeRate);
+    const margin = roundAmount(lineRevenue - lineCost);
+    const marginPercent = percentOf(margin, lineRevenue);
+    const minMarginPercent = minimumFor(item, settings);
+
+    cost += lineCost;
+    revenue += lineRevenue;
+
+    return {
+      ...line,
+      unitCost,
+      margin,
+      marginPercent,
+      minMarginPercent,
+      belowMinimum: isBelow(marginPercent, minMarginPercent, lineCost)
+    };
+  });
+
+  cost = roundAmount(cost);
+  revenue = roundAmount(revenue);
+  const amount = roundAmount(revenue - cost);
+  const percent = percentOf(amount, revenue);
+
+  return {
+    items: lines,
+    margin: {
+      cost,
+      revenue,
+      amount,
+      percent,
+      minPercent: settings.global,
+      belowMinimum: lines.some(line => line.belowMinimum) || isBelow(percent, settings.global, cost),
+      calculatedAt: new Date()
+    }
+  };
+};
+
+/**
+ * Margin breakdown of a quotation for its approvers, in the base currency
+ * @returns {Object|null} - { lines, ...document margin }, or null if it was never calculated
+ */
+const getMarginBreakdown = (quotation) => {
+  if (!quotation.margin || quotation.margin.revenue === undefined) {
+    return null;
+  }
+
+  return {
+    lines: quotation.items.map(item => ({
+      item: item._id,
+      description: item.description,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      unitCost: item.unitCost,
+      cost: roundAmount((item.unitCost || 0) * item.quantity),
+      revenue: roundAmount((item.total - (item.tax || 0)) * (quotation.exchangeRate || 1)),
+      margin: item.margin,
+      marginPercent: item.marginPercent,
+      minMarginPercent: item.minMarginPercent,
+      belowMinimum: Boolean(item.belowMinimum)
+    })),
+    ...quotation.toObject().margin
+  };
+};
+
+/**
+ * Move a pending quotation priced below the minimum margin to margin_review,
+ * and one in margin_review back to pending once its margin is fine again
+ * @param {Quotation} quotation - The quotation as saved
+ * @param {Object} options - { session }
+ * @returns {Promise<Quotation>} - The quotation in its resulting status
+ */
+const applyMarginGuard = async (quotation, options = {}) => {
+  const below = Boolean(quotation.margin && quotation.margin.belowMinimum);
+
+  if (quotation.status === 'pending' && below) {
+    const lines = quotation.items.filter(item => item.belowMinimum).length;
+    return transitionQuotation(quotation, 'margin_hold', {
+      user: SYSTEM,
+      reason: `Margin ${quotation.margin.percent === null ? 'n/a' : `${quotation.margin.percent}%`} ` +
+        `(minimum ${quotation.margin.minPercent}%), ${lines} line(s) below their minimum`,
+      session: options.session
+    });
+  }
+
+  if (quotation.status === 'margin_review' && !below) {
+    return transitionQuotation(quotation, 'margin_release', {
+      user: SYSTEM,
+      reason: 'Margin is within the minimum again',
+      session: options.session
+    });
+  }
+
+  return quotation;
+};
+
+module.exports = {
+  getMarginSettings,
+  calculateMargins,
+  getMarginBreakdown,
+  applyMarginGuard
+};
@@ -0,0 +1,122 @@
+const Customer = require('../models/Customer');
+const {
+  formatMoney,
+  formatDate,
+  createDocument,
+  drawHeader,
+  drawParty,
+  drawTable,
+  drawTotals,
+  drawTextBlock,
+  finishDocument
+} = require('./pdfRenderer');
+
+// Line item columns a template can choose from
+const COLUMNS = {
+  description: { header: 'Description', width: 40 },
+  quantity: { header: 'Qty', width: 8, align: 'right' },
+  unitPrice: { header: 'Unit Price', width: 13, align: 'right' },
+  discount: { header: 'Discount', width: 13, align: 'right' },
+  tax: { header: 'Tax', width: 12, align: 'right' },
+  total: { header: 'Amount', width: 14, align: 'right' }
+};
+
+const formatDiscount = (item) => {
+  if (!item.discount) {
+    return '';
+  }
+  return item.discountType === 'percentage'
+    ? `${item.discount}% (${formatMoney(item.discountAmount)})`
+    : formatMoney(item.discountAmount || item.discount);
+};
+
+const formatTax = (item) => {
+  if (!item.tax) {
+    return '';
+  }
+  return item.taxRate ? `${formatMoney(item.tax)} (${item.taxRate}%)` : formatMoney(item.tax);
+};
+
+// Populated references are compared by id
+const idOf = value => (value && value._id) || value;
+
+/**
+ * The customer record a quotation is for. The quotation's find hook does not
+ * populate it; populated() still gives back the stored id.
+ * @returns {Promise<Object>} - The record, or {} if there is none
+ */
+const customerOf = async (quotation) => {
+  const customerId = quotation.populated('customer') || idOf(quotation.customer);
+  const customer = customerId
+    ? await Customer.findById(customerId).select('name contactPerson phone address taxId')
+    : null;
+
+  return customer || {};
+};
+
+/**
+ * Render a quotation to PDF
+ * @param {Quotation} quotation - Quotation with its items populated
+ * @param {Object} options - { template, branch }
+ * @returns {Promise<Buffer>}
+ */
+const renderQuotationPdf = async (quotation, { template, branch }) => {
+  const number = quotation.displayNumber || quotation.quotationNumber;
+  const customer = await customerOf(quotation);
+  const customerName = customer.name || customer.contactPerson;
+
+  const doc = createDocument(template, {
+    title: `Quotation ${number}`,
+    subject: customerName ? `Quotation for ${customerName}` : 'Quotation',
+    date: quotation.updatedAt || quotation.createdAt
+  });
+
+  drawHeader(doc, template, template.title || 'QUOTATION', [
+    ['Quotation No', number],
+    ['Date', formatDate(quotation.createdAt)],
+    ['Valid Until', formatDate(quotation.validUntil)],
+    ['Branch', branch && branch.name]
+  ]);
+
+  drawParty(doc, template, 'Quotation for', [
+    customerName,
+    customer.address,
+    [customer.phone, customer.taxId && `Tax ID: ${customer.taxId}`].filter(Boolean).join('  |  ')
+  ]);
+
+  const columns = template.columns
+    .filter(key => COLUMNS[key])
+    .map(key => ({ key, ...COLUMNS[key] }));
+
+  const rows = quotation.items.map(item => ({
+    description: item.notes ? `${item.description}\n${item.notes}` : item.description,
+    quantity: String(item.quantity),
+    unitPrice: formatMoney(item.unitPrice),
+    discount: formatDiscount(item),
+    tax: formatTax(item),
+    total: formatMoney(item.total)
+  }));
+
+  drawTable(doc, template, columns, rows);
+
+  drawTotals(doc, template, [
+    ['Subtotal', formatMoney(quotation.subtotal)],
+    ['Discount', quotation.discountAmount ? `-${formatMoney(quotation.discountAmount)}` : formatMoney(0)],
+    ['Tax', formatMoney(quotation.taxAmount)],
+    [quotation.currency ? `Total (${quotation.currency})` : 'Total', formatMoney(quotation.total)]
+  ]);
+
+  if (template.showTerms) {
+    drawTextBlock(doc, template, 'Terms and Conditions', quotation.terms || template.defaultTerms);
+  }
+
+  if (template.showNotes) {
+    drawTextBlock(doc, template, 'Notes', quotation.notes);
+  }
+
+  return finishDocument(doc, template);
+};
+
+module.exports = {
+  renderQuotationPdf
+};
@@ -0,0 +1,182 @@
+const Quotation = require('../models/Quotation');
+const QuotationRevision = require('../models/QuotationRevision');
+const ErrorResponse = require('./errorResponse');
+const { EDITABLE_STATUSES } = require('./quotationStateMachine');
+
+// Quotation fields kept in each revision
+const DOCUMENT_FIELDS = ['customer', 'branch', 'subtotal', 'discountAmount', 'taxAmount', 'total', 'validUntil', 'terms', 'notes'];
+const ITEM_FIELDS = ['inventory', 'description', 'quantity', 'unitPrice', 'discount', 'discountType', 'discountAmount', 'taxRate', 'tax', 'total', 'notes'];
+
+// Populated references are stored by id
+const idOf = value => (value && value._id) || value;
+
+/**
+ * Take the revisioned content of a quotation
+ * @param {Quotation|Object} quotation - Quotation document or an earlier snapshot
+ * @returns {Object} - Plain snapshot
+ */
+const takeSnapshot = (quotation) => {
+  const snapshot = {};
+
+  DOCUMENT_FIELDS.forEach(field => {
+    snapshot[field] = idOf(quotation[field]);
+  });
+
+  snapshot.items = (quotation.items || []).map(item => {
+    const line = {};
+    ITEM_FIELDS.forEach(field => {
+      line[field] = idOf(item[field]);
+    });
+    return line;
+  });
+
+  return snapshot;
+};
+
+// Comparable form of a value: ids and dates as strings, blanks as null
+const normalize = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    return String(value);
+  }
+  return value;
+};
+
+const compareFields = (from, to, fields) =>
+  fields
+    .filter(field => normalize(from[field]) !== normalize(to[field]))
+    .map(field => ({ field, from: from[field], to: to[field] }));
+
+/**
+ * Field and line level differences between two snapshots.
+ * Lines are matched by inventory item, in order when an item appears more than once.
+ * @returns {Object} - { fields, items: { added, removed, changed }, hasChanges }
+ */
+const diffSnapshots = (from, to) => {
+  const fields = compareFields(from, to, DOCUMENT_FIELDS);
+  const unmatched = (from.items || []).map((item, index) => ({ item, line: index + 1 }));
+  const added = [];
+  const changed = [];
+
+  (to.items || []).forEach((item, index) => {
+    const matchIndex = unmatched.findIndex(
+      candidate => normalize(candidate.item.inventory) === normalize(item.inventory)
+    );
+
+    if (matchIndex === -1) {
+      added.push({ line: index + 1, ...item });
+      return;
+    }
+
+    const [match] = unmatched.splice(matchIndex, 1);
+    const changes = compareFields(match.item, item, ITEM_FIELDS);
+
+    if (changes.length > 0) {
+      changed.push({
+        inventory: item.inventory,
+        description: item.description,
+        fromLine: match.line,
+        toLine: index + 1,
+        changes
+      });
+    }
+  });
+
+  const removed = unmatched.map(({ item, line }) => ({ line, ...item }));
+
+  return {
+    fields,
+    items: { added, removed, changed },
+    hasChanges: fields.length + added.length + removed.length + changed.length > 0
+  };
+};
+
+/**
+ * Store the current content of a quotation as its current revision
+ * @param {Quotation} quotation - Quotation as saved
+ * @param {ObjectId} user - Who made the change
+ * @param {Object} options - { session, restoredFrom, createdAt }
+ * @returns {Promise<QuotationRevision>}
+ */
+const recordRevision = async (quotation, user, options = {}) => {
+  const [revision] = await QuotationRevision.create([{
+    quotation: quotation._id,
+    revision: quotation.revision || 1,
+    snapshot: takeSnapshot(quotation),
+    restoredFrom: options.restoredFrom,
+    changedBy: idOf(user),
+    createdAt: options.createdAt || Date.now()
+  }], { session: options.session || null });
+
+  return revision;
+};
+
+/**
+ * Apply an update to a quotation and, when its content changed, store the
+ * result as the next revision. Quotations created before revisions were kept
+ * get their pre-update content stored as a baseline first.
+ * @param {Quotation} before - The quotation as it was before the update
+ * @param {Object} update - Fields to set
+ * @param {Object} options - { user, session, restoredFrom }
+ * @returns {Promise<Object>} - { quotation, revised }
+ * @throws {ErrorResponse} - 409 if delivery has started, or if the content
+ *   changes once the quotation is past draft, pending and margin_review
+ */
+const reviseQuotation = async (before, update, options = {}) => {
+  const { user, session = null, restoredFrom } = options;
+
+  // Delivered quantities are tracked per line, so the lines are fixed once delivery starts
+  if (update.items && before.items.some(item => item.deliveredQuantity > 0)) {
+    throw new ErrorResponse(
+      `Items of quotation ${before.quotationNumber} cannot be changed after delivery has started`,
+      409
+    );
+  }
+
+  let quotation = await Quotation.findByIdAndUpdate(before._id, update, {
+    new: true,
+    runValidators: true,
+    session
+  });
+
+  if (!diffSnapshots(takeSnapshot(before), takeSnapshot(quotation)).hasChanges) {
+    return { quotation, revised: false };
+  }
+
+  // Approved content stays as it was approved; the update is rolled back with the transaction
+  if (!EDITABLE_STATUSES.includes(before.status)) {
+    throw new ErrorResponse(
+      `Quotation ${before.quotationNumber} is ${before.status}; its content can only be changed while it is ${EDITABLE_STATUSES.join(', ')}`,
+      409
+    );
+  }
+
+  const hasRevisions = await QuotationRevision.exists({ quotation: before._id }).session(session);
+  if (!hasRevisions) {
+    await recordRevision(before, before.createdBy, {
+      session,
+      createdAt: before.updatedAt || before.createdAt
+    });
+  }
+
+  quotation = await Quotation.findByIdAndUpdate(
+    before._id,
+    { $inc: { revision: 1 } },
+    { new: true, session }
+  );
+  await recordRevision(quotation, user, { session, restoredFrom });
+
+  return { quotation, revised: true };
+};
+
+module.exports = {
+  takeSnapshot,
+  diffSnapshots,
+  recordRevision,
+  reviseQuotation
+};
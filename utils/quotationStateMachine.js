@@ -0,0 +1,397 @@
+const Quotation = require('../models/Quotation');
+const ErrorResponse = require('./errorResponse');
+
+const ADMINS = ['admin', 'superadmin'];
+const STAFF = ['user', 'admin', 'superadmin'];
+
+// Actor for transitions made by scheduled jobs rather than a user
+const SYSTEM = { role: 'system' };
+
+// Actor for transitions made by the customer through a share link
+const CUSTOMER = { role: 'customer' };
+
+// Statuses a quotation can be created in
+const INITIAL_STATUSES = ['draft', 'pending'];
+
+// Statuses whose content can still be changed; approvals and the margin
+// guard apply to the content as it is when it leaves them
+const EDITABLE_STATUSES = ['draft', 'pending', 'margin_review'];
+
+/**
+ * Every allowed status change, keyed by action.
+ *  from    - statuses the action is allowed from
+ *  to      - resulting status, or a function of the quotation
+ *  roles   - user roles that may perform it
+ *  effects - extra fields to set with the status (undefined values are unset)
+ *  direct  - false when the action cannot be done by setting the status in
+ *            an update: it has its own endpoint or is run by the scheduler
+ *  requiresValidity - true when the action is refused once validUntil has passed
+ */
+const TRANSITIONS = {
+  submit: {
+    from: ['draft'],
+    to: 'pending',
+    roles: STAFF
+  },
+  // Reached through the approval chain (see utils/quotationApprovals)
+  approve: {
+    from: ['pending', 'draft', 'margin_review'],
+    to: 'approved',
+    roles: ADMINS,
+    direct: false,
+    requiresValidity: true,
+    effects: (quotation, { assignedDelivery, deliverySlot }) => ({
+      ...(assignedDelivery ? { assignedDelivery } : {}),
+      ...(deliverySlot ? { deliverySlot } : {})
+    })
+  },
+  // Reached through the approval chain (see utils/quotationApprovals)
+  reject: {
+    from: ['pending', 'draft', 'margin_review'],
+    to: 'rejected',
+    roles: ADMINS,
+    direct: false
+  },
+  accept: {
+    from: ['approved'],
+    to: 'accepted',
+    roles: [...STAFF, 'customer'],
+    requiresValidity: true,
+    effects: (quotation, { customerResponse }) =>
+      (customerResponse ? { customerResponse } : {})
+  },
+  // The customer turns down an approved quotation through its share link
+  decline: {
+    from: ['approved'],
+    to: 'rejected',
+    roles: ['customer'],
+    direct: false,
+    effects: (quotation, { customerResponse }) => ({ customerResponse })
+  },
+  // A delivery that leaves nothing outstanding
+  deliver: {
+    from: ['approved', 'accepted', 'partially_delivered'],
+    to: 'completed',
+    roles: ['delivery'],
+    direct: false,
+    requiresValidity: true
+  },
+  // A delivery that leaves part of the quotation on backorder
+  deliver_partial: {
+    from: ['approved', 'accepted', 'partially_delivered'],
+    to: 'partially_delivered',
+    roles: ['delivery'],
+    direct: false,
+    requiresValidity: true
+  },
+  // Drop what is still on backorder; what was delivered stays sold
+  cancel_backorder: {
+    from: ['partially_delivered'],
+    to: 'completed',
+    roles: ADMINS,
+    direct: false
+  },
+  // Book or change the delivery slot and driver (see utils/deliveryScheduling);
+  // logged even though the status stays the same
+  assign_delivery: {
+    from: ['approved', 'accepted', 'partially_delivered'],
+    to: quotation => quotation.status,
+    roles: ADMINS,
+    direct: false,
+    effects: (quotation, { assignedDelivery, deliverySlot }) => ({ assignedDelivery, deliverySlot })
+  },
+  convert: {
+    from: ['approved', 'accepted'],
+    to: 'completed',
+    roles: ['user'],
+    direct: false,
+    requiresValidity: true
+  },
+  // Run by the margin guard (see utils/quotationMargins): a pending quotation
+  // priced below the minimum margin waits in margin_review, and goes back
+  // once its prices are fixed
+  margin_hold: {
+    from: ['pending'],
+    to: 'margin_review',
+    roles: ['system'],
+    direct: false
+  },
+  margin_release: {
+    from: ['margin_review'],
+    to: 'pending',
+    roles: ['system'],
+    direct: false
+  },
+  // Run by the scheduler once validUntil has passed; accepted quotations keep their prices
+  expire: {
+    from: ['draft', 'pending', 'margin_review', 'approved'],
+    to: 'expired',
+    roles: ['system'],
+    direct: false
+  },
+  // Logged even when the status stays the same; expired quotations go back
+  // to the status they expired from
+  extend_validity: {
+    from: ['draft', 'pending', 'margin_review', 'approved', 'accepted', 'expired'],
+    to: (quotation) => {
+      if (quotation.status !== 'expired') {
+        return quotation.status;
+      }
+      const expiry = [...(quotation.statusHistory || [])]
+        .reverse()
+        .find(entry => entry.to === 'expired');
+      return (expiry && expiry.from) || 'pending';
+    },
+    roles: ADMINS,
+    direct: false,
+    effects: (quotation, { validUntil }) => ({
+      validUntil,
+      expiryReminderSentAt: undefined
+    })
+  },
+  cancel: {
+    from: ['draft', 'pending', 'margin_review'],
+    to: 'cancelled',
+    roles: STAFF,
+    effects: (quotation, { actor, reason }) => ({
+      cancelledAt: new Date(),
+      cancelledBy: actor,
+      cancellationReason: reason || 'No reason provided'
+    })
+  },
+  // Administrators can cancel at any stage before completion
+  force_cancel: {
+    from: ['approved', 'accepted', 'rejected', 'active', 'cancellation_requested', 'expired'],
+    to: 'cancelled',
+    roles: ADMINS,
+    effects: (quotation, { actor, reason }) => ({
+      cancelledAt: new Date(),
+      cancelledBy: actor,
+      cancellationReason: reason || quotation.cancellationReason || 'No reason provided'
+    })
+  },
+  request_cancellation: {
+    from: ['approved', 'accepted'],
+    to: 'cancellation_requested',
+    roles: ['user'],
+    effects: (quotation, { actor, reason }) => ({
+      cancellationRequestedAt: new Date(),
+      cancellationRequestedBy: actor,
+      cancellationReason: reason || 'No reason provided'
+    })
+  },
+  approve_cancellation: {
+    from: ['cancellation_requested'],
+    to: 'cancelled',
+    roles: ADMINS,
+    effects: (quotation, { actor }) => ({
+      cancelledAt: new Date(),
+      cancelledBy: actor
+    })
+  },
+  // Back to the status the quotation had when cancellation was requested
+  deny_cancellation: {
+    from: ['cancellation_requested'],
+    to: (quotation) => {
+      const request = [...(quotation.statusHistory || [])]
+        .reverse()
+        .find(entry => entry.to === 'cancellation_requested');
+      return (request && request.from) || 'approved';
+    },
+    roles: ADMINS,
+    effects: () => ({
+      cancellationRequestedAt: undefined,
+      cancellationRequestedBy: undefined,
+      cancellationReason: undefined
+    })
+  }
+};
+
+/**
+ * Start of the current UTC day: a quotation is valid through the whole of
+ * its validUntil day, so it is overdue once validUntil is before this
+ * @returns {Date}
+ */
+const expiryCutoff = (now = new Date()) => {
+  const cutoff = new Date(now);
+  cutoff.setUTCHours(0, 0, 0, 0);
+  return cutoff;
+};
+
+const isPastValidity = (quotation, now = new Date()) =>
+  Boolean(quotation.validUntil) && quotation.validUntil < expiryCutoff(now);
+
+const targetOf = (quotation, action) => {
+  const { to } = TRANSITIONS[action];
+  return typeof to === 'function' ? to(quotation) : to;
+};
+
+/**
+ * Whether a user's role allows an action, regardless of the quotation's status
+ * @returns {Boolean}
+ */
+const hasRole = (action, user) => TRANSITIONS[action].roles.includes(user.role);
+
+/**
+ * Whether a user may perform an action on a quotation in its current status
+ * @returns {Boolean}
+ */
+const canTransition = (quotation, action, user) =>
+  TRANSITIONS[action].from.includes(quotation.status) && hasRole(action, user);
+
+/**
+ * Check an action against the state machine
+ * @throws {ErrorResponse} - 409 if the status does not allow it, 403 if the role does not
+ * @returns {String} - The status the quotation would move to
+ */
+const checkTransition = (quotation, action, user) => {
+  const transition = TRANSITIONS[action];
+
+  if (!transition.from.includes(quotation.status)) {
+    throw new ErrorResponse(
+      `Illegal status transition: '${action}' is not allowed from status '${quotation.status}'`,
+      409
+    );
+  }
+
+  if (!hasRole(action, user)) {
+    throw new ErrorResponse(
+      `User role '${user.role}' is not allowed to perform '${action}' on quotations`,
+      403
+    );
+  }
+
+  // The scheduler may not have expired it yet. Backorders are still
+  // delivered after validUntil: the quotation was taken up by the first delivery
+  if (transition.requiresValidity && quotation.status !== 'partially_delivered' && isPastValidity(quotation)) {
+    throw new ErrorResponse(
+      `Illegal status transition: quotation expired on ${quotation.validUntil.toISOString().slice(0, 10)}`,
+      409
+    );
+  }
+
+  return targetOf(quotation, action);
+};
+
+/**
+ * The update that applies an action: the new status, its side effects and
+ * a status history entry
+ * @param {Quotation} quotation - The quotation in its current status
+ * @param {String} action - Key of TRANSITIONS
+ * @param {Object} context - { user, reason, ... } passed to the side effects
+ * @returns {Object} - MongoDB update
+ */
+const transitionUpdate = (quotation, action, context = {}) => {
+  const transition = TRANSITIONS[action];
+  const actor = context.user ? context.user.id || context.user._id : undefined;
+  const to = targetOf(quotation, action);
+  const effects = transition.effects ? transition.effects(quotation, { ...context, actor }) : {};
+
+  const $set = { status: to, updatedAt: Date.now() };
+  const $unset = {};
+  Object.keys(effects).forEach(field => {
+    if (effects[field] === undefined) {
+      $unset[field] = '';
+    } else {
+      $set[field] = effects[field];
+    }
+  });
+
+  const update = {
+    $set,
+    $push: {
+      statusHistory: {
+        from: quotation.status,
+        to,
+        action,
+        actor,
+        reason: context.reason,
+        timestamp: new Date()
+      }
+    }
+  };
+
+  if (Object.keys($unset).length > 0) {
+    update.$unset = $unset;
+  }
+
+  return update;
+};
+
+/**
+ * Perform an action on a quotation. The status is changed with a conditional
+ * update, so if it changed since the quotation was read the action fails with 409.
+ * @param {Quotation} quotation - The quotation as read
+ * @param {String} action - Key of TRANSITIONS
+ * @param {Object} context - { user, reason, session, ... }
+ * @returns {Promise<Quotation>} - The updated quotation
+ */
+const transitionQuotation = async (quotation, action, context = {}) => {
+  checkTransition(quotation, action, context.user);
+
+  const updated = await Quotation.findOneAndUpdate(
+    { _id: quotation._id, status: quotation.status },
+    transitionUpdate(quotation, action, context),
+    { new: true, runValidators: true, session: context.session || null }
+  );
+
+  if (!updated) {
+    throw new ErrorResponse(
+      `Illegal status transition: quotation ${quotation.quotationNumber} changed status while it was being updated`,
+      409
+    );
+  }
+
+  return updated;
+};
+
+/**
+ * Find the action that moves a quotation from one status to another
+ * @returns {String|undefined} - Key of TRANSITIONS
+ */
+const findAction = (quotation, to, user) => {
+  const actions = Object.keys(TRANSITIONS).filter(action =>
+    TRANSITIONS[action].from.includes(quotation.status) && targetOf(quotation, action) === to
+  );
+
+  // Prefer an action the user's role allows when several lead to the same status
+  return actions.find(action => hasRole(action, user)) || actions[0];
+};
+
+/**
+ * The first status history entry of a new quotation
+ * @throws {ErrorResponse} - 409 if quotations cannot be created in the status
+ */
+const initialHistory = (status, user) => {
+  if (!INITIAL_STATUSES.includes(status)) {
+    throw new ErrorResponse(
+      `Illegal status transition: quotations can only be created as ${INITIAL_STATUSES.join(' or ')}`,
+      409
+    );
+  }
+
+  return [{
+    from: null,
+    to: status,
+    action: 'create',
+    actor: user.id || user._id,
+    timestamp: new Date()
+  }];
+};
+
+module.exports = {
+  SYSTEM,
+  CUSTOMER,
+  TRANSITIONS,
+  INITIAL_STATUSES,
+  EDITABLE_STATUSES,
+  expiryCutoff,
+  isPastValidity,
+  hasRole,
+  canTransition,
+  checkTransition,
+  transitionUpdate,
+  transitionQuotation,
+  findAction,
+  initialHistory
+};
@@ -0,0 +1,278 @@
+const mongoose = require('mongoose');
+const Sale = require('../models/Sale');
+const Customer = require('../models/Customer');
+const Payment = require('../models/Payment');
+const CreditNote = require('../models/CreditNote');
+const ErrorResponse = require('./errorResponse');
+const { roundAmount } = require('./pricingEngine');
+const { baseCurrency } = require('./exchangeRates');
+const { allocate } = require('./installments');
+
+// Days past due each bucket runs up to; the last one is open-ended
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 0 },
+  { key: 'days1to30', label: '1-30 days', maxDays: 30 },
+  { key: 'days31to60', label: '31-60 days', maxDays: 60 },
+  { key: 'days61to90', label: '61-90 days', maxDays: 90 },
+  { key: 'over90', label: '90+ days', maxDays: Infinity }
+];
+
+// Nothing is owed on sales in these statuses
+const CLOSED_STATUSES = ['cancelled', 'refunded'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Populated references are used by id
+const idOf = value => (value && value._id) || value;
+
+/**
+ * An id filter value as an ObjectId; aggregation does not cast them
+ * @throws {ErrorResponse} - 400 if it is not a valid id
+ */
+const objectIdOf = (value, label) => {
+  if (!mongoose.isValidObjectId(value)) {
+    throw new ErrorResponse(`Invalid ${label} id: ${value}`, 400);
+  }
+  return new mongoose.Types.ObjectId(String(idOf(value)));
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * The end of the day a report is run as of; now when no date is given
+ * @throws {ErrorResponse} - 400 if the date is invalid
+ * @returns {Date}
+ */
+const parseAsOf = (value) => {
+  if (!value) {
+    return new Date();
+  }
+
+  const asOf = new Date(value);
+  if (isNaN(asOf.getTime())) {
+    throw new ErrorResponse(`Invalid date: ${value}`, 400);
+  }
+  asOf.setHours(23, 59, 59, 999);
+
+  return asOf;
+};
+
+/**
+ * Whole days a sale is past due on a day. Sales without a due date are due
+ * on the day they were made.
+ * @returns {Number} - Zero or less when not yet due
+ */
+const daysPastDue = (sale, asOf) =>
+  Math.round((startOfDay(asOf) - startOfDay(sale.dueDate || sale.createdAt)) / DAY_MS);
+
+/**
+ * The aging bucket for a number of days past due
+ * @returns {String} - Bucket key
+ */
+const bucketOf = days => AGING_BUCKETS.find(bucket => days <= bucket.maxDays).key;
+
+const emptyBuckets = () =>
+  AGING_BUCKETS.reduce((buckets, bucket) => ({ ...buckets, [bucket.key]: 0 }), {});
+
+/**
+ * What is owed on a sale by due date: one part per installment still unpaid
+ * on a plan, settled earliest first, or the whole outstanding amount
+ * @returns {Array} - [{ installment, installments, dueDate, outstanding, daysPastDue }]
+ */
+const partsOf = (sale, outstanding, asOf) => {
+  if (!sale.installments || sale.installments.length === 0) {
+    return [{ dueDate: sale.dueDate || sale.createdAt, outstanding, daysPastDue: daysPastDue(sale, asOf) }];
+  }
+
+  const paid = allocate(sale.installments, sale.total - outstanding);
+
+  return sale.installments
+    .map((installment, index) => ({
+      installment: installment.sequence,
+      installments: sale.installments.length,
+      dueDate: installment.dueDate,
+      outstanding: roundAmount(installment.amount - paid[index]),
+      daysPastDue: daysPastDue(installment, asOf)
+    }))
+    .filter(part => part.outstanding > 0);
+};
+
+/**
+ * Sales with something still owed on them as it stood on a day, worked out
+ * from the payments and credit notes up to then rather than from the
+ * stored balance. Sales on a plan are past due from their earliest unpaid
+ * installment.
+ * @param {Object} options - { asOf, branch, customer }
+ * @returns {Promise<Array>} - [{ sale, outstanding, daysPastDue, parts }] oldest due first;
+ *   sales are plain records with the customer as an id
+ */
+const getOpenSales = async (options = {}) => {
+  const asOf = options.asOf || new Date();
+  const query = {
+    createdAt: { $lte: asOf },
+    status: { $nin: CLOSED_STATUSES }
+  };
+
+  if (options.branch) {
+    query.branch = objectIdOf(options.branch, 'branch');
+  }
+  if (options.customer) {
+    query.customer = objectIdOf(options.customer, 'customer');
+  }
+
+  // Aggregated so the customer stays an id: the sale's find hook populates it from users
+  const sales = await Sale.aggregate([
+    { $match: query },
+    {
+      $project: {
+        saleNumber: 1,
+        customer: 1,
+        branch: 1,
+        total: 1,
+        currency: 1,
+        exchangeRate: 1,
+        dueDate: 1,
+        installments: 1,
+        status: 1,
+        createdAt: 1
+      }
+    }
+  ]);
+
+  if (sales.length === 0) {
+    return [];
+  }
+
+  const saleIds = sales.map(sale => sale._id);
+
+  // Payments voided after the day still counted on it
+  const paid = await Payment.aggregate([
+    {
+      $match: {
+        sale: { $in: saleIds },
+        paymentDate: { $lte: asOf },
+        $or: [{ status: 'posted' }, { voidedAt: { $gt: asOf } }]
+      }
+    },
+    { $group: { _id: '$sale', amount: { $sum: '$appliedAmount' } } }
+  ]);
+  const returned = await CreditNote.aggregate([
+    { $match: { sale: { $in: saleIds }, createdAt: { $lte: asOf } } },
+    {
+      $group: {
+        _id: '$sale',
+        total: { $sum: '$total' },
+        givenBack: { $sum: { $add: ['$refundAmount', '$creditAmount'] } }
+      }
+    }
+  ]);
+
+  const paidBySale = new Map(paid.map(row => [String(row._id), row.amount]));
+  const returnedBySale = new Map(returned.map(row => [String(row._id), row]));
+
+  return sales
+    .map(sale => {
+      const returns = returnedBySale.get(String(sale._id)) || { total: 0, givenBack: 0 };
+      const outstanding = roundAmount(
+        sale.total - returns.total - (paidBySale.get(String(sale._id)) || 0) + returns.givenBack
+      );
+
+      if (outstanding <= 0) {
+        return null;
+      }
+
+      const parts = partsOf(sale, outstanding, asOf);
+      return { sale, outstanding, daysPastDue: parts[0].daysPastDue, parts };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.daysPastDue - a.daysPastDue);
+};
+
+/**
+ * Outstanding balances per customer, bucketed by how far past due they are.
+ * Installments of a plan are aged each from their own due date.
+ * Amounts are in the base currency, converted with each sale's locked rate,
+ * unless another currency is asked for, which reports only the sales made in it.
+ * @param {Object} options - { asOf, branch, customer, currency }
+ * @returns {Promise<Object>} - { asOf, currency, buckets, totals, customers: [{ customer, ...buckets, total, sales }] }
+ */
+const getReceivablesAging = async (options = {}) => {
+  const currency = options.currency || baseCurrency;
+  const asOf = options.asOf || new Date();
+
+  const open = (await getOpenSales({ ...options, asOf }))
+    .filter(({ sale }) => currency === baseCurrency || sale.currency === currency);
+
+  const totals = { ...emptyBuckets(), total: 0 };
+  const byCustomer = new Map();
+
+  open.forEach(({ sale, parts }) => parts.forEach(part => {
+    const days = part.daysPastDue;
+    const bucket = bucketOf(days);
+    const amount = currency === baseCurrency
+      ? roundAmount(part.outstanding * (sale.exchangeRate || 1))
+      : part.outstanding;
+    const customerId = sale.customer ? String(sale.customer) : 'none';
+
+    if (!byCustomer.has(customerId)) {
+      byCustomer.set(customerId, {
+        customer: sale.customer || null,
+        ...emptyBuckets(),
+        total: 0,
+        sales: []
+      });
+    }
+
+    const row = byCustomer.get(customerId);
+    row[bucket] = roundAmount(row[bucket] + amount);
+    row.total = roundAmount(row.total + amount);
+    row.sales.push({
+      _id: sale._id,
+      saleNumber: sale.saleNumber,
+      branch: sale.branch,
+      saleDate: sale.createdAt,
+      // Installment number and count, on a plan
+      installment: part.installment,
+      installments: part.installments,
+      dueDate: part.dueDate,
+      daysPastDue: Math.max(days, 0),
+      bucket,
+      currency: sale.currency,
+      total: sale.total,
+      outstanding: part.outstanding,
+      amount
+    });
+
+    totals[bucket] = roundAmount(totals[bucket] + amount);
+    totals.total = roundAmount(totals.total + amount);
+  }));
+
+  // Rows are grouped by customer id; the names come from the customer records
+  const customers = await Customer.find({ _id: { $in: open.map(({ sale }) => sale.customer).filter(Boolean) } })
+    .select('name contactPerson phone');
+  const customerById = new Map(customers.map(customer => [String(customer._id), customer]));
+  byCustomer.forEach(row => {
+    row.customer = row.customer ? customerById.get(String(row.customer)) || { _id: row.customer } : null;
+  });
+
+  return {
+    asOf,
+    currency,
+    buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    totals,
+    customers: [...byCustomer.values()].sort((a, b) => b.total - a.total)
+  };
+};
+
+module.exports = {
+  AGING_BUCKETS,
+  parseAsOf,
+  daysPastDue,
+  bucketOf,
+  getOpenSales,
+  getReceivablesAging
+};
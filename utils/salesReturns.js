@@ -0,0 +1,208 @@
+const Sale = require('../models/Sale');
+const CreditNote = require('../models/CreditNote');
+const Invoice = require('../models/Invoice');
+const ErrorResponse = require('./errorResponse');
+const runInTransaction = require('./transaction');
+const { nextNumber } = require('./numberingService');
+const { roundAmount } = require('./pricingEngine');
+const { resolveBranch, recordMovement } = require('./stockService');
+const { REFUND_METHODS, balanceOf, applyPayments, adjustCredit } = require('./payments');
+
+const CONDITIONS = ['resellable', 'damaged'];
+const SETTLEMENTS = ['refund', 'credit'];
+
+// Returns cannot be taken on sales in these statuses
+const CLOSED_STATUSES = ['cancelled', 'refunded'];
+
+// Populated references are used by id
+const idOf = value => (value && value._id) || value;
+
+// A sale's customer is a customer record, which the sale's find hook does not
+// populate; populated() still gives back the stored id
+const customerIdOf = sale => sale.populated('customer') || idOf(sale.customer);
+
+/**
+ * Share of a sale line amount for a returned quantity. Shares are taken from
+ * the running returned quantity, so the returns of a whole line always add
+ * up to the line amount.
+ */
+const shareOf = (amount, line, quantity) => {
+  const returned = line.returnedQuantity || 0;
+  return roundAmount(
+    roundAmount(amount * (returned + quantity) / line.quantity) -
+    roundAmount(amount * returned / line.quantity)
+  );
+};
+
+/**
+ * Check the returned lines against what is left to return on the sale
+ * @param {Sale} sale
+ * @param {Array} items - [{ item: sale line id, quantity, condition }]
+ * @returns {Array} - [{ line, quantity, condition }]
+ * @throws {ErrorResponse} - 400 on an unknown line, a bad quantity or condition
+ */
+const planReturn = (sale, items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ErrorResponse('Please add the items being returned', 400);
+  }
+
+  const seen = new Set();
+
+  return items.map(({ item, quantity, condition }) => {
+    const line = item && sale.items.id(item);
+
+    if (!line) {
+      throw new ErrorResponse(`Item ${item} is not on sale ${sale.saleNumber}`, 400);
+    }
+    if (seen.has(String(line._id))) {
+      throw new ErrorResponse(`${line.description} is listed more than once`, 400);
+    }
+    seen.add(String(line._id));
+
+    const returnable = line.quantity - (line.returnedQuantity || 0);
+    const count = Number(quantity);
+
+    if (!Number.isInteger(count) || count < 1) {
+      throw new ErrorResponse(`Return quantity for ${line.description} must be a whole number of at least 1`, 400);
+    }
+    if (count > returnable) {
+      throw new ErrorResponse(
+        `Only ${returnable} of ${line.description} can still be returned; ${count} requested`,
+        400
+      );
+    }
+    if (!CONDITIONS.includes(condition)) {
+      throw new ErrorResponse(`Condition of ${line.description} must be one of ${CONDITIONS.join(', ')}`, 400);
+    }
+
+    return { line, quantity: count, condition };
+  });
+};
+
+/**
+ * Take goods back from a sale and issue a credit note for them. The credit is
+ * first taken off what is still owed on the sale; the rest is paid back
+ * (settlement 'refund') or kept as customer credit (settlement 'credit').
+ * Resellable goods go back into stock at the return branch.
+ * @param {ObjectId} saleId
+ * @param {Object} input - { items: [{ item, quantity, condition }], reason, settlement, refundMethod, refundReference, branch, notes }
+ * @param {Object} user - User taking the return
+ * @returns {Promise<Object>} - { creditNote, sale }
+ * @throws {ErrorResponse} - 400 on invalid input, 404 if there is no sale, 409 if it takes no returns
+ */
+const createReturn = async (saleId, input, user) => {
+  const reason = input.reason ? String(input.reason).trim() : '';
+  const settlement = input.settlement || 'credit';
+
+  if (!reason) {
+    throw new ErrorResponse('Please add a reason for the return', 400);
+  }
+  if (!SETTLEMENTS.includes(settlement)) {
+    throw new ErrorResponse(`Settlement must be one of ${SETTLEMENTS.join(', ')}`, 400);
+  }
+
+  return runInTransaction(async (session) => {
+    const sale = await Sale.findById(saleId).session(session);
+
+    if (!sale) {
+      throw new ErrorResponse(`Sale not found with id of ${saleId}`, 404);
+    }
+    if (CLOSED_STATUSES.includes(sale.status)) {
+      throw new ErrorResponse(`Sale ${sale.saleNumber} is ${sale.status}; returns can no longer be taken`, 409);
+    }
+
+    const planned = planReturn(sale, input.items);
+    const invoice = await Invoice.findOne({ sale: sale._id }).select('_id').session(session);
+    const branch = resolveBranch(input.branch, sale.branch, user.branch);
+
+    const items = planned.map(({ line, quantity, condition }) => {
+      const gross = shareOf(roundAmount(line.quantity * line.unitPrice), line, quantity);
+      const discountAmount = shareOf(line.discountAmount || 0, line, quantity);
+      const tax = shareOf(line.tax || 0, line, quantity);
+
+      return {
+        saleItem: line._id,
+        inventory: idOf(line.inventory),
+        description: line.description,
+        quantity,
+        unitPrice: line.unitPrice,
+        discountAmount,
+        tax,
+        total: roundAmount(gross - discountAmount + tax),
+        condition,
+        gross
+      };
+    });
+
+    const sum = field => roundAmount(items.reduce((acc, item) => acc + item[field], 0));
+    const subtotal = sum('gross');
+    const discountAmount = sum('discountAmount');
+    const taxAmount = sum('tax');
+    const total = roundAmount(subtotal - discountAmount + taxAmount);
+
+    const appliedAmount = Math.min(total, Math.max(balanceOf(sale), 0));
+    const remainder = roundAmount(total - appliedAmount);
+    const refundAmount = settlement === 'refund' ? remainder : 0;
+    const creditAmount = settlement === 'credit' ? remainder : 0;
+
+    if (refundAmount > 0 && !REFUND_METHODS.includes(input.refundMethod)) {
+      throw new ErrorResponse(`Refund method must be one of ${REFUND_METHODS.join(', ')}`, 400);
+    }
+
+    const [creditNote] = await CreditNote.create([{
+      creditNoteNumber: await nextNumber('credit_note', { session }),
+      sale: sale._id,
+      customer: customerIdOf(sale),
+      invoice: invoice ? invoice._id : undefined,
+      branch,
+      // gross is derived, not stored
+      items: items.map(({ gross, ...item }) => item),
+      reason,
+      subtotal,
+      discountAmount,
+      taxAmount,
+      total,
+      currency: sale.currency,
+      exchangeRate: sale.exchangeRate,
+      settlement,
+      appliedAmount,
+      refundAmount,
+      creditAmount,
+      refundMethod: refundAmount > 0 ? input.refundMethod : undefined,
+      refundReference: refundAmount > 0 ? input.refundReference : undefined,
+      notes: input.notes,
+      createdBy: user.id
+    }], { session });
+
+    if (creditAmount > 0) {
+      await adjustCredit(customerIdOf(sale), sale.currency, creditAmount, { session });
+    }
+
+    // Resellable goods go back on the shelf; damaged ones are only recorded
+    for (const { line, quantity, condition } of planned) {
+      if (condition === 'resellable') {
+        await recordMovement({
+          inventory: line.inventory,
+          branch,
+          quantity,
+          reason: 'return',
+          source: { type: 'CreditNote', id: creditNote._id, number: creditNote.creditNoteNumber },
+          user: user.id,
+          notes: `Returned from sale ${sale.saleNumber}`
+        }, { session });
+      }
+
+      line.returnedQuantity = (line.returnedQuantity || 0) + quantity;
+    }
+
+    return {
+      creditNote,
+      sale: await applyPayments(sale, { session })
+    };
+  });
+};
+
+module.exports = {
+  CONDITIONS,
+  createReturn
+};
@@ -0,0 +1,74 @@
+const { runQuotationExpiry } = require('./quotationExpiry');
+const { runDunning } = require('./dunning');
+
+// Periodic jobs run inside the API process. They are only started on
+// long-running servers: serverless deployments (Vercel) don't stay alive
+// between requests.
+
+const minutes = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const JOBS = [
+  {
+    name: 'quotation-expiry',
+    intervalMinutes: minutes(process.env.QUOTATION_EXPIRY_CHECK_MINUTES, 60),
+    run: runQuotationExpiry
+  },
+  {
+    name: 'dunning',
+    intervalMinutes: minutes(process.env.DUNNING_CHECK_MINUTES, 60),
+    run: runDunning
+  }
+];
+
+const timers = [];
+
+/**
+ * Run a job, skipping the run if the previous one has not finished
+ */
+const runJob = async (job) => {
+  if (job.running) {
+    return;
+  }
+
+  job.running = true;
+  try {
+    await job.run();
+  } catch (err) {
+    console.error(`Scheduled job ${job.name} failed:`, err);
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Start all jobs: each runs once now and then on its interval
+ */
+const startScheduler = () => {
+  if (timers.length > 0) {
+    return;
+  }
+
+  JOBS.forEach(job => {
+    runJob(job);
+
+    const timer = setInterval(() => runJob(job), job.intervalMinutes * 60 * 1000);
+    // Don't keep the process alive just for the scheduler
+    timer.unref();
+    timers.push(timer);
+  });
+};
+
+/**
+ * Stop all jobs (on shutdown)
+ */
+const stopScheduler = () => {
+  timers.splice(0).forEach(timer => clearInterval(timer));
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const ErrorResponse = require('./errorResponse');
+
+// Share tokens carry their own audience so they can never pass as a login token
+const AUDIENCE = 'quotation-share';
+
+const secret = () => process.env.SHARE_TOKEN_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Days a share link stays valid when the admin does not say
+ * @returns {Number}
+ */
+const defaultShareDays = () => {
+  const days = parseInt(process.env.QUOTATION_SHARE_LINK_DAYS, 10);
+  return Number.isInteger(days) && days > 0 ? days : 14;
+};
+
+/**
+ * Sign a public share token for a quotation
+ * @param {Quotation} quotation - Quotation to share
+ * @param {Date} expiresAt - When the link stops working
+ * @returns {Object} - { token, tokenId } - tokenId is stored on the quotation
+ */
+const createShareToken = (quotation, expiresAt) => {
+  const tokenId = crypto.randomBytes(16).toString('hex');
+  const token = jwt.sign(
+    {
+      qid: quotation._id.toString(),
+      exp: Math.floor(expiresAt.getTime() / 1000)
+    },
+    secret(),
+    { audience: AUDIENCE, jwtid: tokenId }
+  );
+
+  return { token, tokenId };
+};
+
+/**
+ * Check a share token's signature, expiry and audience
+ * @returns {Object} - { quotationId, tokenId }
+ * @throws {ErrorResponse} - 401 if the token is invalid or expired
+ */
+const verifyShareToken = (token) => {
+  try {
+    const payload = jwt.verify(token, secret(), { audience: AUDIENCE });
+    return { quotationId: payload.qid, tokenId: payload.jti };
+  } catch (err) {
+    throw new ErrorResponse('This quotation link is invalid or has expired', 401);
+  }
+};
+
+module.exports = {
+  defaultShareDays,
+  createShareToken,
+  verifyShareToken
+};
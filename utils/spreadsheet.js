@@ -0,0 +1,42 @@
+const XLSX = require('xlsx');
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Build an .xlsx workbook with one sheet per entry
+ * @param {Array} sheets - [{ name, rows: [{ column: value }] }]; columns follow the first row's keys
+ * @returns {Buffer}
+ */
+const buildWorkbook = (sheets) => {
+  const workbook = XLSX.utils.book_new();
+
+  sheets.forEach(({ name, rows }) => {
+    // Sheet names are limited to 31 characters
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), name.slice(0, 31));
+  });
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+/**
+ * Send a workbook as a download
+ * @param {Response} res
+ * @param {String} filename - Without the extension
+ * @param {Array} sheets - As for buildWorkbook
+ */
+const sendWorkbook = (res, filename, sheets) => {
+  const workbook = buildWorkbook(sheets);
+
+  res.set({
+    'Content-Type': XLSX_MIME_TYPE,
+    'Content-Disposition': `attachment; filename="${filename.replace(/[^\w.-]+/g, '-')}.xlsx"`,
+    'Content-Length': workbook.length
+  });
+  res.send(workbook);
+};
+
+module.exports = {
+  XLSX_MIME_TYPE,
+  buildWorkbook,
+  sendWorkbook
+};
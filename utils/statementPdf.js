@@ -0,0 +1,111 @@
+const {
+  MARGIN,
+  formatMoney,
+  formatDate,
+  createDocument,
+  drawHeader,
+  drawParty,
+  drawTable,
+  drawTotals,
+  finishDocument
+} = require('./pdfRenderer');
+
+const COLUMNS = [
+  { key: 'date', header: 'Date', width: 13 },
+  { key: 'reference', header: 'Reference', width: 17 },
+  { key: 'description', header: 'Description', width: 31 },
+  { key: 'debit', header: 'Debit', width: 13, align: 'right' },
+  { key: 'credit', header: 'Credit', width: 13, align: 'right' },
+  { key: 'balance', header: 'Balance', width: 13, align: 'right' }
+];
+
+const amountOrBlank = amount => (amount ? formatMoney(amount) : '');
+
+/**
+ * One customer's statement, starting on the current page
+ */
+const drawStatement = (doc, template, statement) => {
+  const customer = statement.customer || {};
+
+  drawHeader(doc, template, template.title || 'STATEMENT OF ACCOUNT', [
+    ['Period', `${formatDate(statement.from)} - ${formatDate(statement.to)}`],
+    ['Statement Date', formatDate(statement.to)]
+  ]);
+
+  drawParty(doc, template, 'Statement for', [
+    customer.name || customer.contactPerson,
+    customer.address,
+    [customer.phone, customer.taxId && `Tax ID: ${customer.taxId}`].filter(Boolean).join('  |  ')
+  ]);
+
+  if (statement.accounts.length === 0) {
+    doc.font('Helvetica').fontSize(template.fontSize).fillColor('black')
+      .text('No activity in this period.', MARGIN);
+    return;
+  }
+
+  statement.accounts.forEach(account => {
+    doc.font('Helvetica-Bold').fontSize(template.fontSize).fillColor(template.accentColor)
+      .text(`ACCOUNT IN ${account.currency}`, MARGIN);
+    doc.moveDown(0.5);
+
+    drawTable(doc, template, COLUMNS, [
+      {
+        date: formatDate(statement.from),
+        description: 'Opening balance',
+        balance: formatMoney(account.openingBalance)
+      },
+      ...account.entries.map(entry => ({
+        date: formatDate(entry.date),
+        reference: entry.reference,
+        description: entry.description,
+        debit: amountOrBlank(entry.debit),
+        credit: amountOrBlank(entry.credit),
+        balance: formatMoney(entry.balance)
+      }))
+    ]);
+
+    drawTotals(doc, template, [
+      ['Opening Balance', formatMoney(account.openingBalance)],
+      ['Debits', formatMoney(account.totalDebits)],
+      ['Credits', formatMoney(account.totalCredits)],
+      [`Closing Balance (${account.currency})`, formatMoney(account.closingBalance)]
+    ]);
+  });
+};
+
+/**
+ * Render statements to one PDF, each customer starting on a new page
+ * @param {Array} statements - As returned by utils/statements
+ * @param {Object} options - { template, period: { from, to } }
+ * @returns {Promise<Buffer>}
+ */
+const renderStatementsPdf = (statements, { template, period }) => {
+  const single = statements.length === 1 && statements[0].customer;
+
+  const doc = createDocument(template, {
+    title: single ? `Statement for ${single.name}` : 'Statements of account',
+    subject: `${formatDate(period.from)} - ${formatDate(period.to)}`,
+    date: period.to
+  });
+
+  statements.forEach((statement, index) => {
+    if (index > 0) {
+      doc.addPage();
+    }
+    drawStatement(doc, template, statement);
+  });
+
+  if (statements.length === 0) {
+    drawHeader(doc, template, template.title || 'STATEMENT OF ACCOUNT', [
+      ['Period', `${formatDate(period.from)} - ${formatDate(period.to)}`]
+    ]);
+    doc.text('No customer has a balance at the end of this period.', MARGIN);
+  }
+
+  return finishDocument(doc, template);
+};
+
+module.exports = {
+  renderStatementsPdf
+};
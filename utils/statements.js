@@ -0,0 +1,248 @@
+const Sale = require('../models/Sale');
+const Payment = require('../models/Payment');
+const CreditNote = require('../models/CreditNote');
+const Customer = require('../models/Customer');
+const ErrorResponse = require('./errorResponse');
+const { roundAmount } = require('./pricingEngine');
+
+// Populated references are used by id
+const idOf = value => (value && value._id) || value;
+
+// Customer details a statement is addressed with
+const CUSTOMER_FIELDS = 'name contactPerson phone address taxId';
+
+/**
+ * The statement period: the start of the from day to the end of the to day.
+ * Defaults to the current month up to today.
+ * @param {Object} query - { from, to }
+ * @returns {Object} - { from, to }
+ * @throws {ErrorResponse} - 400 if a date is invalid or from is after to
+ */
+const parsePeriod = (query = {}) => {
+  const now = new Date();
+  const from = query.from ? new Date(query.from) : new Date(now.getFullYear(), now.getMonth(), 1);
+  const to = query.to ? new Date(query.to) : new Date(now);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    throw new ErrorResponse('Please provide valid from and to dates', 400);
+  }
+
+  from.setHours(0, 0, 0, 0);
+  to.setHours(23, 59, 59, 999);
+
+  if (from > to) {
+    throw new ErrorResponse('The from date must be on or before the to date', 400);
+  }
+
+  return { from, to };
+};
+
+/**
+ * Everything that moved customers' balances up to a date. Sales are debits;
+ * payments and credit notes are credits. Refunds paid out and voided payments
+ * are debits on the day they happened. Payments made from customer credit
+ * are left out: the credit was already counted when it was created.
+ * @param {Object} options - { customer, to }
+ * @returns {Promise<Array>} - [{ customer, currency, date, type, reference, description, debit, credit }] by date
+ */
+const ledgerEntries = async ({ customer, to }) => {
+  const byCustomer = customer ? { customer } : {};
+
+  // Sales and credit notes are aggregated so the customer stays an id:
+  // their find hooks populate it from users
+  const sales = await Sale.aggregate([
+    { $match: { ...byCustomer, status: { $ne: 'cancelled' }, createdAt: { $lte: to } } },
+    { $project: { saleNumber: 1, customer: 1, total: 1, currency: 1, createdAt: 1 } }
+  ]);
+  const payments = await Payment.find({ ...byCustomer, method: { $ne: 'credit' }, paymentDate: { $lte: to } })
+    .select('paymentNumber customer sale amount currency method referenceNumber paymentDate status voidedAt')
+    .populate('sale', 'saleNumber')
+    .lean();
+  const creditNotes = await CreditNote.aggregate([
+    { $match: { ...byCustomer, createdAt: { $lte: to } } },
+    {
+      $lookup: {
+        from: Sale.collection.name,
+        let: { sale: '$sale' },
+        pipeline: [{ $match: { $expr: { $eq: ['$_id', '$$sale'] } } }, { $project: { saleNumber: 1 } }],
+        as: 'sale'
+      }
+    },
+    {
+      $project: {
+        creditNoteNumber: 1,
+        customer: 1,
+        sale: { $arrayElemAt: ['$sale', 0] },
+        total: 1,
+        refundAmount: 1,
+        currency: 1,
+        createdAt: 1
+      }
+    }
+  ]);
+
+  const entries = [];
+  const entry = (document, values) => entries.push({
+    customer: String(idOf(document.customer)),
+    currency: document.currency,
+    debit: 0,
+    credit: 0,
+    ...values
+  });
+  const saleNumberOf = document => (document.sale ? ` on sale ${document.sale.saleNumber}` : '');
+
+  sales.forEach(sale => entry(sale, {
+    date: sale.createdAt,
+    type: 'sale',
+    reference: sale.saleNumber,
+    description: 'Sale',
+    debit: sale.total
+  }));
+
+  payments.forEach(payment => {
+    entry(payment, {
+      date: payment.paymentDate,
+      type: 'payment',
+      reference: payment.paymentNumber,
+      description: `Payment (${payment.method.replace('_', ' ')}${payment.referenceNumber ? ` ${payment.referenceNumber}` : ''})${saleNumberOf(payment)}`,
+      credit: payment.amount
+    });
+
+    if (payment.status === 'voided' && payment.voidedAt <= to) {
+      entry(payment, {
+        date: payment.voidedAt,
+        type: 'payment_void',
+        reference: payment.paymentNumber,
+        description: 'Payment voided',
+        debit: payment.amount
+      });
+    }
+  });
+
+  creditNotes.forEach(note => {
+    entry(note, {
+      date: note.createdAt,
+      type: 'credit_note',
+      reference: note.creditNoteNumber,
+      description: `Return${saleNumberOf(note)}`,
+      credit: note.total
+    });
+
+    if (note.refundAmount > 0) {
+      entry(note, {
+        date: note.createdAt,
+        type: 'refund',
+        reference: note.creditNoteNumber,
+        description: 'Refund paid',
+        debit: note.refundAmount
+      });
+    }
+  });
+
+  return entries.sort((a, b) => a.date - b.date);
+};
+
+/**
+ * One customer's statement for a period, with an account per currency they
+ * were billed in: the opening balance, the period's entries with a running
+ * balance, and the closing balance. A negative balance is credit the
+ * customer holds.
+ */
+const statementOf = (customer, entries, { from, to }) => {
+  const accounts = new Map();
+
+  entries.forEach(item => {
+    if (!accounts.has(item.currency)) {
+      accounts.set(item.currency, {
+        currency: item.currency,
+        openingBalance: 0,
+        totalDebits: 0,
+        totalCredits: 0,
+        closingBalance: 0,
+        entries: []
+      });
+    }
+
+    const account = accounts.get(item.currency);
+    const change = item.debit - item.credit;
+
+    if (item.date < from) {
+      account.openingBalance = roundAmount(account.openingBalance + change);
+      account.closingBalance = account.openingBalance;
+      return;
+    }
+
+    account.totalDebits = roundAmount(account.totalDebits + item.debit);
+    account.totalCredits = roundAmount(account.totalCredits + item.credit);
+    account.closingBalance = roundAmount(account.closingBalance + change);
+    account.entries.push({
+      date: item.date,
+      type: item.type,
+      reference: item.reference,
+      description: item.description,
+      debit: item.debit,
+      credit: item.credit,
+      balance: account.closingBalance
+    });
+  });
+
+  return {
+    customer,
+    from,
+    to,
+    accounts: [...accounts.values()]
+      // Currencies with nothing in the period or owed
+      .filter(account => account.entries.length > 0 || account.openingBalance !== 0)
+      .sort((a, b) => a.currency.localeCompare(b.currency))
+  };
+};
+
+/**
+ * A customer's statement of account for a period
+ * @param {ObjectId} customerId - Customer the sales were made to
+ * @param {Object} period - { from, to } as returned by parsePeriod
+ * @returns {Promise<Object>} - { customer, from, to, accounts: [{ currency, openingBalance, totalDebits, totalCredits, closingBalance, entries }] }
+ * @throws {ErrorResponse} - 404 if there is no such customer
+ */
+const getStatement = async (customerId, period) => {
+  const customer = await Customer.findById(customerId).select(CUSTOMER_FIELDS).catch(() => null);
+
+  if (!customer) {
+    throw new ErrorResponse(`Customer not found with id of ${customerId}`, 404);
+  }
+
+  const entries = await ledgerEntries({ customer: customer._id, to: period.to });
+  return statementOf(customer, entries, period);
+};
+
+/**
+ * Statements for every customer whose balance at the end of the period is
+ * not zero in some currency, by customer name
+ * @param {Object} period - { from, to } as returned by parsePeriod
+ * @returns {Promise<Array>} - Statements as returned by getStatement
+ */
+const getOpenStatements = async (period) => {
+  const entries = await ledgerEntries({ to: period.to });
+
+  const byCustomer = new Map();
+  entries.forEach(item => {
+    if (!byCustomer.has(item.customer)) {
+      byCustomer.set(item.customer, []);
+    }
+    byCustomer.get(item.customer).push(item);
+  });
+
+  const customers = await Customer.find({ _id: { $in: [...byCustomer.keys()] } })
+    .select(CUSTOMER_FIELDS)
+    .sort('name');
+
+  return customers
+    .map(customer => statementOf(customer, byCustomer.get(String(customer._id)), period))
+    .filter(statement => statement.accounts.some(account => account.closingBalance !== 0));
+};
+
+module.exports = {
+  parsePeriod,
+  getStatement,
+  getOpenStatements
+};
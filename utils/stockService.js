@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const StockLevel = require('../models/StockLevel');
+const StockMovement = require('../models/StockMovement');
+const ErrorResponse = require('./errorResponse');
+
+/**
+ * Pick the branch a stock change applies to.
+ * Candidates are checked in order; DEFAULT_BRANCH_ID is the last resort.
+ * @param {...(ObjectId|String|Object)} candidates - Branch ids or populated branches
+ * @returns {ObjectId|String} - The resolved branch id
+ */
+const resolveBranch = (...candidates) => {
+  const branch = candidates.find(Boolean) || process.env.DEFAULT_BRANCH_ID;
+
+  if (!branch) {
+    throw new ErrorResponse('Please add a branch. No branch could be determined for this stock change.', 400);
+  }
+
+  return branch._id || branch;
+};
+
+/**
+ * Get the on-hand quantity of an item at a branch
+ * @returns {Promise<Number>}
+ */
+const getQuantity = async (inventoryId, branchId, options = {}) => {
+  const level = await StockLevel.findOne({ inventory: inventoryId, branch: branchId })
+    .session(options.session || null);
+
+  return level ? level.quantity : 0;
+};
+
+/**
+ * Add (positive delta) or remove (negative delta) stock for an item at a branch.
+ * The stock level is created on first use. Only called through recordMovement
+ * so that every change lands in the ledger.
+ * @param {ObjectId} inventoryId - Inventory item
+ * @param {ObjectId} branchId - Branch holding the stock
+ * @param {Number} delta - Signed quantity change
+ * @param {Object} options - { session, allowNegative }
+ * @returns {Promise<StockLevel>} - The updated stock level
+ */
+const adjustStock = async (inventoryId, branchId, delta, options = {}) => {
+  const { session = null, allowNegative = true } = options;
+  const change = Number(delta);
+
+  if (!Number.isFinite(change)) {
+    throw new ErrorResponse(`Invalid stock quantity: ${delta}`, 400);
+  }
+
+  const filter = { inventory: inventoryId, branch: branchId };
+  const update = {
+    $inc: { quantity: change },
+    $set: { updatedAt: Date.now() }
+  };
+
+  // Only take stock out when enough is on hand, in a single atomic update
+  if (!allowNegative && change < 0) {
+    const level = await StockLevel.findOneAndUpdate(
+      { ...filter, quantity: { $gte: -change } },
+      update,
+      { new: true, session }
+    );
+
+    if (!level) {
+      const available = await getQuantity(inventoryId, branchId, { session });
+      throw new ErrorResponse(
+        `Not enough stock in source branch. Available: ${available}, Requested: ${-change}`,
+        400
+      );
+    }
+
+    return level;
+  }
+
+  return StockLevel.findOneAndUpdate(filter, update, {
+    new: true,
+    upsert: true,
+    setDefaultsOnInsert: true,
+    session
+  });
+};
+
+/**
+ * Post a movement to the stock ledger and apply it to the branch stock level.
+ * A zero quantity changes nothing and posts nothing.
+ * @param {Object} movement - { inventory, branch, quantity, reason, source: { type, id, number }, user, notes }
+ * @param {Object} options - { session, allowNegative }
+ * @returns {Promise<StockMovement|null>} - The ledger entry, null for a zero quantity
+ */
+const recordMovement = async (movement, options = {}) => {
+  const { reason, source = {}, user, notes } = movement;
+  const inventory = movement.inventory._id || movement.inventory;
+  const branch = movement.branch._id || movement.branch;
+  const quantity = Number(movement.quantity);
+
+  if (quantity === 0) {
+    return null;
+  }
+
+  const level = await adjustStock(inventory, branch, quantity, options);
+
+  const [entry] = await StockMovement.create([{
+    inventory,
+    branch,
+    quantity,
+    reason,
+    sourceType: source.type,
+    sourceId: source.id,
+    sourceNumber: source.number,
+    balanceAfter: level.quantity,
+    notes,
+    createdBy: user
+  }], { session: options.session || null });
+
+  return entry;
+};
+
+/**
+ * Rebuild on-hand stock from the ledger as it stood at a point in time
+ * @param {Date} asOf - Include movements up to and including this moment
+ * @param {Object} filters - { inventory, branch }
+ * @returns {Promise<Array>} - [{ inventory, branch, quantity, movements }]
+ */
+const getOnHandAsOf = (asOf, filters = {}) => {
+  const match = { createdAt: { $lte: asOf } };
+
+  if (filters.inventory) {
+    match.inventory = new mongoose.Types.ObjectId(filters.inventory);
+  }
+
+  if (filters.branch) {
+    match.branch = new mongoose.Types.ObjectId(filters.branch);
+  }
+
+  return StockMovement.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { inventory: '$inventory', branch: '$branch' },
+        quantity: { $sum: '$quantity' },
+        movements: { $sum: 1 }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        inventory: '$_id.inventory',
+        branch: '$_id.branch',
+        quantity: 1,
+        movements: 1
+      }
+    },
+    { $sort: { inventory: 1, branch: 1 } }
+  ]);
+};
+
+/**
+ * Get all branch stock levels for an item
+ * @returns {Promise<Array>}
+ */
+const getStockLevels = (inventoryId) =>
+  StockLevel.find({ inventory: inventoryId })
+    .populate('branch', 'name')
+    .sort({ quantity: -1 });
+
+module.exports = {
+  resolveBranch,
+  getQuantity,
+  recordMovement,
+  getOnHandAsOf,
+  getStockLevels
+};
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+/**
+ * Run a unit of work inside a MongoDB transaction.
+ * The callback receives the session to pass to every read and write; anything
+ * it throws aborts the transaction, and transient conflicts are retried.
+ * Transactions need a replica set (MongoDB Atlas clusters always are).
+ * @param {Function} work - async (session) => result
+ * @returns {Promise<*>} - Whatever the callback returned
+ */
+const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = runInTransaction;
@@ -162,6 +162,23 @@ class WebSocketService {
     });
   }
 
+  /**
+   * Send message to every open connection of one user
+   * @returns {Number} - How many connections it was sent to
+   */
+  sendToUser(userId, message) {
+    let sent = 0;
+
+    this.clients.forEach((clientInfo, ws) => {
+      if (clientInfo.user._id.toString() === userId.toString() && ws.readyState === WebSocket.OPEN) {
+        this.sendToClient(ws, message);
+        sent += 1;
+      }
+    });
+
+    return sent;
+  }
+
   /**
    * Send message to admin users only
    */
@@ -214,6 +231,77 @@ class WebSocketService {
     console.log('Broadcasted quotation_status_changed event to all users');
   }
 
+  /**
+   * Ask the roles that can sign the next approval step of a quotation for their decision
+   */
+  notifyQuotationApprovalRequired(quotationData, roles) {
+    const message = {
+      type: 'quotation_approval_required',
+      data: quotationData,
+      timestamp: new Date().toISOString()
+    };
+
+    this.broadcastToRoles(message, roles);
+  }
+
+  /**
+   * Remind the creator of a quotation that it is about to expire
+   * @returns {Number} - How many connections it was sent to (0 if the user is offline)
+   */
+  notifyQuotationExpiring(userId, quotationData) {
+    const message = {
+      type: 'quotation_expiring',
+      data: quotationData,
+      timestamp: new Date().toISOString()
+    };
+
+    const sent = this.sendToUser(userId, message);
+    return sent;
+  }
+
+  /**
+   * Tell a delivery user about a delivery booked for them, or moved to another slot
+   * @returns {Number} - How many connections it was sent to (0 if the user is offline)
+   */
+  notifyDeliveryAssigned(userId, deliveryData) {
+    const message = {
+      type: 'delivery_assigned',
+      data: deliveryData,
+      timestamp: new Date().toISOString()
+    };
+
+    const sent = this.sendToUser(userId, message);
+    return sent;
+  }
+
+  /**
+   * Tell a delivery user that a delivery was handed to someone else
+   * @returns {Number} - How many connections it was sent to (0 if the user is offline)
+   */
+  notifyDeliveryUnassigned(userId, deliveryData) {
+    const message = {
+      type: 'delivery_unassigned',
+      data: deliveryData,
+      timestamp: new Date().toISOString()
+    };
+
+    const sent = this.sendToUser(userId, message);
+    return sent;
+  }
+
+  /**
+   * Alert administrators that an overdue sale has reached the final dunning stage
+   */
+  notifyDunningFinalStage(reminderData) {
+    const message = {
+      type: 'dunning_final_stage',
+      data: reminderData,
+      timestamp: new Date().toISOString()
+    };
+
+    this.broadcastToRoles(message, ['admin', 'superadmin']);
+  }
+
   /**
    * Get connection statistics
    */